@@ -0,0 +1,99 @@
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+/**
+ * Merged multimodal GTFS-Realtime feed (/gtfs-rt)
+ * One FeedMessage with the entities of every mode's feeds, so consumers need
+ * a single request for Melbourne-wide realtime data. Entity IDs are prefixed
+ * with their mode and feed kind ("tram:positions:1234"), as the upstream IDs
+ * are only unique within one feed, and vehicles reported without a route ID
+ * get the one of their trip update. GTFS-Realtime has no fields for route
+ * names or colours, so the JSON form lists the static details of every
+ * referenced route next to it.
+ */
+
+const {FeedMessage, FeedHeader, FeedEntity, VehiclePosition, TripDescriptor} = GtfsRealtimeBindings.transit_realtime;
+
+// Feed kinds a merged feed can include (?kinds=)
+export const COMBINED_KINDS = ['positions', 'trips', 'alerts'];
+
+const FULL_DATASET = 0;
+
+/**
+ * Merge feed snapshots into one FeedMessage
+ * Entities are copied, never modified: the snapshots stay shared with the cache.
+ * @param {Array} parts - `{feed, cached}` per feed (feed registry entry and its snapshot)
+ * @returns {Object} FeedMessage, stamped with the newest snapshot's header timestamp
+ */
+export function combineFeeds(parts) {
+    // Route of each trip, from the trip updates: Map<"mode:tripId", routeId>
+    const tripRoutes = new Map();
+    parts.filter(({feed}) => feed.kind === 'trips').forEach(({feed, cached}) => {
+        cached.feed.entity.forEach(entity => {
+            const trip = entity.tripUpdate?.trip;
+            if (trip?.tripId && trip.routeId) {
+                tripRoutes.set(`${feed.mode}:${trip.tripId}`, trip.routeId);
+            }
+        });
+    });
+
+    const timestamp = Math.max(0, ...parts.map(({cached}) =>
+        Number(cached.feed.header?.timestamp) || Math.round(cached.timestamp / 1000)));
+
+    const entity = parts.flatMap(({feed, cached}) => cached.feed.entity.map(entity => {
+        const copy = {...entity, id: `${feed.mode}:${feed.kind}:${entity.id}`};
+
+        const trip = entity.vehicle?.trip;
+        const routeId = trip?.tripId && !trip.routeId && tripRoutes.get(`${feed.mode}:${trip.tripId}`);
+        if (routeId) {
+            copy.vehicle = VehiclePosition.create({...entity.vehicle, trip: TripDescriptor.create({...trip, routeId})});
+        }
+
+        return FeedEntity.create(copy);
+    }));
+
+    return FeedMessage.create({
+        header: FeedHeader.create({gtfsRealtimeVersion: '2.0', incrementality: FULL_DATASET, timestamp}),
+        entity
+    });
+}
+
+/**
+ * Route IDs an entity refers to (trip, vehicle and alert informed entities)
+ */
+function entityRouteIds(entity) {
+    return [
+        entity.vehicle?.trip?.routeId,
+        entity.tripUpdate?.trip?.routeId,
+        ...(entity.alert?.informedEntity || []).flatMap(selector => [selector.routeId, selector.trip?.routeId])
+    ].filter(Boolean);
+}
+
+/**
+ * Static details of the routes a merged feed refers to
+ * @param {Object} message - Merged FeedMessage (entity IDs prefixed with their mode and kind)
+ * @param {Map} routes - Map<mode, Map<routeId, {line, name, color, textColor}>> (FeedProxy.routes)
+ * @returns {Object} `{[routeId]: {mode, shortName, longName, color, textColor}}` (known routes only)
+ */
+export function referencedRoutes(message, routes) {
+    const details = {};
+
+    message.entity.forEach(entity => {
+        const mode = entity.id.slice(0, entity.id.indexOf(':'));
+        const routeIndex = routes.get(mode);
+
+        entityRouteIds(entity).forEach(routeId => {
+            const route = routeIndex?.get(routeId);
+            if (route && !details[routeId]) {
+                details[routeId] = {
+                    mode,
+                    shortName: route.line,
+                    longName: route.name,
+                    color: route.color,
+                    textColor: route.textColor
+                };
+            }
+        });
+    });
+
+    return details;
+}
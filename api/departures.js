@@ -0,0 +1,415 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Departure boards (/stops/:stopId/departures)
+ * Built from the static timetables (the stop times and service calendars
+ * written by the data processing scripts): every scheduled call at a stop,
+ * with the realtime prediction of its trip overlaid where the trip updates
+ * have one. Trips only in the trip updates (e.g. added services) are listed
+ * too, and a mode without a timetable falls back to its trip updates alone.
+ * Railway stations are matched by name, so a station ID (e.g. "vic:rail:FSS")
+ * or any one of its platform stop IDs covers every platform, for metro and
+ * V/Line alike.
+ */
+
+// Railway station lists per mode (relative to the data directory)
+const STATION_FILES = {
+    metro: 'stations.json',
+    vline: 'vline/stops.json'
+};
+
+const RAIL_MODES = Object.keys(STATION_FILES);
+
+// GTFS-Realtime schedule relationships
+const TRIP_CANCELED = 3;
+const STOP_SKIPPED = 1;
+
+const DAY = 86400;
+
+// A data file that could not be read is tried again after this long (ms)
+const RETRY_INTERVAL = 60 * 1000;
+
+// Scheduled calls up to this long ago are still listed if their trip runs late
+const LATE_WINDOW = 2 * 3600;
+
+// Melbourne date and time of day (timetable times are Melbourne local time)
+const melbourneTime = new Intl.DateTimeFormat('en-AU', {
+    timeZone: 'Australia/Melbourne',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+});
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Load the static railway station lists
+ * @param {string} dataDir - Static data directory
+ * @returns {Object} Stations per railway mode, e.g. {metro: [{id, name, lat, lon}]}
+ */
+export function loadStations(dataDir) {
+    const stations = {};
+
+    Object.entries(STATION_FILES).forEach(([mode, file]) => {
+        try {
+            stations[mode] = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        } catch (error) {
+            console.warn(`No stations for ${mode}: ${error.message}`);
+            stations[mode] = [];
+        }
+    });
+
+    return stations;
+}
+
+/**
+ * Read the static data files from a directory
+ * @param {string} dataDir - Static data directory
+ * @returns {Function} Reads a file (path relative to the data directory) as JSON, async
+ */
+export function dataFileReader(dataDir) {
+    return async file => JSON.parse(await fs.promises.readFile(path.join(dataDir, file), 'utf8'));
+}
+
+/**
+ * Path of a mode's data file, relative to the data directory
+ */
+function dataFile(mode, file) {
+    return mode === 'metro' ? file : `${mode}/${file}`;
+}
+
+/**
+ * File of a stop's departures, relative to its mode's directory (see the data processing scripts)
+ * Stop IDs may contain characters not allowed in file names (e.g. ':').
+ */
+function stopFile(stopId) {
+    return `departures/${stopId.replace(/[^\w-]/g, '_')}.json`;
+}
+
+/**
+ * Station name without its suffix, for matching ("Flinders Street Railway Station" -> "flinders street")
+ */
+function stationKey(name) {
+    return name
+        .replace(/ Railway Station$/i, '')
+        .replace(/ Station$/i, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Resolves stop and station IDs to the stops a departure board covers
+ */
+export default class StopIndex {
+    /**
+     * @param {Object} stopNames - Stop ID -> name maps per mode (see loadStopNames)
+     * @param {Object} stations - Station lists per railway mode (see loadStations)
+     */
+    constructor(stopNames, stations = {}) {
+        this.stopNames = stopNames;
+
+        // Railway platforms by station: Map<stationKey, {name, stops: Map<mode, Set<stopId>>}>
+        this.stations = new Map();
+        RAIL_MODES.forEach(mode => {
+            Object.entries(stopNames[mode] || {}).forEach(([stopId, name]) => {
+                const key = stationKey(name);
+                if (!this.stations.has(key)) {
+                    this.stations.set(key, {name, stops: new Map()});
+                }
+                const {stops} = this.stations.get(key);
+                if (!stops.has(mode)) {
+                    stops.set(mode, new Set());
+                }
+                stops.get(mode).add(stopId);
+            });
+        });
+
+        // Station IDs: Map<stationId, {name, key}>
+        this.stationIds = new Map();
+        RAIL_MODES.forEach(mode => {
+            (stations[mode] || []).forEach(station => {
+                this.stationIds.set(station.id, {name: station.name, key: stationKey(station.name)});
+            });
+        });
+    }
+
+    /**
+     * Look up a stop, platform or station
+     * @param {string} stopId - Stop ID, railway platform stop ID or station ID
+     * @returns {Object|null} `{name, stops: Map<mode, Set<stopId>>}`, or null if unknown
+     */
+    resolve(stopId) {
+        for (const mode of RAIL_MODES) {
+            const name = this.stopNames[mode]?.[stopId];
+            if (name) {
+                return this.stations.get(stationKey(name));
+            }
+        }
+
+        const station = this.stationIds.get(stopId);
+        if (station) {
+            return this.stations.get(station.key) || {name: station.name, stops: new Map()};
+        }
+
+        for (const [mode, names] of Object.entries(this.stopNames)) {
+            if (names[stopId]) {
+                return {name: names[stopId], stops: new Map([[mode, new Set([stopId])]])};
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Static timetables of departure boards, read on first use and kept
+ * Per mode: the service calendar and platform numbers, and per stop the
+ * scheduled departures from it (one small file each, so a board reads only
+ * the stops it shows).
+ */
+export class DepartureTimetables {
+    /**
+     * @param {Function} readJSON - Reads a data file as JSON, async (see dataFileReader)
+     */
+    constructor(readJSON) {
+        this.readJSON = readJSON;
+        this.cache = new Map(); // Map<file, {promise, failedAt}> of files read (null if unreadable)
+    }
+
+    /**
+     * Read a file once, or again a while after it could not be read
+     * (not there yet, or a network error when reading from the site)
+     * @returns {Promise<*>} Its contents, or null if it could not be read
+     */
+    read(file) {
+        const cached = this.cache.get(file);
+        if (cached && !(cached.failedAt && Date.now() - cached.failedAt > RETRY_INTERVAL)) {
+            return cached.promise;
+        }
+
+        const entry = {failedAt: null};
+        entry.promise = this.readJSON(file).catch(error => {
+            console.warn(`Departure timetable ${file} not read: ${error.message}`);
+            entry.failedAt = Date.now();
+            return null;
+        });
+        this.cache.set(file, entry);
+        return entry.promise;
+    }
+
+    /**
+     * Platform numbers of a mode's stops
+     * @returns {Promise<Object>} Stop ID -> platform number (empty if unknown)
+     */
+    async platforms(mode) {
+        return await this.read(dataFile(mode, 'platforms.json')) || {};
+    }
+
+    /**
+     * Scheduled departures of a mode from a set of stops
+     * @param {string} mode - 'metro', 'vline', 'bus', 'tram'
+     * @param {Set} stopIds - Stops of the board
+     * @returns {Promise<Object|null>} `{calendar, calls: [{stopId, tripId, routeId, serviceId, headsign,
+     *     departure, destination}]}` (departure in seconds after midnight of the service day,
+     *     destination the trip's last stop ID), or null if the mode has no timetable
+     */
+    async callsAt(mode, stopIds) {
+        const calendar = await this.read(dataFile(mode, 'calendar.json'));
+        if (!calendar) return null;
+
+        // A stop without a file has no departures
+        const calls = await Promise.all([...stopIds].map(async stopId =>
+            (await this.read(dataFile(mode, stopFile(stopId))) || []).map(call => ({...call, stopId}))));
+        return {calendar, calls: calls.flat()};
+    }
+}
+
+/**
+ * Melbourne time of day, in seconds after midnight
+ */
+function timeOfDay(parts) {
+    return Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second);
+}
+
+/**
+ * Melbourne date and time parts of a time (Unix seconds)
+ */
+function melbourneParts(time) {
+    return Object.fromEntries(melbourneTime.formatToParts(new Date(time * 1000)).map(part => [part.type, part.value]));
+}
+
+/**
+ * Service days around a time: yesterday (trips running past midnight), today and tomorrow
+ * GTFS times count from noon minus 12 hours of each service date, which is an
+ * hour off midnight on the days daylight saving starts or ends: each day's base
+ * is taken from its own noon.
+ * @param {number} now - Unix seconds
+ * @returns {Array} `{date: 'YYYYMMDD', weekday: 0 (Monday) to 6, midnight: Unix seconds (noon minus 12 hours)}`
+ */
+function serviceDays(now) {
+    // Noon of the date at a time: twice, as a daylight saving change in between moves it an hour
+    const noonOf = time => {
+        let noon = time;
+        for (let i = 0; i < 2; i++) {
+            noon -= timeOfDay(melbourneParts(noon)) - DAY / 2;
+        }
+        return noon;
+    };
+
+    const today = noonOf(now);
+    return [today - DAY, today, today + DAY].map(time => {
+        const noon = noonOf(time);
+        const parts = melbourneParts(noon);
+        return {
+            date: `${parts.year}${parts.month}${parts.day}`,
+            weekday: WEEKDAYS.indexOf(parts.weekday),
+            midnight: noon - DAY / 2
+        };
+    });
+}
+
+/**
+ * Check whether a service runs on a service day
+ */
+function runsOn(calendar, serviceId, {date, weekday}) {
+    const service = calendar[serviceId];
+    if (!service) return false;
+    if (service.removed.includes(date)) return false;
+    if (service.added.includes(date)) return true;
+    return service.start <= date && date <= service.end && service.days[weekday] === 1;
+}
+
+/**
+ * Departure entry of a board
+ */
+function departureOf(mode, trip, stop, {routeIndex, platforms}) {
+    const route = routeIndex.get(trip.routeId);
+    return {
+        mode,
+        tripId: trip.tripId,
+        routeId: trip.routeId,
+        line: route?.line || mode,
+        color: route?.color,
+        destination: stop.destination,
+        stopId: stop.stopId,
+        stopName: stop.stopName,
+        platform: platforms[stop.stopId] || stop.stopName,
+        scheduled: stop.scheduled,
+        predicted: stop.predicted,
+        delay: stop.delay,
+        cancelled: stop.cancelled
+    };
+}
+
+/**
+ * Departures of one mode from a set of stops, from its static timetable
+ * Each scheduled call is matched to its trip's update (by trip ID, for the run
+ * of the update's start date or else the run nearest now): its prediction for the stop,
+ * or else the trip's delay, gives the predicted time. Calls without an update
+ * depart on time. Trip updates of trips the timetable has no call for here
+ * (added services) are listed as collectDepartures lists them.
+ * @param {string} mode - 'metro', 'vline', 'bus', 'tram'
+ * @param {Object} timetable - `{calendar, calls}` (see DepartureTimetables.callsAt)
+ * @param {Array} trips - Normalized trip update records
+ * @param {Set} stopIds - Stops of the board
+ * @param {Object} options - `{routeIndex, stopNames, platforms, now}`: routes by ID (see indexRoutes),
+ *     stop ID -> name and stop ID -> platform number of the mode, Unix seconds
+ * @returns {Array} Departures (see collectDepartures)
+ */
+export function scheduledDepartures(mode, {calendar, calls}, trips, stopIds, {routeIndex, stopNames, platforms, now}) {
+    const updates = new Map(trips.map(trip => [trip.tripId, trip]));
+    const scheduledTrips = new Set();
+    const departures = [];
+    const days = serviceDays(now);
+
+    calls.forEach(call => {
+        const {stopId, departure} = call;
+        scheduledTrips.add(call.tripId);
+
+        // Runs of the trip in the board's window
+        const runs = days
+            .map(day => ({day, scheduled: day.midnight + departure}))
+            .filter(({day, scheduled}) => scheduled >= now - LATE_WINDOW && scheduled <= now + DAY &&
+                runsOn(calendar, call.serviceId, day));
+
+        // A trip update is for one run of the trip: that of its start date, or else the one nearest now
+        const update = updates.get(call.tripId);
+        const updatedRun = update?.startDate
+            ? runs.find(run => run.day.date === update.startDate)
+            : runs.reduce((nearest, run) =>
+                !nearest || Math.abs(run.scheduled - now) < Math.abs(nearest.scheduled - now) ? run : nearest, null);
+
+        runs.forEach(run => {
+            const {scheduled} = run;
+            const runUpdate = run === updatedRun ? update : undefined;
+            const stop = runUpdate?.stops?.find(updateStop => updateStop.stopId === stopId);
+            const delay = stop?.departureDelay ?? stop?.arrivalDelay ?? runUpdate?.delay;
+            const predicted = stop?.departure ?? stop?.arrival ?? (delay !== undefined ? scheduled + delay : scheduled);
+            if (predicted < now - 60) return;
+
+            departures.push(departureOf(mode, call, {
+                stopId,
+                stopName: stopNames[stopId],
+                destination: stopNames[call.destination] || call.headsign || call.destination,
+                scheduled,
+                predicted,
+                delay: runUpdate ? predicted - scheduled : undefined,
+                cancelled: runUpdate?.tripStatus === TRIP_CANCELED || stop?.status === STOP_SKIPPED
+            }, {routeIndex, platforms}));
+        });
+    });
+
+    const added = trips.filter(trip => !scheduledTrips.has(trip.tripId));
+    departures.push(...collectDepartures(mode, added, stopIds, routeIndex, now, platforms));
+    return departures;
+}
+
+/**
+ * Departures of one mode's trips from a set of stops, from the trip updates alone
+ * Calls at a trip's last stop are arrivals and are left out; cancelled trips
+ * and skipped stops are kept with `cancelled: true`. Without the timetable
+ * the scheduled time of a call is its predicted time minus the reported delay.
+ * @param {string} mode - 'metro', 'vline', 'bus', 'tram'
+ * @param {Array} trips - Normalized trip update records
+ * @param {Set} stopIds - Stops of the board
+ * @param {Map} routeIndex - Routes by ID (see indexRoutes)
+ * @param {number} now - Unix seconds; calls more than a minute earlier are left out
+ * @param {Object} [platforms] - Stop ID -> platform number of the mode
+ * @returns {Array} `{mode, tripId, routeId, line, color, destination, stopId, stopName, platform, scheduled, predicted, delay, cancelled}`
+ *     (`platform`: the platform number, or else the stop's name)
+ */
+export function collectDepartures(mode, trips, stopIds, routeIndex, now, platforms = {}) {
+    const departures = [];
+
+    trips.forEach(trip => {
+        const stops = trip.stops || [];
+        const last = stops[stops.length - 1];
+
+        stops.forEach(stop => {
+            if (stop === last || !stopIds.has(stop.stopId)) return;
+
+            const predicted = stop.departure ?? stop.arrival;
+            if (!predicted || predicted < now - 60) return;
+
+            const delay = stop.departureDelay ?? stop.arrivalDelay ?? trip.delay;
+
+            departures.push(departureOf(mode, trip, {
+                stopId: stop.stopId,
+                stopName: stop.stopName,
+                destination: last.stopName || last.stopId,
+                scheduled: delay !== undefined ? predicted - delay : predicted,
+                predicted,
+                delay,
+                cancelled: trip.tripStatus === TRIP_CANCELED || stop.status === STOP_SKIPPED
+            }, {routeIndex, platforms}));
+        });
+    });
+
+    return departures;
+}
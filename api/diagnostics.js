@@ -0,0 +1,239 @@
+/**
+ * Feed data-quality diagnostics (/diagnostics)
+ * Checks every new normalized snapshot against the static data and the
+ * previous snapshot: vehicles on unknown routes, vehicles whose trip has no
+ * trip update, stop IDs missing from the stop-id maps, stale vehicle
+ * timestamps, impossible speeds or position jumps, and duplicate vehicle IDs.
+ * Findings describe the latest snapshots of each mode, so with the background
+ * poller running they stay current without any client requests.
+ */
+
+// Fastest plausible speed per mode (m/s): reported speeds or position jumps above are flagged
+const MAX_SPEEDS = {
+    metro: 45, // 160 km/h
+    vline: 60, // 215 km/h
+    tram: 25, // 90 km/h
+    bus: 35 // 125 km/h
+};
+
+const STALE_AFTER = 300; // Seconds a vehicle timestamp may lag the feed header
+const MIN_JUMP_INTERVAL = 10; // Seconds between positions before a jump is judged
+const MAX_EXAMPLES = 10; // Examples listed per issue
+
+export const ISSUE_TYPES = [
+    'unknownRoute',
+    'noTripUpdate',
+    'unknownStop',
+    'staleTimestamp',
+    'impossibleSpeed',
+    'duplicateVehicleId'
+];
+
+/**
+ * Great-circle distance in metres
+ */
+function distance(lat1, lon1, lat2, lon2) {
+    const rad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * rad;
+    const dLon = (lon2 - lon1) * rad;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Collects issues of one check: a count and the first few examples
+ */
+function issueList() {
+    const issue = {count: 0, examples: []};
+    issue.add = example => {
+        issue.count++;
+        if (issue.examples.length < MAX_EXAMPLES) {
+            issue.examples.push(example);
+        }
+    };
+    return issue;
+}
+
+export default class FeedDiagnostics {
+    /**
+     * @param {Object} options
+     * @param {Map} options.routes - Map<mode, Map<routeId, {line, color}>> (FeedProxy.routes)
+     * @param {Object} options.stopNames - Stop ID -> name maps per mode (see loadStopNames)
+     */
+    constructor({routes = new Map(), stopNames = {}}) {
+        this.routes = routes;
+        this.stopNames = stopNames;
+
+        // State per mode: {positions, trips, tripIds, unknownTripStops, lastPositions}
+        this.modes = new Map();
+    }
+
+    modeState(mode) {
+        if (!this.modes.has(mode)) {
+            this.modes.set(mode, {
+                positions: null, // Last check of the vehicles: {timestamp, checkedAt, vehicles, issues}
+                trips: null, // Last check of the trip updates: {timestamp, checkedAt, trips}
+                tripIds: null, // Set of trip IDs with a trip update
+                unknownTripStops: issueList(),
+                lastPositions: new Map() // Map<id, {lat, lon, time}>
+            });
+        }
+        return this.modes.get(mode);
+    }
+
+    /**
+     * Check a freshly normalized snapshot (FeedProxy `onRecords`)
+     * @param {Object} feed - Feed registry entry ('positions' or 'trips')
+     * @param {Object} cached - `{timestamp, feed}` snapshot
+     * @param {Array} records - Its normalized records
+     */
+    observe(feed, cached, records) {
+        const timestamp = Number(cached.feed.header?.timestamp) || Math.round(cached.timestamp / 1000);
+
+        if (feed.kind === 'trips') {
+            this.checkTrips(feed.mode, timestamp, records);
+        } else if (feed.kind === 'positions') {
+            this.checkPositions(feed.mode, timestamp, records);
+        }
+    }
+
+    checkTrips(mode, timestamp, trips) {
+        const state = this.modeState(mode);
+        const stopNames = this.stopNames[mode] || {};
+        const unknownStops = issueList();
+        const seen = new Set();
+
+        trips.forEach(trip => {
+            (trip.stops || []).forEach(stop => {
+                if (stop.stopId && !stopNames[stop.stopId] && !seen.has(stop.stopId)) {
+                    seen.add(stop.stopId);
+                    unknownStops.add({stopId: stop.stopId, tripId: trip.tripId});
+                }
+            });
+        });
+
+        state.tripIds = new Set(trips.map(trip => trip.tripId));
+        state.unknownTripStops = unknownStops;
+        state.trips = {timestamp, checkedAt: Date.now(), trips: trips.length};
+    }
+
+    checkPositions(mode, timestamp, vehicles) {
+        const state = this.modeState(mode);
+        const routes = this.routes.get(mode) || new Map();
+        const stopNames = this.stopNames[mode] || {};
+        const maxSpeed = MAX_SPEEDS[mode] || Infinity;
+        const issues = {
+            unknownRoute: issueList(),
+            noTripUpdate: issueList(),
+            unknownStop: issueList(),
+            staleTimestamp: issueList(),
+            impossibleSpeed: issueList(),
+            duplicateVehicleId: issueList()
+        };
+
+        // Entity IDs per vehicle ID
+        const vehicleIds = new Map();
+        const positions = new Map();
+
+        vehicles.forEach(vehicle => {
+            if (!vehicle.routeId || !routes.has(vehicle.routeId)) {
+                issues.unknownRoute.add({id: vehicle.id, routeId: vehicle.routeId ?? null});
+            }
+            if (state.tripIds && vehicle.tripId && !state.tripIds.has(vehicle.tripId)) {
+                issues.noTripUpdate.add({id: vehicle.id, tripId: vehicle.tripId});
+            }
+            if (vehicle.stopId && !stopNames[vehicle.stopId]) {
+                issues.unknownStop.add({stopId: vehicle.stopId, id: vehicle.id});
+            }
+
+            const time = vehicle.timestamp || timestamp;
+            if (vehicle.timestamp && timestamp - vehicle.timestamp > STALE_AFTER) {
+                issues.staleTimestamp.add({id: vehicle.id, age: timestamp - vehicle.timestamp});
+            }
+
+            // Reported speed, or the speed implied by the move since the last snapshot
+            const last = state.lastPositions.get(vehicle.id);
+            if (vehicle.speed > maxSpeed) {
+                issues.impossibleSpeed.add({id: vehicle.id, speed: Math.round(vehicle.speed), reported: true});
+            } else if (last && time - last.time >= MIN_JUMP_INTERVAL) {
+                const speed = distance(last.lat, last.lon, vehicle.lat, vehicle.lon) / (time - last.time);
+                if (speed > maxSpeed) {
+                    issues.impossibleSpeed.add({id: vehicle.id, speed: Math.round(speed), reported: false});
+                }
+            }
+            positions.set(vehicle.id, last && time - last.time < MIN_JUMP_INTERVAL
+                ? last
+                : {lat: vehicle.lat, lon: vehicle.lon, time});
+
+            if (vehicle.vehicleId) {
+                if (!vehicleIds.has(vehicle.vehicleId)) {
+                    vehicleIds.set(vehicle.vehicleId, []);
+                }
+                vehicleIds.get(vehicle.vehicleId).push(vehicle.id);
+            }
+        });
+
+        vehicleIds.forEach((ids, vehicleId) => {
+            if (ids.length > 1) {
+                issues.duplicateVehicleId.add({vehicleId, ids});
+            }
+        });
+
+        state.lastPositions = positions;
+        state.positions = {timestamp, checkedAt: Date.now(), vehicles: vehicles.length, issues};
+    }
+
+    /**
+     * Findings per mode and totals per issue type
+     * @returns {{totals: Object, modes: Object}}
+     */
+    toJSON() {
+        const totals = Object.fromEntries(ISSUE_TYPES.map(type => [type, 0]));
+        const modes = {};
+
+        this.modes.forEach((state, mode) => {
+            const issues = {};
+            const vehicleIssues = state.positions?.issues;
+
+            ISSUE_TYPES.forEach(type => {
+                const list = type === 'unknownStop'
+                    ? mergeIssues(vehicleIssues?.unknownStop, state.unknownTripStops)
+                    : vehicleIssues?.[type];
+
+                if (list) {
+                    issues[type] = {count: list.count, examples: list.examples};
+                    totals[type] += list.count;
+                }
+            });
+
+            modes[mode] = {
+                positions: state.positions && {
+                    timestamp: state.positions.timestamp,
+                    checkedAt: new Date(state.positions.checkedAt).toISOString(),
+                    vehicles: state.positions.vehicles
+                },
+                trips: state.trips && {
+                    timestamp: state.trips.timestamp,
+                    checkedAt: new Date(state.trips.checkedAt).toISOString(),
+                    trips: state.trips.trips
+                },
+                issues
+            };
+        });
+
+        return {totals, modes};
+    }
+}
+
+/**
+ * Unknown stops of vehicles and of trip updates together
+ */
+function mergeIssues(...lists) {
+    const merged = issueList();
+    lists.filter(Boolean).forEach(list => {
+        merged.count += list.count;
+        merged.examples.push(...list.examples);
+    });
+    merged.examples = merged.examples.slice(0, MAX_EXAMPLES);
+    return merged;
+}
@@ -0,0 +1,196 @@
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+/**
+ * GTFS-Realtime feed registry
+ * One entry per mode × feed kind. The server builds its routes and caches
+ * from this table, so adding a feed only means adding an entry here.
+ */
+
+const BASE_URL = 'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1';
+
+const CACHE_DURATION = 4000; // 4 seconds
+const ALERTS_CACHE_DURATION = 60000; // Alerts change slowly: 60 seconds
+
+/**
+ * Decode a GTFS-Realtime FeedMessage from raw protobuf bytes
+ */
+export function decodeFeedMessage(buffer) {
+    return GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(
+        new Uint8Array(buffer)
+    );
+}
+
+/**
+ * Encode a decoded FeedMessage back to protobuf bytes
+ * (for snapshots that were generated rather than fetched, e.g. by the simulator)
+ */
+export function encodeFeedMessage(message) {
+    return GtfsRealtimeBindings.transit_realtime.FeedMessage.encode(message).finish();
+}
+
+// Content type of raw GTFS-Realtime responses
+export const PROTOBUF_TYPE = 'application/x-protobuf';
+
+/**
+ * Check whether a request asks for the raw protobuf feed instead of JSON
+ * @param {string} accept - Accept header (e.g. 'application/x-protobuf')
+ * @param {string} format - `format` query parameter ('protobuf' or 'pb')
+ */
+export function wantsProtobuf(accept, format) {
+    if (format) {
+        return format === 'protobuf' || format === 'pb';
+    }
+    return /application\/(x-protobuf|octet-stream)/.test(accept || '');
+}
+
+export const FEEDS = [
+    {
+        mode: 'metro',
+        kind: 'positions',
+        label: 'vehicle positions',
+        url: `${BASE_URL}/metro/vehicle-positions`,
+        ttl: CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/positions']
+    },
+    {
+        mode: 'metro',
+        kind: 'trips',
+        label: 'trip updates',
+        url: `${BASE_URL}/metro/trip-updates`,
+        ttl: CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/trips']
+    },
+    {
+        mode: 'vline',
+        kind: 'positions',
+        label: 'V/Line positions',
+        url: `${BASE_URL}/vline/vehicle-positions`,
+        ttl: CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/vline/positions']
+    },
+    {
+        mode: 'vline',
+        kind: 'trips',
+        label: 'V/Line trip updates',
+        url: `${BASE_URL}/vline/trip-updates`,
+        ttl: CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/vline/trips']
+    },
+    {
+        mode: 'bus',
+        kind: 'positions',
+        label: 'bus positions',
+        url: `${BASE_URL}/bus/vehicle-positions`,
+        ttl: CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/bus/positions']
+    },
+    {
+        mode: 'bus',
+        kind: 'trips',
+        label: 'bus trip updates',
+        url: `${BASE_URL}/bus/trip-updates`,
+        ttl: CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/bus/trips']
+    },
+    {
+        mode: 'tram',
+        kind: 'positions',
+        label: 'tram positions',
+        url: `${BASE_URL}/tram/vehicle-positions`,
+        ttl: CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/tram/positions']
+    },
+    {
+        mode: 'tram',
+        kind: 'trips',
+        label: 'tram trip updates',
+        url: `${BASE_URL}/tram/trip-updates`,
+        ttl: CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/tram/trips']
+    },
+    {
+        mode: 'metro',
+        kind: 'alerts',
+        label: 'service alerts',
+        url: `${BASE_URL}/metro/service-alerts`,
+        ttl: ALERTS_CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/alerts']
+    },
+    {
+        mode: 'vline',
+        kind: 'alerts',
+        label: 'V/Line service alerts',
+        url: `${BASE_URL}/vline/service-alerts`,
+        ttl: ALERTS_CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/vline/alerts']
+    },
+    {
+        mode: 'bus',
+        kind: 'alerts',
+        label: 'bus service alerts',
+        url: `${BASE_URL}/bus/service-alerts`,
+        ttl: ALERTS_CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/bus/alerts']
+    },
+    {
+        mode: 'tram',
+        kind: 'alerts',
+        label: 'tram service alerts',
+        url: `${BASE_URL}/tram/service-alerts`,
+        ttl: ALERTS_CACHE_DURATION,
+        decode: decodeFeedMessage,
+        aliases: ['/tram/alerts']
+    }
+];
+
+/**
+ * Merged vehicle snapshots, one per mode with a positions feed
+ * Not fetched from upstream: built from the mode's positions and trip updates
+ * (see FeedProxy and snapshot.js), with the positions feed's TTL.
+ */
+export const SNAPSHOT_FEEDS = FEEDS
+    .filter(feed => feed.kind === 'positions')
+    .map(feed => ({
+        mode: feed.mode,
+        kind: 'snapshot',
+        label: `${feed.mode} vehicle snapshot`,
+        ttl: feed.ttl,
+        aliases: []
+    }));
+
+/**
+ * Cache key for a feed entry
+ */
+export function feedKey(feed) {
+    return `${feed.mode}/${feed.kind}`;
+}
+
+/**
+ * Look up a feed entry by mode and kind
+ * @returns {Object|undefined} The registry entry, if one exists
+ */
+export function getFeed(mode, kind) {
+    return FEEDS.find(feed => feed.mode === mode && feed.kind === kind);
+}
+
+/**
+ * Look up the feed behind a normalized kind (an upstream feed, or a merged snapshot)
+ * @returns {Object|undefined} The registry entry, if one exists
+ */
+export function getRecordFeed(mode, kind) {
+    if (kind === 'snapshot') {
+        return SNAPSHOT_FEEDS.find(feed => feed.mode === mode);
+    }
+    return getFeed(mode, kind);
+}
@@ -0,0 +1,127 @@
+/**
+ * Rolling vehicle position history (/vehicles/:id/trail)
+ * Keeps the positions of every new vehicle snapshot for a time window, per
+ * mode and vehicle ID (the feed entity ID for vehicles without one). Points
+ * age out by the feed's own clock, so replayed feeds get replayed trails;
+ * a feed clock going backwards (replay seek) starts the mode's history over.
+ * History grows with every new positions snapshot, whether a client requested
+ * it or the background poller fetched it.
+ */
+
+const MIN_POINT_DISTANCE = 5; // Metres a vehicle must move before a new point is kept
+
+/**
+ * Rough distance in metres (equirectangular, fine for a few hundred metres)
+ */
+function distance(lat1, lon1, lat2, lon2) {
+    const rad = Math.PI / 180;
+    const x = (lon2 - lon1) * rad * Math.cos((lat1 + lat2) / 2 * rad);
+    const y = (lat2 - lat1) * rad;
+    return 6371000 * Math.sqrt(x * x + y * y);
+}
+
+export default class PositionHistory {
+    /**
+     * @param {Object} options
+     * @param {number} options.window - Seconds of history kept per vehicle
+     */
+    constructor({window = 30 * 60} = {}) {
+        this.window = window;
+
+        // Trails per mode: Map<mode, {timestamp, trails: Map<id, {id, tripId, routeId, points}>}>
+        this.modes = new Map();
+    }
+
+    /**
+     * Add the positions of a freshly normalized snapshot (FeedProxy `onRecords`)
+     * @param {Object} feed - Feed registry entry (other kinds than 'positions' are ignored)
+     * @param {Object} cached - `{timestamp, feed}` snapshot
+     * @param {Array} records - Its normalized vehicle records
+     */
+    observe(feed, cached, records) {
+        if (feed.kind !== 'positions') return;
+
+        const timestamp = Number(cached.feed.header?.timestamp) || Math.round(cached.timestamp / 1000);
+        let state = this.modes.get(feed.mode);
+
+        if (!state || timestamp < state.timestamp) {
+            state = {timestamp, trails: new Map()};
+            this.modes.set(feed.mode, state);
+        }
+        state.timestamp = timestamp;
+
+        records.forEach(vehicle => {
+            const id = vehicle.vehicleId || vehicle.id;
+            if (!id || vehicle.lat === undefined || vehicle.lon === undefined) return;
+
+            let trail = state.trails.get(id);
+            if (!trail) {
+                trail = {id, points: []};
+                state.trails.set(id, trail);
+            }
+            trail.tripId = vehicle.tripId;
+            trail.routeId = vehicle.routeId;
+
+            // Skip repeated reports and vehicles standing still
+            const time = vehicle.timestamp || timestamp;
+            const last = trail.points[trail.points.length - 1];
+            if (last && (time <= last[2] || distance(last[1], last[0], vehicle.lat, vehicle.lon) < MIN_POINT_DISTANCE)) {
+                return;
+            }
+            trail.points.push([vehicle.lon, vehicle.lat, time]);
+        });
+
+        this.prune(state);
+    }
+
+    /**
+     * Drop points older than the window, and vehicles left without any
+     */
+    prune(state) {
+        const oldest = state.timestamp - this.window;
+
+        state.trails.forEach((trail, id) => {
+            const first = trail.points.findIndex(point => point[2] >= oldest);
+            if (first === -1) {
+                state.trails.delete(id);
+            } else if (first > 0) {
+                trail.points.splice(0, first);
+            }
+        });
+    }
+
+    /**
+     * Look up a vehicle's trail
+     * @param {string} id - Vehicle ID (or feed entity ID)
+     * @param {Object} options
+     * @param {string} options.mode - Only search this mode
+     * @param {number} options.seconds - Only points this recent (relative to the feed clock)
+     * @returns {Object|null} `{mode, id, tripId, routeId, timestamp, points: [[lon, lat, time]]}`, oldest point first
+     */
+    get(id, {mode, seconds} = {}) {
+        for (const [trailMode, state] of this.modes) {
+            if (mode && trailMode !== mode) continue;
+
+            const trail = state.trails.get(id);
+            if (trail) {
+                const since = seconds ? state.timestamp - seconds : -Infinity;
+                return {
+                    mode: trailMode,
+                    id,
+                    tripId: trail.tripId,
+                    routeId: trail.routeId,
+                    timestamp: state.timestamp,
+                    points: trail.points.filter(point => point[2] >= since)
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Vehicles with history per mode
+     */
+    counts() {
+        return Object.fromEntries([...this.modes].map(([mode, state]) => [mode, state.trails.size]));
+    }
+}
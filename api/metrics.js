@@ -0,0 +1,192 @@
+import {feedKey} from './feeds.js';
+
+/**
+ * Per-feed operational metrics of the proxy
+ * Counts upstream fetches (latency histogram, errors), cache outcomes and
+ * the state of the last snapshot (header timestamp, entity count), and
+ * renders them for /health (JSON) and /metrics (Prometheus text format).
+ */
+
+// Upstream latency histogram buckets (seconds)
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Cache outcomes: served fresh, fetched upstream, or served an old snapshot
+const CACHE_RESULTS = ['hit', 'miss', 'stale'];
+
+export default class FeedMetrics {
+    /**
+     * @param {Object[]} feeds - Feed registry entries to report
+     */
+    constructor(feeds) {
+        this.startedAt = Date.now();
+
+        // Map<feedKey, stats>
+        this.feeds = new Map();
+        feeds.forEach(feed => {
+            this.feeds.set(feedKey(feed), {
+                mode: feed.mode,
+                kind: feed.kind,
+                latency: {buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0},
+                errors: 0,
+                cache: {hit: 0, miss: 0, stale: 0},
+                lastSuccess: null, // ms
+                lastError: null, // {time, message}
+                headerTimestamp: null, // Unix seconds
+                entities: 0
+            });
+        });
+    }
+
+    /**
+     * Record an upstream fetch
+     * @param {Object} feed - Feed registry entry
+     * @param {number} seconds - Time the request took
+     * @param {Error} [error] - Set if the fetch failed
+     */
+    recordFetch(feed, seconds, error) {
+        const stats = this.feeds.get(feedKey(feed));
+        if (!stats) return;
+
+        const {latency} = stats;
+        LATENCY_BUCKETS.forEach((bound, i) => {
+            if (seconds <= bound) {
+                latency.buckets[i]++;
+            }
+        });
+        latency.sum += seconds;
+        latency.count++;
+
+        if (error) {
+            stats.errors++;
+            stats.lastError = {time: Date.now(), message: error.message};
+        } else {
+            stats.lastSuccess = Date.now();
+        }
+    }
+
+    /**
+     * Record how a request for a feed was served
+     * @param {Object} feed - Feed registry entry
+     * @param {string} result - 'hit', 'miss' or 'stale'
+     */
+    recordCache(feed, result) {
+        const stats = this.feeds.get(feedKey(feed));
+        if (stats) {
+            stats.cache[result]++;
+        }
+    }
+
+    /**
+     * Record the snapshot a feed is currently served from
+     * @param {Object} feed - Feed registry entry
+     * @param {Object} cached - `{timestamp, feed}` snapshot
+     */
+    recordSnapshot(feed, cached) {
+        const stats = this.feeds.get(feedKey(feed));
+        if (!stats) return;
+
+        stats.headerTimestamp = Number(cached.feed.header?.timestamp) || null;
+        stats.entities = (cached.feed.entity || []).length;
+    }
+
+    /**
+     * Cache totals over all feeds
+     * @returns {{hit: number, miss: number, stale: number}}
+     */
+    cacheTotals() {
+        const totals = {hit: 0, miss: 0, stale: 0};
+        this.feeds.forEach(stats => {
+            CACHE_RESULTS.forEach(result => {
+                totals[result] += stats.cache[result];
+            });
+        });
+        return totals;
+    }
+
+    /**
+     * Per-feed state for /health
+     * @returns {Object} Map of "mode/kind" to stats
+     */
+    toJSON() {
+        const now = Date.now();
+        const feeds = {};
+
+        this.feeds.forEach((stats, key) => {
+            const {latency, cache} = stats;
+            const requests = cache.hit + cache.miss + cache.stale;
+
+            feeds[key] = {
+                entities: stats.entities,
+                headerAge: stats.headerTimestamp ? Math.round(now / 1000 - stats.headerTimestamp) : null,
+                lastSuccess: stats.lastSuccess ? new Date(stats.lastSuccess).toISOString() : null,
+                lastError: stats.lastError
+                    ? {time: new Date(stats.lastError.time).toISOString(), message: stats.lastError.message}
+                    : null,
+                fetches: latency.count,
+                errors: stats.errors,
+                averageLatency: latency.count > 0 ? Math.round(latency.sum / latency.count * 1000) : null, // ms
+                cache: {...cache, hitRatio: requests > 0 ? cache.hit / requests : null}
+            };
+        });
+
+        return feeds;
+    }
+
+    /**
+     * Render all metrics in the Prometheus text exposition format
+     * @param {Object} gauges - Extra unlabelled gauges, e.g. {stream_clients: {help: '...', value: 3}}
+     * @returns {string}
+     */
+    toPrometheus(gauges = {}) {
+        const now = Date.now() / 1000;
+        const lines = [];
+        const metric = (name, type, help) => {
+            lines.push(`# HELP gtfs_proxy_${name} ${help}`, `# TYPE gtfs_proxy_${name} ${type}`);
+        };
+        const sample = (name, labels, value) => {
+            const text = Object.entries(labels).map(([label, v]) => `${label}="${v}"`).join(',');
+            lines.push(`gtfs_proxy_${name}${text ? `{${text}}` : ''} ${value}`);
+        };
+        const eachFeed = fn => this.feeds.forEach(stats => fn(stats, {mode: stats.mode, kind: stats.kind}));
+
+        metric('upstream_latency_seconds', 'histogram', 'Latency of upstream feed requests');
+        eachFeed(({latency}, labels) => {
+            LATENCY_BUCKETS.forEach((bound, i) => {
+                sample('upstream_latency_seconds_bucket', {...labels, le: bound}, latency.buckets[i]);
+            });
+            sample('upstream_latency_seconds_bucket', {...labels, le: '+Inf'}, latency.count);
+            sample('upstream_latency_seconds_sum', labels, latency.sum);
+            sample('upstream_latency_seconds_count', labels, latency.count);
+        });
+
+        metric('upstream_errors_total', 'counter', 'Failed upstream feed requests');
+        eachFeed((stats, labels) => sample('upstream_errors_total', labels, stats.errors));
+
+        metric('cache_requests_total', 'counter', 'Feed requests by cache result (hit, miss, stale)');
+        eachFeed((stats, labels) => {
+            CACHE_RESULTS.forEach(result => {
+                sample('cache_requests_total', {...labels, result}, stats.cache[result]);
+            });
+        });
+
+        metric('feed_header_age_seconds', 'gauge', 'Age of the served snapshot by its feed header timestamp');
+        eachFeed((stats, labels) => {
+            if (stats.headerTimestamp) {
+                sample('feed_header_age_seconds', labels, Math.round(now - stats.headerTimestamp));
+            }
+        });
+
+        metric('feed_entities', 'gauge', 'Entities in the served snapshot');
+        eachFeed((stats, labels) => sample('feed_entities', labels, stats.entities));
+
+        metric('uptime_seconds', 'gauge', 'Seconds since the server started');
+        sample('uptime_seconds', {}, Math.round(now - this.startedAt / 1000));
+
+        Object.entries(gauges).forEach(([name, {help, value}]) => {
+            metric(name, 'gauge', help);
+            sample(name, {}, value);
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+}
@@ -0,0 +1,328 @@
+import fs from 'fs';
+import path from 'path';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+/**
+ * Normalized vehicle and trip update schema
+ * Flattens decoded GTFS-Realtime entities into compact records: numeric enums,
+ * Unix-second timestamps, stop IDs resolved to names, absent fields omitted.
+ * Bump SCHEMA_VERSION whenever a field is renamed or removed.
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const {FeedMessage} = GtfsRealtimeBindings.transit_realtime;
+
+// Response property holding the records of each normalized feed kind
+// ('snapshot': vehicles merged with their trip updates, see snapshot.js)
+export const RECORD_KEYS = {
+    positions: 'vehicles',
+    trips: 'trips',
+    snapshot: 'vehicles'
+};
+
+// Stop ID -> name maps per mode (relative to the data directory)
+const STOP_MAPS = {
+    metro: 'station-id-map.json',
+    vline: 'vline/stop-id-map.json',
+    tram: 'tram/stop-id-map.json',
+    bus: 'bus/stop-id-map.json'
+};
+
+/**
+ * Load the static stop ID -> name maps
+ * @param {string} dataDir - Static data directory
+ * @returns {Object} Map per mode, e.g. {metro: {'88': 'Stony Point Station'}}
+ */
+export function loadStopNames(dataDir) {
+    const stopNames = {};
+
+    Object.entries(STOP_MAPS).forEach(([mode, file]) => {
+        try {
+            stopNames[mode] = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        } catch (error) {
+            console.warn(`No stop names for ${mode}: ${error.message}`);
+            stopNames[mode] = {};
+        }
+    });
+
+    return stopNames;
+}
+
+/**
+ * Drop missing values from a record (keeps payloads compact)
+ */
+function compact(record) {
+    Object.keys(record).forEach(key => {
+        if (record[key] === undefined || record[key] === null) {
+            delete record[key];
+        }
+    });
+    return record;
+}
+
+/**
+ * Trip descriptor fields shared by vehicles and trip updates
+ */
+function tripFields(trip = {}) {
+    return {
+        tripId: trip.tripId,
+        routeId: trip.routeId,
+        directionId: trip.directionId,
+        startDate: trip.startDate,
+        startTime: trip.startTime,
+        tripStatus: trip.scheduleRelationship
+    };
+}
+
+function normalizeVehicle(entity, stopNames) {
+    const vehicle = entity.vehicle;
+    const position = vehicle.position || {};
+
+    return compact({
+        id: entity.id,
+        ...tripFields(vehicle.trip),
+        vehicleId: vehicle.vehicle?.id,
+        label: vehicle.vehicle?.label,
+        lat: position.latitude,
+        lon: position.longitude,
+        bearing: position.bearing,
+        speed: position.speed,
+        stopId: vehicle.stopId,
+        stopName: stopNames[vehicle.stopId],
+        stopSequence: vehicle.currentStopSequence,
+        status: vehicle.currentStatus,
+        occupancy: vehicle.occupancyStatus,
+        congestion: vehicle.congestionLevel,
+        timestamp: vehicle.timestamp
+    });
+}
+
+function normalizeTripUpdate(entity, stopNames) {
+    const tripUpdate = entity.tripUpdate;
+
+    return compact({
+        id: entity.id,
+        ...tripFields(tripUpdate.trip),
+        vehicleId: tripUpdate.vehicle?.id,
+        delay: tripUpdate.delay,
+        timestamp: tripUpdate.timestamp,
+        stops: (tripUpdate.stopTimeUpdate || []).map(update => compact({
+            stopId: update.stopId,
+            stopName: stopNames[update.stopId],
+            stopSequence: update.stopSequence,
+            arrival: update.arrival?.time,
+            arrivalDelay: update.arrival?.delay,
+            departure: update.departure?.time,
+            departureDelay: update.departure?.delay,
+            status: update.scheduleRelationship
+        }))
+    });
+}
+
+/**
+ * Normalize the entities of a decoded FeedMessage
+ * @param {string} kind - Feed kind ('positions' or 'trips')
+ * @param {Object} message - Decoded FeedMessage
+ * @param {Object} stopNames - Stop ID -> name map for the feed's mode
+ * @returns {Array|null} Records, or null if the kind has no normalized form
+ */
+export function normalizeEntities(kind, message, stopNames = {}) {
+    if (!RECORD_KEYS[kind]) {
+        return null;
+    }
+
+    // Plain object with numbers for enums and 64-bit timestamps
+    const {entity = []} = FeedMessage.toObject(message, {longs: Number});
+
+    if (kind === 'positions') {
+        return entity
+            .filter(e => e.vehicle && e.vehicle.position)
+            .map(e => normalizeVehicle(e, stopNames));
+    }
+    return entity
+        .filter(e => e.tripUpdate && e.tripUpdate.trip)
+        .map(e => normalizeTripUpdate(e, stopNames));
+}
+
+/**
+ * Parse a comma-separated field list (?fields=tripId,lat,lon)
+ * @returns {string[]|null} Field names, or null for all fields
+ */
+export function parseFields(value) {
+    if (!value) return null;
+    const fields = String(value).split(',').map(f => f.trim()).filter(Boolean);
+    return fields.length > 0 ? fields : null;
+}
+
+function pick(record, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (record[field] !== undefined) {
+            picked[field] = record[field];
+        }
+    });
+    return picked;
+}
+
+/**
+ * Apply the field projection query parameters to records
+ * `fields` projects records (`id` and `mode` are always kept),
+ * `stopFields` projects the stops of trip updates
+ */
+export function projectRecords(records, query = {}) {
+    const fields = parseFields(query.fields);
+    const stopFields = parseFields(query.stopFields);
+
+    if (!fields && !stopFields) {
+        return records;
+    }
+
+    return records.map(record => {
+        const result = fields ? pick(record, ['id', 'mode', ...fields]) : {...record};
+        if (stopFields && result.stops) {
+            result.stops = result.stops.map(stop => pick(stop, stopFields));
+        }
+        return result;
+    });
+}
+
+/**
+ * Record fields of a response: all records, or the changes since a version
+ * @param {Object} result - `{feed, records, changes}` (changes only when `?since=` was given)
+ * @param {boolean} tagged - Add the mode to records and removed IDs (responses covering several modes)
+ */
+function recordFields({feed, records, changes}, tagged) {
+    const tag = record => (tagged ? {mode: feed.mode, ...record} : record);
+
+    if (!changes) {
+        return {records: records.map(tag)};
+    }
+    return {
+        full: changes.full,
+        added: changes.added.map(tag),
+        changed: changes.changed.map(tag),
+        removed: changes.removed.map(id => (tagged ? {mode: feed.mode, id} : id))
+    };
+}
+
+/**
+ * Whether a snapshot is the last good one kept while upstream fails, and its age (ms)
+ * @param {number} now - Current time of the feeds (ms, the replay clock when replaying)
+ */
+function freshness(cached, now) {
+    return {
+        stale: !!cached.stale,
+        age: now - cached.timestamp
+    };
+}
+
+/**
+ * Build a normalized response for one feed
+ * With `?since=` the records are replaced by `added`, `changed` and `removed`
+ * (IDs) since that feed version; `full` means `added` is a complete snapshot.
+ * @param {Object} result - `{feed, cached, records}`, plus `version` and
+ *                          `changes` when versioned (see FeedVersions)
+ * @param {Object} query - Request query (see projectRecords)
+ * @param {number} [now] - Current time of the feeds (ms), for `age`
+ */
+export function buildResponse(result, query = {}, now = Date.now()) {
+    const {feed, cached, version, changes} = result;
+    const fields = recordFields(result, false);
+    const headerTimestamp = Number(cached.feed.header?.timestamp);
+
+    const response = {
+        version: SCHEMA_VERSION,
+        mode: feed.mode,
+        kind: feed.kind,
+        timestamp: headerTimestamp || null,
+        fetchedAt: cached.timestamp,
+        ...freshness(cached, now)
+    };
+    if (version !== undefined) {
+        response.feedVersion = version;
+    }
+
+    if (!changes) {
+        response[RECORD_KEYS[feed.kind]] = projectRecords(fields.records, query);
+    } else {
+        Object.assign(response, {
+            since: Number(query.since),
+            full: fields.full,
+            added: projectRecords(fields.added, query),
+            changed: projectRecords(fields.changed, query),
+            removed: fields.removed
+        });
+    }
+
+    return response;
+}
+
+/**
+ * Build a normalized response covering several modes
+ * Records (and removed IDs) are tagged with their `mode`; `feeds` holds each
+ * mode's timestamps, staleness, record count and - when versioned - version
+ * and `full` flag. Modes that failed are listed with an `error` (and stale).
+ * `stale` is set if any mode is stale or failed.
+ * @param {string} kind - Feed kind ('positions' or 'trips')
+ * @param {Array} results - Per mode, as for buildResponse
+ * @param {Object} query - Request query (see projectRecords)
+ * @param {Object} [options]
+ * @param {number} [options.sequence] - Latest version issued (FeedVersions.sequence), when versioned
+ * @param {Array} [options.failed] - `{feed}` per mode that failed
+ * @param {number} [options.now] - Current time of the feeds (ms), for `age`
+ */
+export function buildCombinedResponse(kind, results, query = {}, {sequence, failed = [], now = Date.now()} = {}) {
+    const feeds = {};
+    const response = {version: SCHEMA_VERSION, kind, feeds};
+    const versioned = sequence !== undefined;
+    const delta = results.some(result => result.changes);
+
+    if (versioned) {
+        response.feedVersion = sequence;
+    }
+    if (delta) {
+        Object.assign(response, {since: Number(query.since), added: [], changed: [], removed: []});
+    } else {
+        response[RECORD_KEYS[kind]] = [];
+    }
+
+    results.forEach(result => {
+        const {feed, cached} = result;
+        const fields = recordFields(result, true);
+
+        feeds[feed.mode] = {
+            timestamp: Number(cached.feed.header?.timestamp) || null,
+            fetchedAt: cached.timestamp,
+            ...freshness(cached, now),
+            count: result.records.length
+        };
+        if (versioned) {
+            feeds[feed.mode].version = result.version;
+        }
+
+        if (delta) {
+            feeds[feed.mode].full = fields.full;
+            response.added.push(...fields.added);
+            response.changed.push(...fields.changed);
+            response.removed.push(...fields.removed);
+        } else {
+            response[RECORD_KEYS[kind]].push(...fields.records);
+        }
+    });
+
+    failed.forEach(({feed}) => {
+        feeds[feed.mode] = {error: `Failed to fetch ${feed.label}`, stale: true};
+    });
+
+    response.stale = Object.values(feeds).some(status => status.stale);
+
+    if (delta) {
+        response.added = projectRecords(response.added, query);
+        response.changed = projectRecords(response.changed, query);
+    } else {
+        response[RECORD_KEYS[kind]] = projectRecords(response[RECORD_KEYS[kind]], query);
+    }
+
+    return response;
+}
@@ -0,0 +1,143 @@
+import {feedKey} from './feeds.js';
+
+/**
+ * Background upstream poller
+ * Keeps each feed's cache fresh on its own schedule, so requests are answered
+ * from memory instead of waiting for upstream. Every feed is polled at its
+ * mode's interval (never faster than the feed's TTL) with random jitter, so
+ * feeds don't all hit upstream at the same moment. A feed nobody has requested
+ * for `idleTimeout` is paused; the next request for it resumes polling.
+ */
+export default class FeedPoller {
+    /**
+     * @param {Object} options
+     * @param {FeedProxy} options.proxy - Cache to keep fresh
+     * @param {Array} options.feeds - Feed registry entries to poll
+     * @param {Object} options.intervals - Poll interval (ms) by "mode/kind" or by mode; default: the feed's TTL
+     * @param {number} options.jitter - Random spread of each interval, as a fraction (0.1: ±10%)
+     * @param {number} options.idleTimeout - Pause a feed after this long without requests (ms, 0: never)
+     */
+    constructor({proxy, feeds, intervals = {}, jitter = 0.1, idleTimeout = 5 * 60 * 1000}) {
+        this.proxy = proxy;
+        this.jitter = jitter;
+        this.idleTimeout = idleTimeout;
+
+        // Polling state per feed: Map<feedKey, {feed, interval, lastRequested, paused, timerId}>
+        this.feeds = new Map();
+        feeds.forEach(feed => {
+            const interval = intervals[feedKey(feed)] || intervals[feed.mode] || 0;
+            this.feeds.set(feedKey(feed), {
+                feed,
+                interval: Math.max(interval, feed.ttl),
+                lastRequested: 0,
+                paused: true,
+                timerId: null
+            });
+        });
+    }
+
+    /**
+     * Start polling every feed
+     * Feeds count as requested now, so ones nobody asks for pause after `idleTimeout`.
+     */
+    start() {
+        this.feeds.forEach(state => {
+            state.lastRequested = Date.now();
+            // Spread the first fetches over a second
+            this.resume(state, Math.random() * 1000);
+        });
+    }
+
+    /**
+     * Stop polling every feed
+     */
+    stop() {
+        this.feeds.forEach(state => {
+            clearTimeout(state.timerId);
+            state.timerId = null;
+            state.paused = true;
+        });
+    }
+
+    /**
+     * Note a request for a feed, resuming it if it was paused
+     * @returns {boolean} Whether the feed's cache is being kept fresh (false for
+     *                    unpolled and just-resumed feeds: load them as usual)
+     */
+    touch(feed) {
+        const state = this.feeds.get(feedKey(feed));
+        if (!state) return false;
+
+        state.lastRequested = Date.now();
+        if (state.paused) {
+            console.log(`Poller: resuming ${feed.label}`);
+            // This request fetches it, the poller takes over from there
+            this.resume(state, state.interval);
+            return false;
+        }
+        return true;
+    }
+
+    resume(state, delay) {
+        state.paused = false;
+        state.timerId = setTimeout(() => this.poll(state), delay);
+        state.timerId.unref();
+    }
+
+    /**
+     * Refresh one feed and schedule its next poll (or pause it if idle)
+     */
+    async poll(state) {
+        const {feed} = state;
+        const key = feedKey(feed);
+        state.timerId = null;
+
+        if (this.idleTimeout && Date.now() - state.lastRequested > this.idleTimeout) {
+            state.paused = true;
+            console.log(`Poller: pausing ${feed.label} (not requested for ${Math.round(this.idleTimeout / 1000)}s)`);
+            return;
+        }
+
+        // Upstream errors are logged and backed off by the proxy
+        const backoff = this.proxy.backoff.get(key);
+        if (!backoff || Date.now() >= backoff.retryAt) {
+            const cached = await this.proxy.refresh(feed).catch(() => null);
+            // Normalize every new snapshot, so position history and diagnostics
+            // (the proxy's onRecords) follow the feed without client requests
+            if (cached) {
+                this.proxy.records(feed, cached);
+            }
+        }
+
+        // Stopped while fetching
+        if (state.paused) return;
+
+        const retryAt = this.proxy.backoff.get(key)?.retryAt || 0;
+        const delay = state.interval * (1 + (Math.random() * 2 - 1) * this.jitter);
+        state.timerId = setTimeout(() => this.poll(state), Math.max(delay, retryAt - Date.now()));
+        state.timerId.unref();
+    }
+
+    /**
+     * Number of feeds currently being polled
+     */
+    activeCount() {
+        return [...this.feeds.values()].filter(state => !state.paused).length;
+    }
+
+    /**
+     * Polling state per feed for /health
+     * @returns {Object} Map of "mode/kind" to `{interval, paused, lastRequested}`
+     */
+    toJSON() {
+        const feeds = {};
+        this.feeds.forEach((state, key) => {
+            feeds[key] = {
+                interval: state.interval,
+                paused: state.paused,
+                lastRequested: state.lastRequested ? new Date(state.lastRequested).toISOString() : null
+            };
+        });
+        return feeds;
+    }
+}
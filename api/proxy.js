@@ -0,0 +1,771 @@
+import {createHash} from 'crypto';
+import {promisify} from 'util';
+import zlib from 'zlib';
+import {FEEDS, getFeed, getRecordFeed, feedKey, encodeFeedMessage, wantsProtobuf, PROTOBUF_TYPE} from './feeds.js';
+import {SCHEMA_VERSION, normalizeEntities, buildResponse, buildCombinedResponse, parseFields} from './normalize.js';
+import {parseFilters, queryFeeds, modesOf} from './query.js';
+import {indexRoutes, mergeVehicles} from './snapshot.js';
+import {collectDepartures, scheduledDepartures} from './departures.js';
+import {COMBINED_KINDS, combineFeeds, referencedRoutes} from './combined.js';
+
+/**
+ * Feed proxy core, shared by the Express server (api/server.js) and the
+ * Netlify function (netlify/functions/api.js)
+ * Fetches, decodes and caches upstream feeds, and shapes every response
+ * (status, headers, body), so local development and production behave the same.
+ */
+
+const BACKOFF_BASE = 5000; // First retry after an upstream error (doubles per failure)
+const BACKOFF_MAX = 5 * 60 * 1000; // Longest wait between retries
+
+const DEPARTURES_LIMIT = 10; // Departures per board by default
+const DEPARTURES_MAX = 50; // Most departures per board (?limit=)
+
+const COMPRESS_MIN_BYTES = 1024; // Smaller bodies are sent uncompressed
+
+// Headers a 304 Not Modified repeats from the full response
+const NOT_MODIFIED_HEADERS = ['Cache-Control', 'CDN-Cache-Control', 'ETag', 'Last-Modified', 'Vary'];
+
+// Response compression per Content-Encoding, best first (brotli at a quality fit for per-request use)
+const COMPRESSORS = {
+    br: body => promisify(zlib.brotliCompress)(body, {params: {[zlib.constants.BROTLI_PARAM_QUALITY]: 5}}),
+    gzip: body => promisify(zlib.gzip)(body)
+};
+
+/**
+ * Get the Transport Victoria API key from the environment
+ * `DTP_API_KEY`; `TRANSPORTVIC_API_KEY` (the old Netlify name) still works.
+ */
+export function resolveApiKey(env = process.env) {
+    if (!env.DTP_API_KEY && env.TRANSPORTVIC_API_KEY) {
+        console.warn('TRANSPORTVIC_API_KEY is deprecated, set DTP_API_KEY instead');
+        return env.TRANSPORTVIC_API_KEY;
+    }
+    return env.DTP_API_KEY;
+}
+
+/**
+ * Fetch a GTFS-Realtime feed from Transport Victoria API
+ * @param {Object} feed - Feed registry entry
+ * @param {string} apiKey - Transport Victoria API key
+ * @returns {Promise<{bytes: Uint8Array, message: Object}>} Raw protobuf and decoded FeedMessage
+ */
+export async function fetchFeed(feed, apiKey) {
+    const response = await fetch(feed.url, {
+        headers: {
+            'KeyId': apiKey
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`${response.url}: ${response.status} ${response.statusText}`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    return {bytes, message: feed.decode(bytes)};
+}
+
+/**
+ * Cache of upstream feeds
+ * - Snapshots are kept for the feed's TTL (feeds.js)
+ * - Concurrent cache misses share one upstream fetch
+ * - While a refresh is in flight, the previous snapshot is served (stale-while-revalidate)
+ * - If upstream fails, the last good snapshot is served with `stale: true`, and
+ *   upstream is not tried again until an exponential backoff has passed
+ * - Feeds kept fresh by a background poller (`poller`, see poller.js) are
+ *   always served from memory
+ */
+export default class FeedProxy {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - Transport Victoria API key
+     * @param {Object} options.source - Serves snapshots instead of upstream (`load(feed)`, e.g. simulator or replay)
+     * @param {Object} options.stopNames - Stop ID -> name maps per mode (see loadStopNames)
+     * @param {Object} options.routes - Route lists per mode, for merged snapshots (see loadRoutes)
+     * @param {FeedMetrics} options.metrics - Records fetches, cache results and snapshots
+     * @param {Function} options.onFetch - Called with (feed, bytes, message) after each upstream fetch
+     * @param {Function} options.onRecords - Called with (feed, cached, records) once a new snapshot is normalized
+     */
+    constructor({apiKey, source = null, stopNames = {}, routes = {}, metrics = null, onFetch = null, onRecords = null}) {
+        this.apiKey = apiKey;
+        this.source = source;
+        this.stopNames = stopNames;
+        this.metrics = metrics;
+        this.onFetch = onFetch;
+        this.onRecords = onRecords;
+
+        // Map<mode, Map<routeId, {line, name, color, textColor}>>
+        this.routes = new Map(Object.entries(routes).map(([mode, list]) => [mode, indexRoutes(list)]));
+
+        // Last good snapshot per "mode/kind": {timestamp, feed, bytes, stale?}
+        this.cache = new Map();
+
+        // Upstream fetches in flight, keyed by "mode/kind"
+        this.pending = new Map();
+
+        // Upstream error backoff per "mode/kind": {failures, retryAt, error}
+        this.backoff = new Map();
+
+        // Normalized records per snapshot (computed once, shared by /v1 and the stream)
+        this.normalized = new WeakMap();
+
+        // Merged snapshot per positions snapshot: {trips, cached} (rebuilt when either changes)
+        this.merged = new WeakMap();
+
+        // Merged multimodal feed per set of feeds ("metro/positions,..."): {snapshots, message, bytes, routes}
+        this.combined = new Map();
+
+        // Background poller refreshing the cache (FeedPoller, set by the server)
+        this.poller = null;
+    }
+
+    /**
+     * Current time (ms) of the feeds served, for snapshot ages: the source's
+     * clock when it has one (replay), else the wall clock
+     */
+    now() {
+        return this.source?.now ? this.source.now() : Date.now();
+    }
+
+    /**
+     * Fetch a feed from upstream into the cache (one fetch per feed at a time)
+     * @returns {Promise<{timestamp: number, feed: Object, bytes: Uint8Array}>}
+     */
+    refresh(feed) {
+        const key = feedKey(feed);
+
+        if (!this.pending.has(key)) {
+            console.log(`Fetching new ${feed.label}...`);
+            const start = performance.now();
+
+            const pending = fetchFeed(feed, this.apiKey)
+                .then(({bytes, message}) => {
+                    const cached = {timestamp: Date.now(), feed: message, bytes};
+                    this.metrics?.recordFetch(feed, (performance.now() - start) / 1000);
+                    this.metrics?.recordSnapshot(feed, cached);
+                    this.onFetch?.(feed, bytes, message);
+                    this.cache.set(key, cached);
+                    this.backoff.delete(key);
+                    return cached;
+                })
+                .catch(error => {
+                    this.metrics?.recordFetch(feed, (performance.now() - start) / 1000, error);
+                    const cached = this.cache.get(key);
+                    if (cached) {
+                        cached.stale = true;
+                    }
+                    const failures = (this.backoff.get(key)?.failures || 0) + 1;
+                    const delay = Math.min(BACKOFF_BASE * 2 ** (failures - 1), BACKOFF_MAX);
+                    this.backoff.set(key, {failures, retryAt: Date.now() + delay, error: error.message});
+                    console.error(`Error fetching ${feed.label} (failure ${failures}, next attempt in ${delay / 1000}s):`, error.message);
+                    throw error;
+                })
+                .finally(() => this.pending.delete(key));
+
+            this.pending.set(key, pending);
+        }
+
+        return this.pending.get(key);
+    }
+
+    /**
+     * Get a feed from cache, refreshing it from upstream once its TTL expires
+     * (polled feeds are returned as cached, the poller refreshes them)
+     * @returns {Promise<{timestamp: number, feed: Object, bytes?: Uint8Array, stale?: boolean}>}
+     */
+    async load(feed) {
+        if (feed.kind === 'snapshot') {
+            return this.loadSnapshot(feed);
+        }
+        if (this.source) {
+            const snapshot = await this.source.load(feed);
+            this.metrics?.recordSnapshot(feed, snapshot);
+            return snapshot;
+        }
+
+        const key = feedKey(feed);
+        const cached = this.cache.get(key);
+        const polled = this.poller ? this.poller.touch(feed) : false;
+
+        // Check if cache is still valid
+        if (cached && (polled || Date.now() - cached.timestamp <= feed.ttl)) {
+            this.metrics?.recordCache(feed, cached.stale ? 'stale' : 'hit');
+            return cached;
+        }
+        if (cached && this.pending.has(key)) {
+            this.metrics?.recordCache(feed, 'stale');
+            return cached;
+        }
+
+        const backoff = this.backoff.get(key);
+        if (backoff && Date.now() < backoff.retryAt) {
+            if (cached) {
+                this.metrics?.recordCache(feed, 'stale');
+                cached.stale = true;
+                return cached;
+            }
+            this.metrics?.recordCache(feed, 'miss');
+            throw new Error(`Upstream unavailable (${backoff.error})`);
+        }
+
+        try {
+            const fresh = await this.refresh(feed);
+            this.metrics?.recordCache(feed, 'miss');
+            return fresh;
+        } catch (error) {
+            if (cached) {
+                this.metrics?.recordCache(feed, 'stale');
+                cached.stale = true;
+                return cached;
+            }
+            this.metrics?.recordCache(feed, 'miss');
+            throw error;
+        }
+    }
+
+    /**
+     * Get a mode's merged vehicle snapshot (vehicles joined with trip updates and routes)
+     * Rebuilt only when the positions or trip updates snapshot changes. Without
+     * trip updates (e.g. that feed failing) vehicles are served without next stops.
+     * @returns {Promise<{timestamp: number, feed: Object, stale: boolean}>} Records via records()
+     */
+    async loadSnapshot(feed) {
+        const positionsFeed = getFeed(feed.mode, 'positions');
+        const tripsFeed = getFeed(feed.mode, 'trips');
+        const [positions, trips] = await Promise.all([
+            this.load(positionsFeed),
+            this.load(tripsFeed).catch(() => null)
+        ]);
+
+        let merged = this.merged.get(positions);
+        if (!merged || merged.trips !== trips) {
+            const cached = {
+                timestamp: positions.timestamp,
+                feed: {header: positions.feed.header},
+                sources: trips ? [positions, trips] : [positions], // For validators (see entityTag)
+                get stale() {
+                    return !!(positions.stale || trips?.stale);
+                }
+            };
+            // Trip updates first, so vehicles are checked against the current ones (onRecords)
+            const tripRecords = trips ? this.records(tripsFeed, trips) : [];
+            const records = mergeVehicles(
+                feed.mode,
+                this.records(positionsFeed, positions),
+                tripRecords,
+                this.routes.get(feed.mode) || new Map()
+            );
+
+            this.normalized.set(cached, records);
+            merged = {trips, cached};
+            this.merged.set(positions, merged);
+        }
+
+        return merged.cached;
+    }
+
+    /**
+     * Get the normalized records of a snapshot
+     * @returns {Array|null} Records, or null if the feed kind has no normalized form
+     */
+    records(feed, cached) {
+        let records = this.normalized.get(cached);
+
+        if (!records) {
+            records = normalizeEntities(feed.kind, cached.feed, this.stopNames[feed.mode]);
+            this.normalized.set(cached, records);
+            if (records) {
+                this.onRecords?.(feed, cached, records);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Get the merged multimodal FeedMessage of some feeds' snapshots (see combined.js)
+     * Rebuilt only when one of the snapshots changes.
+     * @param {Array} parts - `{feed, cached}` per feed
+     * @returns {{message: Object, bytes: Uint8Array, routes: Object}} Routes: see referencedRoutes
+     */
+    combine(parts) {
+        const key = parts.map(({feed}) => feedKey(feed)).join(',');
+        let combined = this.combined.get(key);
+
+        if (!combined || combined.snapshots.some((cached, index) => cached !== parts[index].cached)) {
+            const message = combineFeeds(parts);
+            combined = {
+                snapshots: parts.map(({cached}) => cached),
+                message,
+                bytes: encodeFeedMessage(message),
+                routes: referencedRoutes(message, this.routes)
+            };
+            this.combined.set(key, combined);
+        }
+
+        return combined;
+    }
+
+    /**
+     * Load a feed with its normalized records (for queryFeeds)
+     */
+    async loadRecords(feed) {
+        const cached = await this.load(feed);
+        return {cached, records: this.records(feed, cached)};
+    }
+}
+
+/**
+ * Caching headers for a response (browsers and CDN alike)
+ * @param {number} ttl - Feed TTL in milliseconds (0: not cacheable)
+ */
+function cacheHeaders(ttl) {
+    if (!ttl) {
+        return {'Cache-Control': 'no-store'};
+    }
+    const seconds = Math.max(1, Math.round(ttl / 1000));
+    return {
+        'Cache-Control': `public, max-age=${seconds}, s-maxage=${seconds}`,
+        'CDN-Cache-Control': `public, max-age=${seconds}`
+    };
+}
+
+/**
+ * Weak entity tag of a response: the feed header timestamps and staleness of
+ * the snapshots it was built from, and its content type. Weak, because bodies
+ * also carry fields such as `age` that change between requests for the same data.
+ * @param {Array} snapshots - Snapshots read (merged snapshots stand for their `sources`)
+ * @param {string} contentType - Response content type
+ */
+function entityTag(snapshots, contentType) {
+    const versions = snapshots
+        .flatMap(cached => cached.sources || [cached])
+        .map(cached => `${Number(cached.feed.header?.timestamp) || cached.timestamp}${cached.stale ? 's' : ''}`);
+    const hash = createHash('sha1').update(`${contentType}|${versions.join(',')}`).digest('base64url');
+    return `W/"${hash.slice(0, 20)}"`;
+}
+
+/**
+ * Add validators to a successful response: ETag (see entityTag) and
+ * Last-Modified (the newest feed header timestamp)
+ * A response built from no snapshot (e.g. every merged source failed) gets none.
+ * @returns {Object} The response
+ */
+function withValidators(response, snapshots) {
+    const timestamps = snapshots
+        .flatMap(cached => cached.sources || [cached])
+        .map(cached => Number(cached.feed.header?.timestamp) * 1000 || cached.timestamp);
+    if (timestamps.length === 0) {
+        return response;
+    }
+
+    response.headers.ETag = entityTag(snapshots, response.headers['Content-Type']);
+    response.headers['Last-Modified'] = new Date(Math.max(...timestamps)).toUTCString();
+    return response;
+}
+
+/**
+ * Check an If-None-Match header against an entity tag (weak comparison)
+ */
+function matchesEntityTag(ifNoneMatch, etag) {
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Pick the response compression from an Accept-Encoding header
+ * @returns {string|null} 'br', 'gzip', or null for none
+ */
+function negotiateEncoding(acceptEncoding = '') {
+    const accepted = new Map(acceptEncoding.split(',').map(part => {
+        const [name, ...params] = part.split(';').map(value => value.trim());
+        const q = params.find(param => param.startsWith('q='));
+        return [name.toLowerCase(), q ? parseFloat(q.slice(2)) : 1];
+    }));
+
+    return Object.keys(COMPRESSORS).find(encoding => (accepted.get(encoding) ?? accepted.get('*') ?? 0) > 0) || null;
+}
+
+/**
+ * Finish a response for a client (server and Netlify function alike):
+ * 304 Not Modified when its ETag matches If-None-Match, otherwise the body
+ * compressed with the best encoding the client accepts
+ * @param {Object} response - `{status, headers, body}` from one of the response functions
+ * @param {Object} request - `{ifNoneMatch, acceptEncoding}` request headers
+ * @returns {Promise<{status: number, headers: Object, body: string|Buffer}>}
+ */
+export async function finishResponse(response, {ifNoneMatch, acceptEncoding} = {}) {
+    const headers = {
+        ...response.headers,
+        'Vary': response.headers.Vary ? `${response.headers.Vary}, Accept-Encoding` : 'Accept-Encoding'
+    };
+
+    if (ifNoneMatch && headers.ETag && matchesEntityTag(ifNoneMatch, headers.ETag)) {
+        return {
+            status: 304,
+            headers: Object.fromEntries(NOT_MODIFIED_HEADERS.filter(name => headers[name]).map(name => [name, headers[name]])),
+            body: ''
+        };
+    }
+
+    const encoding = negotiateEncoding(acceptEncoding);
+    if (!encoding || Buffer.byteLength(response.body) < COMPRESS_MIN_BYTES) {
+        return {...response, headers};
+    }
+
+    return {
+        status: response.status,
+        headers: {...headers, 'Content-Encoding': encoding},
+        body: await COMPRESSORS[encoding](response.body)
+    };
+}
+
+/**
+ * JSON response
+ * @returns {{status: number, headers: Object, body: string}}
+ */
+export function jsonResponse(status, body, ttl = 0) {
+    return {
+        status,
+        headers: {'Content-Type': 'application/json', ...cacheHeaders(ttl)},
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Answer a raw feed request (/feeds/:mode/:kind and its aliases)
+ * JSON by default: `{timestamp, feed, stale, age}`; the upstream protobuf bytes
+ * when asked for (Accept: application/x-protobuf or ?format=protobuf), with
+ * the snapshot's fetch time and staleness in X-Feed-* headers.
+ * @param {FeedProxy} proxy
+ * @param {Object} feed - Feed registry entry
+ * @param {Object} request - `{accept, query}`
+ * @returns {Promise<{status: number, headers: Object, body: string|Buffer}>}
+ */
+export async function feedResponse(proxy, feed, {accept, query = {}}) {
+    let cached;
+    try {
+        cached = await proxy.load(feed);
+    } catch (error) {
+        console.error(`Error fetching ${feed.label}:`, error);
+        return jsonResponse(500, {error: `Failed to fetch ${feed.label}`});
+    }
+
+    const age = proxy.now() - cached.timestamp;
+    const headers = {...cacheHeaders(feed.ttl), 'Vary': 'Accept'};
+
+    if (wantsProtobuf(accept, query.format)) {
+        return withValidators({
+            status: 200,
+            headers: {
+                ...headers,
+                'Content-Type': PROTOBUF_TYPE,
+                'X-Feed-Fetched-At': String(cached.timestamp),
+                'X-Feed-Stale': String(!!cached.stale),
+                'X-Feed-Age': String(age)
+            },
+            // Generated snapshots (simulator, replay) have no upstream bytes
+            body: Buffer.from(cached.bytes || encodeFeedMessage(cached.feed))
+        }, [cached]);
+    }
+
+    return withValidators({
+        status: 200,
+        headers: {...headers, 'Content-Type': 'application/json'},
+        body: JSON.stringify({
+            timestamp: cached.timestamp,
+            feed: cached.feed,
+            stale: !!cached.stale,
+            age
+        })
+    }, [cached]);
+}
+
+/**
+ * Answer a merged multimodal feed request (/gtfs-rt): one GTFS-Realtime
+ * FeedMessage with the entities of every mode's feeds (see combined.js)
+ * ?modes=metro,tram and ?kinds=positions,trips,alerts pick the feeds (default all).
+ * Protobuf when asked for (Accept: application/x-protobuf or ?format=protobuf),
+ * with the newest fetch time and staleness in X-Feed-* headers; JSON
+ * `{timestamp, feeds, stale, routes, feed}` otherwise. Feeds that fail are left
+ * out (and listed with their error in `feeds`) as long as one succeeds.
+ * @param {FeedProxy} proxy
+ * @param {Object} request - `{accept, query}`
+ * @returns {Promise<{status: number, headers: Object, body: string|Buffer}>}
+ */
+export async function combinedResponse(proxy, {accept, query = {}}) {
+    const modes = parseFields(query.modes);
+    const kinds = parseFields(query.kinds) || COMBINED_KINDS;
+
+    const unknownModes = (modes || []).filter(mode => !FEEDS.some(feed => feed.mode === mode));
+    if (unknownModes.length > 0) {
+        return jsonResponse(400, {error: `Unknown modes: ${unknownModes.join(', ')}`});
+    }
+    const unknownKinds = kinds.filter(kind => !COMBINED_KINDS.includes(kind));
+    if (unknownKinds.length > 0) {
+        return jsonResponse(400, {error: `Unknown kinds: ${unknownKinds.join(', ')} (${COMBINED_KINDS.join(', ')})`});
+    }
+
+    const feeds = FEEDS.filter(feed => kinds.includes(feed.kind) && (!modes || modes.includes(feed.mode)));
+    const results = await Promise.all(feeds.map(feed => proxy.load(feed)
+        .then(cached => ({feed, cached}))
+        .catch(error => {
+            console.error(`Error fetching ${feed.label}:`, error.message);
+            return {feed, error};
+        })));
+
+    const parts = results.filter(result => result.cached);
+    if (parts.length === 0) {
+        return jsonResponse(500, {error: 'Failed to fetch feeds'});
+    }
+
+    const {message, bytes, routes} = proxy.combine(parts);
+    const now = proxy.now();
+    const fetchedAt = Math.max(...parts.map(({cached}) => cached.timestamp));
+    const stale = results.some(result => result.error || result.cached.stale);
+    const headers = {...cacheHeaders(Math.min(...parts.map(({feed}) => feed.ttl))), 'Vary': 'Accept'};
+
+    const snapshots = parts.map(({cached}) => cached);
+
+    if (wantsProtobuf(accept, query.format)) {
+        return withValidators({
+            status: 200,
+            headers: {
+                ...headers,
+                'Content-Type': PROTOBUF_TYPE,
+                'X-Feed-Fetched-At': String(fetchedAt),
+                'X-Feed-Stale': String(stale),
+                'X-Feed-Age': String(now - fetchedAt)
+            },
+            body: Buffer.from(bytes)
+        }, snapshots);
+    }
+
+    return withValidators({
+        status: 200,
+        headers: {...headers, 'Content-Type': 'application/json'},
+        body: JSON.stringify({
+            timestamp: fetchedAt,
+            feeds: Object.fromEntries(results.map(({feed, cached, error}) => [feedKey(feed), cached
+                ? {fetchedAt: cached.timestamp, stale: !!cached.stale, age: now - cached.timestamp}
+                : {error: `Failed to fetch ${feed.label}`}])),
+            stale,
+            routes,
+            feed: message
+        })
+    }, snapshots);
+}
+
+/**
+ * Answer a normalized (v1) request: /v1/:kind (all modes) or /v1/:mode/:kind
+ * (`kind` 'snapshot' serves merged vehicles, see loadSnapshot)
+ * Filters: ?bbox=west,south,east,north, ?routes=<routeId>,..., ?modes=metro,tram
+ * Delta updates: ?since=<feedVersion> returns only what changed since that version
+ * (only with `versions`; without, full snapshots without a feedVersion are returned)
+ * @param {FeedProxy} proxy
+ * @param {Object} request - `{kind, mode, query}` (`mode` undefined for all modes)
+ * @param {FeedVersions} [versions] - Feed versions kept between requests
+ * @returns {Promise<{status: number, headers: Object, body: string}>}
+ */
+export async function recordsResponse(proxy, {kind, mode, query = {}}, versions = null) {
+    const allModes = modesOf(kind);
+    const modes = mode ? allModes.filter(m => m === mode) : allModes;
+
+    if (modes.length === 0) {
+        return jsonResponse(404, {error: `Unknown feed: ${mode ? `${mode}/` : ''}${kind}`});
+    }
+
+    let filters;
+    try {
+        filters = parseFilters(query);
+    } catch (error) {
+        return jsonResponse(400, {error: error.message});
+    }
+
+    const since = versions && query.since !== undefined ? Number(query.since) : undefined;
+    if (Number.isNaN(since)) {
+        return jsonResponse(400, {error: `Invalid since: ${query.since}`});
+    }
+
+    const selected = filters.modes ? modes.filter(m => filters.modes.includes(m)) : modes;
+    const ttl = getRecordFeed(modes[0], kind).ttl;
+
+    try {
+        const all = await queryFeeds(kind, selected, filters, feed => proxy.loadRecords(feed));
+
+        // Modes that failed are reported in `feeds`, as long as one succeeds
+        const results = all.filter(result => !result.error);
+        const failed = all.filter(result => result.error);
+        if (failed.length > 0 && results.length === 0) {
+            return jsonResponse(500, {error: `Failed to fetch ${kind}`});
+        }
+
+        if (versions) {
+            results.forEach(result => {
+                const state = versions.update(result.feed, result.cached, result.all);
+                result.version = state.version;
+                if (since !== undefined) {
+                    result.changes = versions.changes(state, since, result.matches);
+                }
+            });
+        }
+
+        let body;
+        const snapshots = results.flatMap(result => result.snapshots);
+        if (!mode) {
+            body = buildCombinedResponse(kind, results, query, {
+                sequence: versions ? versions.sequence : undefined,
+                failed,
+                now: proxy.now()
+            });
+        } else if (results.length > 0) {
+            body = buildResponse(results[0], query, proxy.now());
+        } else {
+            // Mode excluded by ?modes=
+            const feed = getRecordFeed(mode, kind);
+            const cached = await proxy.load(feed);
+            snapshots.push(cached);
+            body = buildResponse({feed, cached, records: []}, query, proxy.now());
+        }
+
+        return withValidators(jsonResponse(200, body, ttl), snapshots);
+    } catch (error) {
+        console.error(`Error fetching ${kind}:`, error);
+        return jsonResponse(500, {error: `Failed to fetch ${kind}`});
+    }
+}
+
+/**
+ * Answer a trip request (/trip/:tripId): the trip update with its full predicted
+ * stop sequence (arrival, departure, delays and schedule relationship per stop)
+ * ?mode= only searches that mode's trip updates, otherwise every mode is searched.
+ * @param {FeedProxy} proxy
+ * @param {Object} request - `{tripId, query}`
+ * @returns {Promise<{status: number, headers: Object, body: string}>}
+ */
+export async function tripResponse(proxy, {tripId, query = {}}) {
+    const modes = modesOf('trips');
+
+    if (query.mode && !modes.includes(query.mode)) {
+        return jsonResponse(404, {error: `Unknown mode: ${query.mode}`});
+    }
+
+    let failed = false;
+    const snapshots = [];
+    for (const mode of query.mode ? [query.mode] : modes) {
+        const feed = getFeed(mode, 'trips');
+        let result;
+        try {
+            result = await proxy.loadRecords(feed);
+        } catch (error) {
+            console.error(`Error fetching ${feed.label}:`, error.message);
+            failed = true;
+            continue;
+        }
+
+        const {cached, records} = result;
+        const trip = records.find(record => record.tripId === tripId);
+        snapshots.push(cached);
+        if (trip) {
+            return withValidators(jsonResponse(200, {
+                version: SCHEMA_VERSION,
+                mode,
+                timestamp: Number(cached.feed.header?.timestamp) || null,
+                fetchedAt: cached.timestamp,
+                stale: !!cached.stale,
+                age: proxy.now() - cached.timestamp,
+                trip
+            }, feed.ttl), snapshots);
+        }
+    }
+
+    return failed
+        ? jsonResponse(500, {error: 'Failed to fetch trip updates'})
+        : jsonResponse(404, {error: `Trip not found: ${tripId}`});
+}
+
+/**
+ * Answer a departure board request (/stops/:stopId/departures)
+ * The next departures from a stop, or from every platform of a railway station,
+ * merged over each mode calling there: its timetable with the trip updates
+ * overlaid, or the trip updates alone without a timetable (see departures.js).
+ * A mode whose trip updates fail is listed on time from its timetable.
+ * ?limit= sets the number of departures (default 10, at most 50).
+ * @param {FeedProxy} proxy
+ * @param {Object} request - `{stopId, query}`
+ * @param {StopIndex} stopIndex - Resolves stop and station IDs
+ * @param {DepartureTimetables} timetables - Static timetables and platform numbers
+ * @returns {Promise<{status: number, headers: Object, body: string}>}
+ */
+export async function departuresResponse(proxy, {stopId, query = {}}, stopIndex, timetables) {
+    const station = stopIndex.resolve(stopId);
+    if (!station) {
+        return jsonResponse(404, {error: `Unknown stop: ${stopId}`});
+    }
+
+    const limit = query.limit === undefined ? DEPARTURES_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > DEPARTURES_MAX) {
+        return jsonResponse(400, {error: `Invalid limit: ${query.limit} (1-${DEPARTURES_MAX})`});
+    }
+
+    const feeds = {};
+    const departures = [];
+    const snapshots = [];
+    let ttl = 0;
+
+    for (const [mode, stopIds] of station.stops) {
+        const feed = getFeed(mode, 'trips');
+        // Without a readable timetable the board falls back to the trip updates alone
+        let timetable = null;
+        let platforms = {};
+        try {
+            [timetable, platforms] = await Promise.all([timetables.callsAt(mode, stopIds), timetables.platforms(mode)]);
+        } catch (error) {
+            console.error(`Error reading the ${mode} timetable:`, error.message);
+        }
+        const routeIndex = proxy.routes.get(mode) || new Map();
+
+        let result = null;
+        try {
+            result = await proxy.loadRecords(feed);
+        } catch (error) {
+            console.error(`Error fetching ${feed.label}:`, error.message);
+            if (!timetable) continue;
+        }
+
+        let records = [];
+        // The feed's own time, so replayed feeds get replayed departures
+        let now = proxy.now() / 1000;
+        if (result) {
+            const {cached} = result;
+            records = result.records;
+            now = Number(cached.feed.header?.timestamp) || now;
+            feeds[mode] = {fetchedAt: cached.timestamp, stale: !!cached.stale, age: proxy.now() - cached.timestamp};
+            snapshots.push(cached);
+            ttl = feed.ttl;
+        } else {
+            feeds[mode] = {error: `Failed to fetch ${feed.label}`, stale: true};
+        }
+
+        departures.push(...(timetable
+            ? scheduledDepartures(mode, timetable, records, stopIds, {routeIndex, stopNames: proxy.stopNames[mode] || {}, platforms, now})
+            : collectDepartures(mode, records, stopIds, routeIndex, now, platforms)));
+    }
+
+    if (station.stops.size > 0 && Object.keys(feeds).length === 0) {
+        return jsonResponse(500, {error: 'Failed to fetch trip updates'});
+    }
+
+    departures.sort((a, b) => a.predicted - b.predicted);
+
+    const response = jsonResponse(200, {
+        version: SCHEMA_VERSION,
+        stopId,
+        name: station.name,
+        stopIds: [...new Set([...station.stops.values()].flatMap(stopIds => [...stopIds]))],
+        feeds,
+        stale: Object.values(feeds).some(status => status.stale),
+        departures: departures.slice(0, limit)
+    }, ttl);
+    return withValidators(response, snapshots);
+}
@@ -0,0 +1,106 @@
+import {FEEDS, SNAPSHOT_FEEDS, getFeed, getRecordFeed} from './feeds.js';
+import {RECORD_KEYS, parseFields} from './normalize.js';
+
+/**
+ * Spatial, route and mode filters for the normalized (v1) endpoints
+ * ?bbox=west,south,east,north  ?routes=<routeId>,...  ?modes=metro,tram
+ */
+
+/**
+ * Parse the filter query parameters
+ * @returns {{bbox: number[]|null, routes: Set|null, modes: string[]|null}}
+ * @throws {Error} If a parameter is malformed (message is safe to return to the client)
+ */
+export function parseFilters(query = {}) {
+    let bbox = null;
+    if (query.bbox) {
+        bbox = String(query.bbox).split(',').map(Number);
+        const [west, south, east, north] = bbox;
+        if (bbox.length !== 4 || bbox.some(value => !Number.isFinite(value)) || west > east || south > north) {
+            throw new Error(`Invalid bbox: ${query.bbox} (expected west,south,east,north)`);
+        }
+    }
+
+    const modes = parseFields(query.modes);
+    const unknown = (modes || []).filter(mode => !FEEDS.some(feed => feed.mode === mode));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown modes: ${unknown.join(', ')}`);
+    }
+
+    const routes = parseFields(query.routes);
+
+    return {
+        bbox,
+        routes: routes ? new Set(routes) : null,
+        modes
+    };
+}
+
+function inBbox(record, [west, south, east, north]) {
+    return record.lon >= west && record.lon <= east && record.lat >= south && record.lat <= north;
+}
+
+/**
+ * Load and filter the normalized records of one kind for several modes
+ * Trip updates carry no position, so `bbox` keeps the trips whose vehicle
+ * (from the same mode's positions feed) is inside the box.
+ * @param {string} kind - Feed kind ('positions', 'trips' or 'snapshot')
+ * @param {string[]} modes - Modes to include
+ * @param {Object} filters - Parsed filters (see parseFilters)
+ * @param {Function} loadRecords - `feed => Promise<{cached, records}>`
+ * @returns {Promise<Array>} `{feed, cached, snapshots, all, records, matches}` per mode:
+ *          every snapshot read (for validators), all records, the filtered ones, and the filter itself;
+ *          `{feed, error}` for a mode that failed (the other modes are still returned)
+ */
+export async function queryFeeds(kind, modes, filters, loadRecords) {
+    return Promise.all(modes.map(mode => {
+        const feed = getRecordFeed(mode, kind);
+        return queryFeed(kind, feed, filters, loadRecords).catch(error => {
+            console.error(`Error fetching ${feed.label}:`, error.message);
+            return {feed, error};
+        });
+    }));
+}
+
+/**
+ * Load and filter one mode's records (see queryFeeds)
+ */
+async function queryFeed(kind, feed, filters, loadRecords) {
+    const {bbox, routes} = filters;
+    const mode = feed.mode;
+    const {cached, records} = await loadRecords(feed);
+
+    const snapshots = [cached];
+    let tripIdsInBbox = null;
+    if (bbox && kind === 'trips') {
+        const positions = await loadRecords(getFeed(mode, 'positions'));
+        snapshots.push(positions.cached);
+        tripIdsInBbox = new Set(positions.records
+            .filter(vehicle => inBbox(vehicle, bbox))
+            .map(vehicle => vehicle.tripId));
+    }
+
+    const matches = record => {
+        if (routes && !routes.has(record.routeId)) return false;
+        if (tripIdsInBbox) return tripIdsInBbox.has(record.tripId);
+        if (bbox) return inBbox(record, bbox);
+        return true;
+    };
+
+    return {
+        feed,
+        cached,
+        snapshots,
+        all: records,
+        records: records.filter(matches),
+        matches
+    };
+}
+
+/**
+ * Modes that have a feed of the given normalized kind
+ */
+export function modesOf(kind) {
+    if (!RECORD_KEYS[kind]) return [];
+    return [...FEEDS, ...SNAPSHOT_FEEDS].filter(feed => feed.kind === kind).map(feed => feed.mode);
+}
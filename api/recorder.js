@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {feedKey} from './feeds.js';
+
+/**
+ * GTFS-Realtime feed recorder
+ * Archives every fetched snapshot as raw protobuf, partitioned by
+ * mode/kind/UTC date/UTC hour:
+ *
+ *   <dir>/metro/positions/2025-10-27/13.pb          concatenated FeedMessages
+ *   <dir>/metro/positions/2025-10-27/13.index.jsonl one line per snapshot
+ *
+ * Each index line holds the fetch time, the feed header timestamp and the
+ * byte range of the snapshot in the matching .pb file.
+ */
+export default class FeedRecorder {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Root directory for recordings
+     * @param {number} options.retentionHours - Delete partitions older than this
+     * @param {number} options.maxBytes - Delete oldest partitions once the archive exceeds this (0 = no limit)
+     */
+    constructor({dir, retentionHours, maxBytes}) {
+        this.dir = path.resolve(dir);
+        this.retentionHours = retentionHours;
+        this.maxBytes = maxBytes;
+
+        // Writes are chained per feed so index offsets stay consistent
+        this.queues = new Map();
+
+        // Prune on start, then every 10 minutes
+        this.prune();
+        this.pruneIntervalId = setInterval(() => this.prune(), 10 * 60 * 1000);
+        this.pruneIntervalId.unref();
+    }
+
+    /**
+     * Queue a snapshot for writing
+     * @param {Object} feed - Feed registry entry
+     * @param {Uint8Array} bytes - Raw protobuf as received from upstream
+     * @param {Object} message - Decoded FeedMessage
+     * @returns {Promise} Resolves once the snapshot is on disk
+     */
+    record(feed, bytes, message) {
+        const key = feedKey(feed);
+        const fetchedAt = Date.now();
+        const previous = this.queues.get(key) || Promise.resolve();
+
+        const next = previous
+            .then(() => this.write(feed, bytes, message, fetchedAt))
+            .catch(error => {
+                console.error(`Recorder: failed to write ${feed.label}:`, error.message);
+            });
+
+        this.queues.set(key, next);
+        return next;
+    }
+
+    async write(feed, bytes, message, fetchedAt) {
+        const {dir, hour} = partitionOf(fetchedAt);
+        const partitionDir = path.join(this.dir, feed.mode, feed.kind, dir);
+        const dataFile = path.join(partitionDir, `${hour}.pb`);
+        const indexFile = path.join(partitionDir, `${hour}.index.jsonl`);
+
+        await fs.mkdir(partitionDir, {recursive: true});
+
+        let offset = 0;
+        try {
+            offset = (await fs.stat(dataFile)).size;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const entry = {
+            fetchedAt,
+            headerTimestamp: Number(message.header?.timestamp || 0),
+            entities: (message.entity || []).length,
+            offset,
+            length: bytes.byteLength
+        };
+
+        await fs.appendFile(dataFile, bytes);
+        await fs.appendFile(indexFile, JSON.stringify(entry) + '\n');
+    }
+
+    /**
+     * Enforce retention limits by deleting whole hourly partitions
+     */
+    async prune() {
+        try {
+            const partitions = await this.listPartitions();
+            const cutoff = Date.now() - this.retentionHours * 3600 * 1000;
+
+            // Oldest first
+            partitions.sort((a, b) => a.start - b.start);
+
+            let totalBytes = partitions.reduce((sum, p) => sum + p.bytes, 0);
+
+            for (const partition of partitions) {
+                const expired = partition.start + 3600 * 1000 < cutoff;
+                const overSize = this.maxBytes > 0 && totalBytes > this.maxBytes;
+
+                if (!expired && !overSize) continue;
+
+                await Promise.all(partition.files.map(file => fs.rm(file, {force: true})));
+                totalBytes -= partition.bytes;
+
+                // Drop the date directory once its last hour is gone
+                await fs.rmdir(partition.dir).catch(() => {});
+            }
+        } catch (error) {
+            console.error('Recorder: prune failed:', error.message);
+        }
+    }
+
+    /**
+     * List every hourly partition on disk
+     * @returns {Promise<Array<{start: number, bytes: number, dir: string, files: string[]}>>}
+     */
+    async listPartitions() {
+        const partitions = [];
+
+        for (const modeDir of await readDirs(this.dir)) {
+            for (const kindDir of await readDirs(modeDir)) {
+                for (const dateDir of await readDirs(kindDir)) {
+                    const names = await fs.readdir(dateDir);
+
+                    for (const name of names.filter(n => n.endsWith('.pb'))) {
+                        const hour = name.slice(0, -'.pb'.length);
+                        const files = [
+                            path.join(dateDir, name),
+                            path.join(dateDir, `${hour}.index.jsonl`)
+                        ];
+                        const sizes = await Promise.all(files.map(file =>
+                            fs.stat(file).then(stat => stat.size, () => 0)
+                        ));
+
+                        partitions.push({
+                            start: Date.parse(`${path.basename(dateDir)}T${hour}:00:00Z`),
+                            bytes: sizes[0] + sizes[1],
+                            dir: dateDir,
+                            files
+                        });
+                    }
+                }
+            }
+        }
+
+        return partitions;
+    }
+}
+
+/**
+ * UTC date directory and hour file name for a timestamp
+ */
+export function partitionOf(timestamp) {
+    const iso = new Date(timestamp).toISOString();
+    return {
+        dir: iso.slice(0, 10),   // YYYY-MM-DD
+        hour: iso.slice(11, 13)  // HH
+    };
+}
+
+/**
+ * Subdirectories of a directory (empty if it does not exist)
+ */
+async function readDirs(dir) {
+    try {
+        const entries = await fs.readdir(dir, {withFileTypes: true});
+        return entries.filter(e => e.isDirectory()).map(e => path.join(dir, e.name));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
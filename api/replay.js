@@ -0,0 +1,214 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {feedKey} from './feeds.js';
+import {partitionOf} from './recorder.js';
+
+const MIN_SPEED = 1;
+const MAX_SPEED = 60;
+const HOUR = 3600 * 1000;
+
+/**
+ * Replay of recorded GTFS-Realtime feeds
+ * Reads the directory layout written by FeedRecorder and serves, for each
+ * feed, the last snapshot recorded at or before the replay clock.
+ *
+ * The replay clock is shared by every client: seeking, pausing or changing
+ * speed affects everyone watching.
+ */
+export default class FeedReplay {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Root directory of a FeedRecorder archive
+     */
+    constructor({dir}) {
+        this.dir = path.resolve(dir);
+
+        // Time range covered by the recordings (ms)
+        this.start = null;
+        this.end = null;
+
+        // Replay clock: replay time `anchorTime` at wall-clock `anchorReal`
+        this.anchorTime = null;
+        this.anchorReal = Date.now();
+        this.speed = MIN_SPEED;
+        this.paused = false;
+
+        // Parsed index files: Map<path, {size, entries}>
+        this.indexes = new Map();
+
+        // Last decoded snapshot per feed
+        this.decoded = new Map();
+    }
+
+    /**
+     * Scan the archive for its time range and start the clock at its beginning
+     */
+    async init() {
+        const files = await listIndexFiles(this.dir);
+
+        for (const file of files) {
+            const entries = await this.readIndex(file);
+            if (entries.length === 0) continue;
+
+            const first = entries[0].fetchedAt;
+            const last = entries[entries.length - 1].fetchedAt;
+            this.start = this.start === null ? first : Math.min(this.start, first);
+            this.end = this.end === null ? last : Math.max(this.end, last);
+        }
+
+        if (this.start === null) {
+            throw new Error(`No recordings found in ${this.dir}`);
+        }
+
+        this.seek(this.start);
+    }
+
+    /**
+     * Current replay time in milliseconds
+     */
+    now() {
+        if (this.paused) {
+            return this.anchorTime;
+        }
+
+        const time = this.anchorTime + (Date.now() - this.anchorReal) * this.speed;
+
+        // Stop at the end of the recordings
+        if (time >= this.end) {
+            this.seek(this.end);
+            this.paused = true;
+            return this.end;
+        }
+
+        return time;
+    }
+
+    seek(time) {
+        this.anchorTime = Math.max(this.start, Math.min(this.end, time));
+        this.anchorReal = Date.now();
+    }
+
+    setSpeed(speed) {
+        this.seek(this.now());
+        this.speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, speed));
+    }
+
+    pause() {
+        this.seek(this.now());
+        this.paused = true;
+    }
+
+    play() {
+        this.seek(this.now());
+        this.paused = false;
+    }
+
+    /**
+     * Clock state as sent to clients
+     */
+    getState() {
+        return {
+            time: this.now(),
+            speed: this.speed,
+            paused: this.paused,
+            start: this.start,
+            end: this.end
+        };
+    }
+
+    /**
+     * Get the snapshot of a feed at the current replay time
+     * @param {Object} feed - Feed registry entry
+     * @returns {Promise<{timestamp: number, feed: Object}>}
+     */
+    async load(feed) {
+        const time = this.now();
+        const feedDir = path.join(this.dir, feed.mode, feed.kind);
+
+        // The snapshot is in this hour's partition, unless the hour has none yet
+        for (const partitionTime of [time, time - HOUR]) {
+            const {dir, hour} = partitionOf(partitionTime);
+            const base = path.join(feedDir, dir, hour);
+            const entries = await this.readIndex(`${base}.index.jsonl`);
+            const entry = findLast(entries, e => e.fetchedAt <= time);
+
+            if (entry) {
+                return {
+                    timestamp: entry.fetchedAt,
+                    feed: await this.readSnapshot(feed, `${base}.pb`, entry)
+                };
+            }
+        }
+
+        throw new Error(`No recorded ${feed.label} at ${new Date(time).toISOString()}`);
+    }
+
+    async readSnapshot(feed, file, entry) {
+        const cacheKey = `${file}:${entry.offset}`;
+        const cached = this.decoded.get(feedKey(feed));
+
+        if (cached && cached.key === cacheKey) {
+            return cached.message;
+        }
+
+        const handle = await fs.open(file, 'r');
+        try {
+            const bytes = new Uint8Array(entry.length);
+            await handle.read(bytes, 0, entry.length, entry.offset);
+
+            const message = feed.decode(bytes);
+            this.decoded.set(feedKey(feed), {key: cacheKey, message});
+            return message;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Read an index file (re-read only if it has grown since last time)
+     * @returns {Promise<Array>} Index entries, oldest first (empty if the file does not exist)
+     */
+    async readIndex(file) {
+        let size;
+        try {
+            size = (await fs.stat(file)).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const cached = this.indexes.get(file);
+        if (cached && cached.size === size) {
+            return cached.entries;
+        }
+
+        const content = await fs.readFile(file, 'utf-8');
+        const entries = content
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+
+        this.indexes.set(file, {size, entries});
+        return entries;
+    }
+}
+
+/**
+ * Last element of an array matching a predicate
+ */
+function findLast(array, predicate) {
+    for (let i = array.length - 1; i >= 0; i--) {
+        if (predicate(array[i])) return array[i];
+    }
+    return undefined;
+}
+
+/**
+ * All *.index.jsonl files below a directory
+ */
+export async function listIndexFiles(dir) {
+    const entries = await fs.readdir(dir, {withFileTypes: true, recursive: true});
+    return entries
+        .filter(e => e.isFile() && e.name.endsWith('.index.jsonl'))
+        .map(e => path.join(e.parentPath || e.path, e.name));
+}
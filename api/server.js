@@ -1,285 +1,472 @@
 import express from 'express';
 import cors from 'cors';
-import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import {fileURLToPath} from 'url';
+import {FEEDS, SNAPSHOT_FEEDS, feedKey, getFeed} from './feeds.js';
+import {loadStopNames, SCHEMA_VERSION} from './normalize.js';
+import {loadRoutes} from './snapshot.js';
+import StopIndex, {DepartureTimetables, dataFileReader, loadStations} from './departures.js';
+import FeedProxy, {resolveApiKey, feedResponse, recordsResponse, tripResponse, departuresResponse, combinedResponse, jsonResponse, finishResponse} from './proxy.js';
+import FeedStream from './stream.js';
+import FeedRecorder from './recorder.js';
+import FeedReplay from './replay.js';
+import FeedSimulator from './simulator.js';
+import FeedVersions from './versions.js';
+import FeedMetrics from './metrics.js';
+import FeedPoller from './poller.js';
+import DelayStats from './stats.js';
+import FeedDiagnostics from './diagnostics.js';
+import PositionHistory from './history.js';
 import 'dotenv/config';
 
 const PORT = process.env.PORT || 3000;
-const API_KEY = process.env.DTP_API_KEY;
+const STREAM_INTERVAL = parseInt(process.env.STREAM_INTERVAL, 10) || 5000;
+const RECORD_DIR = process.env.RECORD_DIR;
+const RECORD_RETENTION_HOURS = parseFloat(process.env.RECORD_RETENTION_HOURS) || 168;
+const RECORD_MAX_MB = parseFloat(process.env.RECORD_MAX_MB) || 0;
+const REPLAY_DIR = process.env.REPLAY_DIR;
+const SIMULATE = process.env.SIMULATE === '1' || process.env.SIMULATE === 'true';
+const POLL = process.env.POLL !== '0' && process.env.POLL !== 'false';
+const POLL_JITTER = parseFloat(process.env.POLL_JITTER) || 0.1;
+const POLL_IDLE_MINUTES = process.env.POLL_IDLE_MINUTES === '0' ? 0 : parseFloat(process.env.POLL_IDLE_MINUTES) || 5; // 0: never pause
+const TRAIL_MINUTES = parseFloat(process.env.TRAIL_MINUTES) || 30;
+const API_KEY = resolveApiKey();
+const DATA_DIR = fileURLToPath(new URL('../data', import.meta.url));
 
-if (!API_KEY) {
+// Replay mode serves recorded feeds instead of live ones (no API key needed)
+const replay = REPLAY_DIR ? new FeedReplay({dir: REPLAY_DIR}) : null;
+
+// Simulator mode generates feeds from the bundled static data (no API key needed)
+const simulator = SIMULATE && !replay
+    ? new FeedSimulator({
+        dataDir: process.env.SIM_DATA_DIR || DATA_DIR,
+        headways: parsePerMode(process.env.SIM_HEADWAYS),
+        density: parseFloat(process.env.SIM_DENSITY) || 1,
+        maxDelay: parseFloat(process.env.SIM_MAX_DELAY) || 300,
+        occupancy: parseFloat(process.env.SIM_OCCUPANCY) || 0.4
+    })
+    : null;
+
+// Where feeds come from when not fetched live from Transport Victoria
+const feedSource = replay || simulator;
+
+if (!API_KEY && !feedSource) {
     console.error('Error: DTP_API_KEY environment variable is required');
     console.error('Get your API key from https://opendata.transport.vic.gov.au');
     process.exit(1);
 }
 
 /**
- * Fetch GTFS-Realtime feed from Transport Victoria API
+ * Parse per-mode values, e.g. "metro:5,bus:30" (keys may also be "mode/kind")
  */
-async function fetchGTFSFeed(endpoint) {
-    const response = await fetch(endpoint, {
-        headers: {
-            'KeyId': API_KEY
+function parsePerMode(value) {
+    const values = {};
+    (value || '').split(',').filter(Boolean).forEach(pair => {
+        const [key, number] = pair.split(':');
+        if (key && parseFloat(number) > 0) {
+            values[key.trim()] = parseFloat(number);
         }
     });
+    return values;
+}
+
+// Optional archive of every fetched snapshot (enabled by RECORD_DIR)
+const recorder = RECORD_DIR
+    ? new FeedRecorder({
+        dir: RECORD_DIR,
+        retentionHours: RECORD_RETENTION_HOURS,
+        maxBytes: RECORD_MAX_MB * 1024 * 1024
+    })
+    : null;
+
+// Versions of the normalized feeds for delta updates (?since=)
+const feedVersions = new FeedVersions();
+
+// Upstream latency, errors, cache results and snapshot state per feed (/health, /metrics)
+const metrics = new FeedMetrics(FEEDS);
 
-    if (!response.ok) {
-        throw new Error(`${response.url}: ${response.status} ${response.statusText}`);
+// Stop ID -> name maps per mode
+const stopNames = loadStopNames(DATA_DIR);
+
+// Stops and railway stations for departure boards
+const stopIndex = new StopIndex(stopNames, loadStations(DATA_DIR));
+
+// Timetables and platform numbers for departure boards (read on first use)
+const timetables = new DepartureTimetables(dataFileReader(DATA_DIR));
+
+// Feed cache (with upstream backoff) and response shaping, shared with the Netlify function
+const proxy = new FeedProxy({
+    apiKey: API_KEY,
+    source: feedSource,
+    stopNames,
+    routes: loadRoutes(DATA_DIR),
+    metrics,
+    onFetch: recorder ? (feed, bytes, message) => recorder.record(feed, bytes, message) : null,
+    onRecords: (feed, cached, records) => {
+        diagnostics.observe(feed, cached, records);
+        history.observe(feed, cached, records);
     }
+});
 
-    const buffer = await response.arrayBuffer();
-    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(
-        new Uint8Array(buffer)
-    );
+// Data-quality checks of every normalized snapshot (/diagnostics)
+const diagnostics = new FeedDiagnostics({routes: proxy.routes, stopNames});
 
-    return feed;
-}
+// Recent positions of every vehicle (/vehicles/:id/trail)
+const history = new PositionHistory({window: TRAIL_MINUTES * 60});
+
+// Background polling of upstream, so requests are answered from memory
+// (live feeds only: replay and simulator snapshots are generated on demand)
+const poller = POLL && !feedSource
+    ? new FeedPoller({
+        proxy,
+        feeds: FEEDS,
+        intervals: Object.fromEntries(Object.entries(parsePerMode(process.env.POLL_INTERVALS))
+            .map(([key, seconds]) => [key, seconds * 1000])),
+        jitter: POLL_JITTER,
+        idleTimeout: POLL_IDLE_MINUTES * 60 * 1000
+    })
+    : null;
+proxy.poller = poller;
 
-// Cache for reducing API calls
-let positionCache = { timestamp: 0, feed: null };
-let tripCache = { timestamp: 0, feed: null };
-let vlinePositionCache = { timestamp: 0, feed: null };
-let vlineTripCache = { timestamp: 0, feed: null };
-let busPositionCache = { timestamp: 0, feed: null };
-let busTripCache = { timestamp: 0, feed: null };
-let tramPositionCache = { timestamp: 0, feed: null };
-let tramTripCache = { timestamp: 0, feed: null };
+// On-time performance from the recorded trip updates (/stats)
+const delayStats = RECORD_DIR || REPLAY_DIR
+    ? new DelayStats({dir: RECORD_DIR || REPLAY_DIR, stopNames, routes: proxy.routes})
+    : null;
 
-const CACHE_DURATION = 4000; // 4 seconds
+// Log cache statistics every 60 seconds (while feeds are being requested)
+let lastCacheTotals = metrics.cacheTotals();
+setInterval(() => {
+    const totals = metrics.cacheTotals();
+    const hits = totals.hit - lastCacheTotals.hit;
+    const misses = totals.miss - lastCacheTotals.miss;
+    const stale = totals.stale - lastCacheTotals.stale;
+    lastCacheTotals = totals;
+
+    if (hits + misses + stale > 0) {
+        const hitRate = (hits / (hits + misses + stale) * 100).toFixed(1);
+        console.log(`[Cache Stats] Hits: ${hits}, Misses: ${misses}, Stale: ${stale}, Hit Rate: ${hitRate}%`);
+    }
+}, 60000).unref();
 
 const app = express();
 
-// Enable CORS for all routes
-app.use(cors());
+// Enable CORS for all routes (exposing the validators, and the snapshot headers of protobuf responses)
+app.use(cors({exposedHeaders: ['ETag', 'Last-Modified', 'X-Feed-Fetched-At', 'X-Feed-Stale', 'X-Feed-Age']}));
 
 /**
- * Vehicle positions endpoint
- * Returns real-time train positions
+ * Send a response shaped by the proxy core (304 for a matching If-None-Match, compressed when accepted)
  */
-app.get('/positions', async (req, res) => {
-    try {
-        // Check if cache is still valid
-        if (Date.now() - positionCache.timestamp > CACHE_DURATION) {
-            console.log('Fetching new vehicle positions...');
-            const feed = await fetchGTFSFeed(
-                'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1/metro/vehicle-positions'
-            );
-            
-            positionCache = {
-                timestamp: Date.now(),
-                feed: feed
-            };
-        }
+async function send(req, res, response) {
+    const finished = await finishResponse(response, {
+        ifNoneMatch: req.get('If-None-Match'),
+        acceptEncoding: req.get('Accept-Encoding')
+    });
+    res.status(finished.status).set(finished.headers).send(finished.body);
+}
 
-        res.json(positionCache);
+/**
+ * Serve a feed as JSON, or as the upstream protobuf bytes (see feedResponse)
+ * Errors go to the error handling middleware (500).
+ */
+async function serveFeed(feed, req, res, next) {
+    try {
+        await send(req, res, await feedResponse(proxy, feed, {accept: req.get('Accept'), query: req.query}));
     } catch (error) {
-        console.error('Error fetching positions:', error);
-        res.status(500).json({ error: 'Failed to fetch vehicle positions' });
+        next(error);
     }
-});
+}
 
 /**
- * Trip updates endpoint
- * Returns real-time trip updates (next stops, delays, etc.)
+ * Generic feed endpoint
+ * e.g. /feeds/metro/positions, /feeds/tram/trips
  */
-app.get('/trips', async (req, res) => {
-    try {
-        // Check if cache is still valid
-        if (Date.now() - tripCache.timestamp > CACHE_DURATION) {
-            console.log('Fetching new trip updates...');
-            const feed = await fetchGTFSFeed(
-                'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1/metro/trip-updates'
-            );
-            
-            tripCache = {
-                timestamp: Date.now(),
-                feed: feed
-            };
-        }
+app.get('/feeds/:mode/:kind', (req, res, next) => {
+    const feed = getFeed(req.params.mode, req.params.kind);
 
-        res.json(tripCache);
-    } catch (error) {
-        console.error('Error fetching trip updates:', error);
-        res.status(500).json({ error: 'Failed to fetch trip updates' });
+    if (!feed) {
+        return send(req, res, jsonResponse(404, { error: `Unknown feed: ${req.params.mode}/${req.params.kind}` })).catch(next);
     }
+
+    serveFeed(feed, req, res, next);
 });
 
 /**
- * V/Line (regional trains) positions endpoint
+ * Merged vehicles of all modes: positions with next stop, arrival, delay, line and colour
+ * Same filters, projection and ?since= as the v1 endpoints, e.g. /snapshot?modes=metro,vline
  */
-app.get('/vline/positions', async (req, res) => {
-    try {
-        if (Date.now() - vlinePositionCache.timestamp > CACHE_DURATION) {
-            console.log('Fetching V/Line positions...');
-            const feed = await fetchGTFSFeed(
-                'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1/vline/vehicle-positions'
-            );
-            
-            vlinePositionCache = {
-                timestamp: Date.now(),
-                feed: feed
-            };
-        }
+app.get('/snapshot', (req, res, next) => {
+    recordsResponse(proxy, {kind: 'snapshot', query: req.query}, feedVersions)
+        .then(response => send(req, res, response))
+        .catch(next);
+});
 
-        res.json(vlinePositionCache);
-    } catch (error) {
-        console.error('Error fetching V/Line positions:', error);
-        res.status(500).json({ error: 'Failed to fetch V/Line positions' });
-    }
+/**
+ * One trip update with its full predicted stop sequence
+ * e.g. /trip/<tripId>?mode=metro (without ?mode= every mode is searched)
+ */
+app.get('/trip/:tripId', (req, res, next) => {
+    tripResponse(proxy, {tripId: req.params.tripId, query: req.query})
+        .then(response => send(req, res, response))
+        .catch(next);
 });
 
 /**
- * Bus positions endpoint
+ * Next departures from a stop, or from every platform of a railway station
+ * e.g. /stops/vic:rail:FSS/departures?limit=20
  */
-app.get('/bus/positions', async (req, res) => {
-    try {
-        if (Date.now() - busPositionCache.timestamp > CACHE_DURATION) {
-            console.log('Fetching bus positions...');
-            const feed = await fetchGTFSFeed(
-                'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1/bus/vehicle-positions'
-            );
-            
-            busPositionCache = {
-                timestamp: Date.now(),
-                feed: feed
-            };
-        }
+app.get('/stops/:stopId/departures', (req, res, next) => {
+    departuresResponse(proxy, {stopId: req.params.stopId, query: req.query}, stopIndex, timetables)
+        .then(response => send(req, res, response))
+        .catch(next);
+});
 
-        res.json(busPositionCache);
-    } catch (error) {
-        console.error('Error fetching bus positions:', error);
-        res.status(500).json({ error: 'Failed to fetch bus positions' });
-    }
+/**
+ * Merged GTFS-Realtime feed of every mode (entity IDs prefixed with the mode and kind)
+ * e.g. /gtfs-rt?format=protobuf, /gtfs-rt?modes=tram&kinds=positions,trips
+ */
+app.get('/gtfs-rt', (req, res, next) => {
+    combinedResponse(proxy, {accept: req.get('Accept'), query: req.query})
+        .then(response => send(req, res, response))
+        .catch(next);
 });
 
 /**
- * Tram positions endpoint
+ * Recent positions of one vehicle, oldest first
+ * e.g. /vehicles/<vehicleId>/trail?mode=tram&minutes=10 (without ?mode= every mode is searched)
  */
-app.get('/tram/positions', async (req, res) => {
-    try {
-        if (Date.now() - tramPositionCache.timestamp > CACHE_DURATION) {
-            console.log('Fetching tram positions...');
-            const feed = await fetchGTFSFeed(
-                'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1/tram/vehicle-positions'
-            );
-            
-            tramPositionCache = {
-                timestamp: Date.now(),
-                feed: feed
-            };
-        }
+app.get('/vehicles/:id/trail', (req, res) => {
+    const minutes = req.query.minutes === undefined ? TRAIL_MINUTES : Number(req.query.minutes);
+    if (!(minutes > 0)) {
+        return res.status(400).json({ error: `Invalid minutes: ${req.query.minutes}` });
+    }
 
-        res.json(tramPositionCache);
-    } catch (error) {
-        console.error('Error fetching tram positions:', error);
-        res.status(500).json({ error: 'Failed to fetch tram positions' });
+    const trail = history.get(req.params.id, {mode: req.query.mode, seconds: minutes * 60});
+    if (!trail) {
+        return res.status(404).json({ error: `No position history for vehicle: ${req.params.id}` });
     }
+
+    res.json({version: SCHEMA_VERSION, ...trail});
 });
 
 /**
- * V/Line trip updates endpoint
+ * Normalized vehicles / trip updates for all modes (schema version 1)
+ * e.g. /v1/positions?modes=metro,tram&bbox=144.9,-37.85,145.0,-37.8
  */
-app.get('/vline/trips', async (req, res) => {
-    try {
-        if (Date.now() - vlineTripCache.timestamp > CACHE_DURATION) {
-            console.log('Fetching V/Line trip updates...');
-            const feed = await fetchGTFSFeed(
-                'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1/vline/trip-updates'
-            );
-            
-            vlineTripCache = {
-                timestamp: Date.now(),
-                feed: feed
-            };
-        }
+app.get('/v1/:kind', (req, res, next) => {
+    recordsResponse(proxy, {kind: req.params.kind, query: req.query}, feedVersions)
+        .then(response => send(req, res, response))
+        .catch(next);
+});
 
-        res.json(vlineTripCache);
-    } catch (error) {
-        console.error('Error fetching V/Line trip updates:', error);
-        res.status(500).json({ error: 'Failed to fetch V/Line trip updates' });
-    }
+/**
+ * Normalized vehicle / trip update endpoint for one mode (schema version 1)
+ * e.g. /v1/metro/positions?fields=tripId,lat,lon, /v1/tram/trips?stopFields=stopId,arrival
+ */
+app.get('/v1/:mode/:kind', (req, res, next) => {
+    recordsResponse(proxy, {kind: req.params.kind, mode: req.params.mode, query: req.query}, feedVersions)
+        .then(response => send(req, res, response))
+        .catch(next);
+});
+
+// Legacy paths (/positions, /vline/trips, ...) kept as aliases
+FEEDS.forEach(feed => {
+    feed.aliases.forEach(alias => {
+        app.get(alias, (req, res, next) => serveFeed(feed, req, res, next));
+    });
 });
 
 /**
- * Bus trip updates endpoint
+ * Live vehicle stream (Server-Sent Events)
+ * Polls upstream once for all connected clients and pushes per-feed deltas.
+ * Vehicles are streamed as merged snapshot records (as /snapshot), alerts as raw entities.
  */
-app.get('/bus/trips', async (req, res) => {
-    try {
-        if (Date.now() - busTripCache.timestamp > CACHE_DURATION) {
-            console.log('Fetching bus trip updates...');
-            const feed = await fetchGTFSFeed(
-                'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1/bus/trip-updates'
-            );
-            
-            busTripCache = {
-                timestamp: Date.now(),
-                feed: feed
-            };
-        }
+const feedStream = new FeedStream({
+    feeds: [...SNAPSHOT_FEEDS, ...FEEDS.filter(feed => feed.kind === 'alerts')],
+    loadFeed: feed => proxy.load(feed),
+    entities: (feed, cached) => proxy.records(feed, cached) || cached.feed.entity || [],
+    interval: STREAM_INTERVAL
+});
 
-        res.json(busTripCache);
-    } catch (error) {
-        console.error('Error fetching bus trip updates:', error);
-        res.status(500).json({ error: 'Failed to fetch bus trip updates' });
+app.get('/stream', (req, res) => feedStream.handle(req, res));
+
+/**
+ * Replay clock
+ * GET returns the clock; POST accepts any of {time, speed, paused} to seek,
+ * change speed (1-60x) or pause/resume
+ */
+app.get('/replay', (req, res) => {
+    if (!replay) {
+        return res.status(404).json({ error: 'Replay mode is not enabled' });
     }
+    res.json(replay.getState());
+});
+
+app.post('/replay', express.json(), (req, res) => {
+    if (!replay) {
+        return res.status(404).json({ error: 'Replay mode is not enabled' });
+    }
+
+    const {time, speed, paused} = req.body || {};
+
+    if (time !== undefined) {
+        const seekTime = typeof time === 'number' ? time : Date.parse(time);
+        if (Number.isNaN(seekTime)) {
+            return res.status(400).json({ error: `Invalid time: ${time}` });
+        }
+        replay.seek(seekTime);
+    }
+    if (speed !== undefined) {
+        replay.setSpeed(Number(speed) || 1);
+    }
+    if (paused === true) {
+        replay.pause();
+    } else if (paused === false) {
+        replay.play();
+    }
+
+    res.json(replay.getState());
 });
 
 /**
- * Tram trip updates endpoint
+ * On-time performance statistics from recorded trip updates
+ * Per route, per hour of day and (with ?route=) per stop, e.g. /stats?hours=168&mode=metro
  */
-app.get('/tram/trips', async (req, res) => {
-    try {
-        if (Date.now() - tramTripCache.timestamp > CACHE_DURATION) {
-            console.log('Fetching tram trip updates...');
-            const feed = await fetchGTFSFeed(
-                'https://api.opendata.transport.vic.gov.au/opendata/public-transport/gtfs/realtime/v1/tram/trip-updates'
-            );
-            
-            tramTripCache = {
-                timestamp: Date.now(),
-                feed: feed
-            };
-        }
+app.get('/stats', async (req, res) => {
+    if (!delayStats) {
+        return res.status(404).json({ error: 'Statistics need recorded feeds (set RECORD_DIR or REPLAY_DIR)' });
+    }
 
-        res.json(tramTripCache);
+    try {
+        res.json(await delayStats.compute(req.query));
     } catch (error) {
-        console.error('Error fetching tram trip updates:', error);
-        res.status(500).json({ error: 'Failed to fetch tram trip updates' });
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error computing statistics:', error);
+        res.status(500).json({ error: 'Failed to compute statistics' });
     }
 });
 
+/**
+ * Data-quality findings of the latest snapshots per mode
+ * (unknown routes and stops, vehicles without trip updates, stale timestamps,
+ * impossible speeds, duplicate vehicle IDs)
+ */
+app.get('/diagnostics', (req, res) => {
+    res.json({
+        timestamp: new Date().toISOString(),
+        ...diagnostics.toJSON()
+    });
+});
+
 /**
  * Health check endpoint
+ * `degraded` while any feed is backing off after upstream errors
  */
 app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok',
-        timestamp: new Date().toISOString()
+    const feeds = metrics.toJSON();
+
+    if (poller) {
+        Object.entries(poller.toJSON()).forEach(([key, polling]) => {
+            feeds[key].polling = polling;
+        });
+    }
+
+    proxy.backoff.forEach((backoff, key) => {
+        feeds[key].backoff = {
+            failures: backoff.failures,
+            retryAt: new Date(backoff.retryAt).toISOString()
+        };
+    });
+
+    res.json({
+        status: proxy.backoff.size > 0 ? 'degraded' : 'ok',
+        timestamp: new Date().toISOString(),
+        uptime: Math.round(process.uptime()),
+        source: replay ? 'replay' : simulator ? 'simulator' : 'live',
+        stream: true,
+        stats: Boolean(delayStats),
+        streamClients: feedStream.clients.size,
+        trails: history.counts(),
+        cache: metrics.cacheTotals(),
+        feeds
     });
 });
 
+/**
+ * Prometheus metrics (text exposition format)
+ */
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.toPrometheus({
+        stream_clients: {help: 'Connected live stream clients', value: feedStream.clients.size},
+        feeds_backing_off: {help: 'Feeds waiting to retry after upstream errors', value: proxy.backoff.size},
+        feeds_polling: {help: 'Feeds polled in the background (not paused)', value: poller ? poller.activeCount() : 0}
+    }));
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Server error:', err);
     res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(PORT, () => {
+// Start server (after scanning the recordings or building the simulation)
+const ready = feedSource ? feedSource.init() : Promise.resolve();
+
+ready.then(() => app.listen(PORT, () => {
     console.log(`Melbourne 3D Transport Map API server running on port ${PORT}`);
     console.log(`Endpoints:`);
-    console.log(`  Metro:`);
-    console.log(`    - GET http://localhost:${PORT}/positions`);
-    console.log(`    - GET http://localhost:${PORT}/trips`);
-    console.log(`  V/Line:`);
-    console.log(`    - GET http://localhost:${PORT}/vline/positions`);
-    console.log(`    - GET http://localhost:${PORT}/vline/trips`);
-    console.log(`  Buses:`);
-    console.log(`    - GET http://localhost:${PORT}/bus/positions`);
-    console.log(`    - GET http://localhost:${PORT}/bus/trips`);
-    console.log(`  Trams:`);
-    console.log(`    - GET http://localhost:${PORT}/tram/positions`);
-    console.log(`    - GET http://localhost:${PORT}/tram/trips`);
+    console.log(`  Feeds:`);
+    FEEDS.forEach(feed => {
+        console.log(`    - GET http://localhost:${PORT}/feeds/${feedKey(feed)} (${feed.aliases.join(', ')})`);
+    });
+    console.log(`  Merged vehicles (filter with ?bbox= ?routes= ?modes=):`);
+    console.log(`    - GET http://localhost:${PORT}/snapshot`);
+    console.log(`  Merged GTFS-Realtime feed (?modes= ?kinds= ?format=protobuf):`);
+    console.log(`    - GET http://localhost:${PORT}/gtfs-rt`);
+    console.log(`  Trip stops (?mode= to search one mode):`);
+    console.log(`    - GET http://localhost:${PORT}/trip/:tripId`);
+    console.log(`  Departures (?limit=):`);
+    console.log(`    - GET http://localhost:${PORT}/stops/:stopId/departures`);
+    console.log(`  Vehicle trails (last ${TRAIL_MINUTES} min, ?mode= ?minutes=):`);
+    console.log(`    - GET http://localhost:${PORT}/vehicles/:id/trail`);
+    console.log(`  Normalized (v1, filter with ?bbox= ?routes= ?modes=):`);
+    console.log(`    - GET http://localhost:${PORT}/v1/positions`);
+    console.log(`    - GET http://localhost:${PORT}/v1/trips`);
+    FEEDS.filter(feed => feed.kind !== 'alerts').forEach(feed => {
+        console.log(`    - GET http://localhost:${PORT}/v1/${feedKey(feed)}`);
+    });
+    if (delayStats) {
+        console.log(`  On-time performance (?hours= ?from= ?to= ?mode= ?route=):`);
+        console.log(`    - GET http://localhost:${PORT}/stats`);
+    }
+    console.log(`  Stream:`);
+    console.log(`    - GET http://localhost:${PORT}/stream`);
+    console.log(`  Diagnostics:`);
+    console.log(`    - GET http://localhost:${PORT}/diagnostics`);
     console.log(`  Health:`);
     console.log(`    - GET http://localhost:${PORT}/health`);
+    console.log(`    - GET http://localhost:${PORT}/metrics`);
+    if (poller) {
+        poller.start();
+        console.log(POLL_IDLE_MINUTES
+            ? `Polling upstream in the background (pausing feeds idle for ${POLL_IDLE_MINUTES} min)`
+            : 'Polling upstream in the background (never pausing)');
+    }
+    if (recorder) {
+        console.log(`Recording feeds to ${recorder.dir} (retention ${RECORD_RETENTION_HOURS}h)`);
+    }
+    if (replay) {
+        console.log(`Replaying ${replay.dir}`);
+        console.log(`  ${new Date(replay.start).toISOString()} - ${new Date(replay.end).toISOString()}`);
+        console.log(`  Replay clock:`);
+        console.log(`    - GET/POST http://localhost:${PORT}/replay`);
+    }
+    if (simulator) {
+        const counts = Object.entries(simulator.patterns).map(([mode, patterns]) => `${mode}: ${patterns.length}`);
+        console.log(`Simulating feeds from ${simulator.dataDir} (route directions - ${counts.join(', ')})`);
+    }
+})).catch(error => {
+    console.error('Error starting feed source:', error.message);
+    process.exit(1);
 });
 
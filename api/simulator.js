@@ -0,0 +1,509 @@
+import fs from 'fs/promises';
+import path from 'path';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+const {FeedMessage} = GtfsRealtimeBindings.transit_realtime;
+
+/**
+ * Per-mode simulation defaults
+ * headway: minutes between departures in each direction
+ * speed: average running speed between stops (m/s)
+ * dwell: seconds spent at each stop
+ */
+export const SIMULATION_DEFAULTS = {
+    metro: {headway: 10, speed: 16, dwell: 30},
+    vline: {headway: 40, speed: 25, dwell: 60},
+    tram: {headway: 8, speed: 5, dwell: 20},
+    bus: {headway: 20, speed: 8, dwell: 15}
+};
+
+/**
+ * Static data files per mode (relative to the data directory)
+ */
+const STATIC_DATA = {
+    metro: {
+        stops: 'stations.json',
+        stopIdMap: 'station-id-map.json',
+        routes: 'routes.json',
+        routeStops: 'stationLines.json',
+        shapes: 'shapes.json'
+    },
+    vline: {
+        stops: 'vline/stops.json',
+        stopIdMap: 'vline/stop-id-map.json',
+        routes: 'vline/routes.json',
+        routeStops: 'vline/route-stops.json',
+        shapes: 'vline/shapes.json'
+    },
+    tram: {
+        stops: 'tram/stops.json',
+        stopIdMap: 'tram/stop-id-map.json',
+        routes: 'tram/routes.json',
+        routeStops: 'tram/route-stops.json',
+        shapes: 'tram/shapes.json'
+    },
+    bus: {
+        stops: 'bus/stops.json',
+        stopIdMap: 'bus/stop-id-map.json',
+        routes: 'bus/routes.json',
+        routeStops: 'bus/route-stops.json',
+        shapes: 'bus/shapes.json'
+    }
+};
+
+/**
+ * Offline GTFS-Realtime simulator
+ * Generates VehiclePositions and TripUpdates from the bundled static data:
+ * vehicles depart each end of every route at a fixed headway, run along the
+ * route shape (or straight between stops where no shape exists) and dwell at
+ * each stop from route-stops.json.
+ *
+ * Everything is a pure function of the current time, so snapshots are
+ * consistent across feeds without keeping per-vehicle state.
+ */
+export default class FeedSimulator {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir - Directory holding the static data
+     * @param {Object} options.headways - Per-mode headway overrides (minutes)
+     * @param {number} options.density - Multiplies the number of vehicles (divides headways)
+     * @param {number} options.maxDelay - Largest simulated delay (seconds)
+     * @param {number} options.occupancy - Average occupancy, 0 (empty) to 1 (full)
+     */
+    constructor({dataDir, headways = {}, density = 1, maxDelay = 300, occupancy = 0.4}) {
+        this.dataDir = path.resolve(dataDir);
+        this.density = density;
+        this.maxDelay = maxDelay;
+        this.occupancy = occupancy;
+
+        this.modes = {};
+        for (const [mode, defaults] of Object.entries(SIMULATION_DEFAULTS)) {
+            this.modes[mode] = {
+                ...defaults,
+                headway: (headways[mode] || defaults.headway) * 60 / density
+            };
+        }
+
+        // Simulated route directions per mode
+        this.patterns = {};
+
+        // Last generated snapshot: {time, vehicles}
+        this.state = null;
+    }
+
+    /**
+     * Build the route patterns from the static data
+     */
+    async init() {
+        let total = 0;
+
+        for (const [mode, files] of Object.entries(STATIC_DATA)) {
+            const [stops, stopIdMap, routes, routeStops, shapes] = await Promise.all([
+                this.readJSON(files.stops, []),
+                this.readJSON(files.stopIdMap, {}),
+                this.readJSON(files.routes, []),
+                this.readJSON(files.routeStops, {}),
+                this.readJSON(files.shapes, {features: []})
+            ]);
+
+            this.patterns[mode] = buildPatterns(mode, {stops, stopIdMap, routes, routeStops, shapes}, this.modes[mode]);
+            total += this.patterns[mode].length;
+        }
+
+        if (total === 0) {
+            throw new Error(`No routes to simulate in ${this.dataDir}`);
+        }
+    }
+
+    async readJSON(file, fallback) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw error;
+        }
+    }
+
+    /**
+     * Generate the snapshot of a feed for the current time
+     * @param {Object} feed - Feed registry entry
+     * @returns {Promise<{timestamp: number, feed: Object}>}
+     */
+    async load(feed) {
+        const now = Date.now();
+
+        // Recompute vehicles at most once per feed TTL so all feeds agree
+        if (!this.state || now - this.state.time > feed.ttl) {
+            this.state = {time: now, vehicles: this.simulate(now)};
+        }
+
+        const vehicles = this.state.vehicles.filter(v => v.mode === feed.mode);
+        const timestamp = Math.floor(this.state.time / 1000);
+
+        let entity;
+        if (feed.kind === 'positions') {
+            entity = vehicles.map(v => vehiclePositionEntity(v, timestamp));
+        } else if (feed.kind === 'trips') {
+            entity = vehicles.map(v => tripUpdateEntity(v, timestamp));
+        } else {
+            entity = [];
+        }
+
+        return {
+            timestamp: this.state.time,
+            feed: FeedMessage.fromObject({
+                header: {
+                    gtfsRealtimeVersion: '2.0',
+                    incrementality: 'FULL_DATASET',
+                    timestamp
+                },
+                entity
+            })
+        };
+    }
+
+    /**
+     * Compute every vehicle in service at a given time
+     * @param {number} now - Time in milliseconds
+     */
+    simulate(now) {
+        const vehicles = [];
+        const seconds = now / 1000;
+
+        for (const [mode, patterns] of Object.entries(this.patterns)) {
+            const {headway} = this.modes[mode];
+
+            for (const pattern of patterns) {
+                const duration = pattern.duration + this.maxDelay;
+
+                // Departures still on the road: scheduled within the last trip duration
+                const first = Math.ceil((seconds - duration) / headway);
+                const last = Math.floor(seconds / headway);
+
+                for (let n = first; n <= last; n++) {
+                    const departure = n * headway;
+                    const tripId = `sim-${pattern.id}-${departure}`;
+                    const random = seededRandom(tripId);
+                    const delay = Math.round((random() * 1.2 - 0.2) * this.maxDelay);
+                    const elapsed = seconds - departure - delay;
+
+                    if (elapsed < 0 || elapsed > pattern.duration) continue;
+
+                    const occupancy = Math.max(0, Math.min(5, Math.round(this.occupancy * 5 + (random() - 0.5) * 3)));
+
+                    vehicles.push({
+                        mode,
+                        tripId,
+                        vehicleId: `sim-${pattern.id}-${((n % pattern.fleet) + pattern.fleet) % pattern.fleet}`,
+                        pattern,
+                        departure,
+                        delay,
+                        occupancy,
+                        ...positionAt(pattern, elapsed)
+                    });
+                }
+            }
+        }
+
+        return vehicles;
+    }
+}
+
+/**
+ * Build one pattern per route direction
+ * A pattern is the path a vehicle follows plus its stops and schedule offsets.
+ */
+function buildPatterns(mode, data, settings) {
+    const {stops, stopIdMap, routes, routeStops, shapes} = data;
+
+    // Stop lookups by normalized name
+    const stopsByName = new Map();
+    stops.forEach(stop => {
+        const key = normalizeName(stop.name);
+        if (!stopsByName.has(key)) stopsByName.set(key, stop);
+    });
+    const stopIdsByName = new Map();
+    Object.entries(stopIdMap).forEach(([id, name]) => {
+        const key = normalizeName(name);
+        if (!stopIdsByName.has(key)) stopIdsByName.set(key, id);
+    });
+
+    // Longest shape per route
+    const shapesByRoute = new Map();
+    shapes.features.forEach(feature => {
+        const coords = feature.geometry?.coordinates || [];
+        const current = shapesByRoute.get(feature.properties.routeId);
+        if (!current || coords.length > current.length) {
+            shapesByRoute.set(feature.properties.routeId, coords);
+        }
+    });
+
+    const patterns = [];
+
+    for (const [routeName, stopNames] of Object.entries(routeStops)) {
+        const route = routes.find(r => r.shortName === routeName) || routes.find(r => r.id === routeName);
+        if (!route) continue;
+
+        const routeStopList = stopNames
+            .map(entry => {
+                const name = typeof entry === 'string' ? entry : entry.name;
+                const stop = stopsByName.get(normalizeName(name));
+                if (!stop) return null;
+                return {
+                    id: stopIdsByName.get(normalizeName(name)) || stop.id,
+                    name,
+                    coord: [stop.lon, stop.lat]
+                };
+            })
+            .filter(Boolean);
+
+        if (routeStopList.length < 2) continue;
+
+        const shape = shapesByRoute.get(route.id);
+
+        [routeStopList, [...routeStopList].reverse()].forEach((directionStops, direction) => {
+            const path = shape
+                ? orientShape(shape, directionStops)
+                : directionStops.map(s => s.coord);
+            const pattern = buildPattern(path, directionStops, settings);
+
+            if (pattern) {
+                patterns.push({
+                    ...pattern,
+                    id: `${mode}-${route.id}-${direction}`,
+                    mode,
+                    routeId: route.id,
+                    direction,
+                    speed: settings.speed,
+                    fleet: Math.max(1, Math.ceil(pattern.duration / settings.headway) + 1)
+                });
+            }
+        });
+    }
+
+    return patterns;
+}
+
+/**
+ * Lay stops out along a path and compute the schedule
+ * @returns {Object|null} {path, cumulative, stops, duration}
+ */
+function buildPattern(path, stops, {speed, dwell}) {
+    const cumulative = [0];
+    for (let i = 1; i < path.length; i++) {
+        cumulative.push(cumulative[i - 1] + distance(path[i - 1], path[i]));
+    }
+
+    // Distance along the path of each stop (never going backwards)
+    let minIndex = 0;
+    const placed = stops.map(stop => {
+        let best = minIndex;
+        let bestDistance = Infinity;
+        for (let i = minIndex; i < path.length; i++) {
+            const d = distance(path[i], stop.coord);
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = i;
+            }
+        }
+        minIndex = best;
+        return {...stop, at: cumulative[best]};
+    });
+
+    // Schedule offsets (seconds from departure)
+    let time = 0;
+    placed.forEach((stop, i) => {
+        if (i > 0) {
+            time += (stop.at - placed[i - 1].at) / speed;
+        }
+        stop.arrival = time;
+        stop.departure = i < placed.length - 1 ? time + dwell : time;
+        time = stop.departure;
+    });
+
+    if (time <= 0) return null;
+
+    return {path, cumulative, stops: placed, duration: time};
+}
+
+/**
+ * Reverse a shape if it runs against the stop order
+ */
+function orientShape(shape, stops) {
+    const first = stops[0].coord;
+    const forward = distance(shape[0], first);
+    const backward = distance(shape[shape.length - 1], first);
+    return backward < forward ? [...shape].reverse() : shape;
+}
+
+/**
+ * Position, bearing, speed and stop progress of a vehicle on a pattern
+ * @param {Object} pattern - Route direction pattern
+ * @param {number} elapsed - Seconds since the (delayed) departure
+ */
+function positionAt(pattern, elapsed) {
+    const stops = pattern.stops;
+    let nextStopIndex = stops.findIndex(s => s.departure > elapsed);
+    if (nextStopIndex === -1) nextStopIndex = stops.length - 1;
+
+    const next = stops[nextStopIndex];
+    let along;
+    let moving = false;
+
+    if (elapsed >= next.arrival || nextStopIndex === 0) {
+        // Dwelling at the stop
+        along = next.at;
+    } else {
+        const previous = stops[nextStopIndex - 1];
+        const progress = (elapsed - previous.departure) / (next.arrival - previous.departure);
+        along = previous.at + (next.at - previous.at) * progress;
+        moving = true;
+    }
+
+    const {coord, bearing} = pointAlong(pattern, along);
+
+    return {
+        lon: coord[0],
+        lat: coord[1],
+        bearing,
+        speed: moving ? pattern.speed : 0,
+        // Stop the vehicle is at or heading to
+        stopIndex: nextStopIndex
+    };
+}
+
+/**
+ * Coordinate and compass bearing at a distance along the pattern path
+ */
+function pointAlong(pattern, along) {
+    const {path, cumulative} = pattern;
+
+    // Binary search for the segment containing `along`
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high - 1) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] <= along) low = mid;
+        else high = mid;
+    }
+
+    const start = path[low];
+    const end = path[Math.min(high, path.length - 1)];
+    const length = cumulative[high] - cumulative[low];
+    const t = length > 0 ? (along - cumulative[low]) / length : 0;
+
+    return {
+        coord: [
+            start[0] + (end[0] - start[0]) * t,
+            start[1] + (end[1] - start[1]) * t
+        ],
+        bearing: compassBearing(start, end)
+    };
+}
+
+function vehiclePositionEntity(vehicle, timestamp) {
+    return {
+        id: vehicle.tripId,
+        vehicle: {
+            trip: {
+                tripId: vehicle.tripId,
+                routeId: vehicle.pattern.routeId,
+                directionId: vehicle.pattern.direction,
+                scheduleRelationship: 'SCHEDULED'
+            },
+            vehicle: {id: vehicle.vehicleId},
+            position: {
+                latitude: vehicle.lat,
+                longitude: vehicle.lon,
+                bearing: vehicle.bearing,
+                speed: vehicle.speed
+            },
+            currentStopSequence: vehicle.stopIndex + 1,
+            stopId: vehicle.pattern.stops[vehicle.stopIndex].id,
+            timestamp,
+            occupancyStatus: vehicle.occupancy
+        }
+    };
+}
+
+function tripUpdateEntity(vehicle, timestamp) {
+    const {pattern, departure, delay} = vehicle;
+
+    return {
+        id: vehicle.tripId,
+        tripUpdate: {
+            trip: {
+                tripId: vehicle.tripId,
+                routeId: pattern.routeId,
+                directionId: pattern.direction,
+                scheduleRelationship: 'SCHEDULED'
+            },
+            vehicle: {id: vehicle.vehicleId},
+            stopTimeUpdate: pattern.stops.slice(vehicle.stopIndex).map((stop, i) => ({
+                stopSequence: vehicle.stopIndex + i + 1,
+                stopId: stop.id,
+                arrival: {delay, time: Math.round(departure + delay + stop.arrival)},
+                departure: {delay, time: Math.round(departure + delay + stop.departure)},
+                scheduleRelationship: 'SCHEDULED'
+            })),
+            timestamp,
+            delay
+        }
+    };
+}
+
+/**
+ * Normalize a stop name for matching across files
+ * ("Seymour Railway Station", "Seymour Station" and "Seymour" all match)
+ */
+function normalizeName(name) {
+    return String(name)
+        .replace(/ Railway Station$/i, '')
+        .replace(/ Station$/i, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Distance between two [lon, lat] coordinates in meters
+ */
+function distance([lon1, lat1], [lon2, lat2]) {
+    const R = 6371e3;
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δφ = (lat2 - lat1) * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Compass bearing (0 = North, 90 = East) from one coordinate to another
+ */
+function compassBearing([lon1, lat1], [lon2, lat2]) {
+    const dx = (lon2 - lon1) * Math.cos(lat1 * Math.PI / 180);
+    const dy = lat2 - lat1;
+    return (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Deterministic pseudo-random generator seeded from a string
+ * (mulberry32 over a string hash), so each trip keeps its delay and load
+ */
+function seededRandom(seed) {
+    let h = 1779033703;
+    for (let i = 0; i < seed.length; i++) {
+        h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+
+    return () => {
+        h = (h + 0x6D2B79F5) | 0;
+        let t = Math.imul(h ^ (h >>> 15), 1 | h);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Merged vehicle snapshot (/snapshot)
+ * Joins each normalized vehicle with its trip update (next stop, arrival,
+ * delay) and its route (line name, colour), so clients get a ready-to-render
+ * vehicle list in one request.
+ */
+
+// Route lists per mode (relative to the data directory)
+const ROUTE_FILES = {
+    metro: 'routes.json',
+    vline: 'vline/routes.json',
+    tram: 'tram/routes.json',
+    bus: 'bus/routes.json'
+};
+
+// Colours of vehicles whose route is unknown
+const DEFAULT_COLORS = {
+    metro: '#0064C8',
+    vline: '#9333EA',
+    bus: '#FF8C00',
+    tram: '#00C864'
+};
+
+/**
+ * Load the static route lists
+ * @param {string} dataDir - Static data directory
+ * @returns {Object} Routes per mode, e.g. {metro: [{id, shortName, color, ...}]}
+ */
+export function loadRoutes(dataDir) {
+    const routes = {};
+
+    Object.entries(ROUTE_FILES).forEach(([mode, file]) => {
+        try {
+            routes[mode] = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        } catch (error) {
+            console.warn(`No routes for ${mode}: ${error.message}`);
+            routes[mode] = [];
+        }
+    });
+
+    return routes;
+}
+
+/**
+ * Index routes by ID: Map<routeId, {line, name, color, textColor}>
+ */
+export function indexRoutes(routes = []) {
+    return new Map(routes.map(route => [route.id, {
+        line: route.shortName,
+        name: route.longName,
+        color: route.color,
+        textColor: route.textColor
+    }]));
+}
+
+/**
+ * Merge one mode's vehicles with its trip updates and routes
+ * The next stop is the first stop of the trip update.
+ * @param {string} mode - 'metro', 'vline', 'bus', 'tram'
+ * @param {Array} vehicles - Normalized vehicle records
+ * @param {Array} trips - Normalized trip update records (may be empty)
+ * @param {Map} routeIndex - See indexRoutes
+ * @returns {Array} Vehicle records with `line`, `color` (hex) and, when known,
+ *                  `nextStopId`, `nextStop`, `nextStopArrival`, `delay` and `tripStatus`
+ *                  (every stop of a trip is left to /trip: it would multiply the snapshot's size)
+ */
+export function mergeVehicles(mode, vehicles, trips, routeIndex) {
+    const tripsById = new Map(trips.map(trip => [trip.tripId, trip]));
+
+    return vehicles.map(vehicle => {
+        const route = routeIndex.get(vehicle.routeId);
+        const trip = tripsById.get(vehicle.tripId);
+        const nextStop = trip?.stops?.[0];
+        const merged = {
+            ...vehicle,
+            line: route?.line || mode,
+            color: route?.color || DEFAULT_COLORS[mode]
+        };
+
+        if (nextStop) {
+            merged.nextStopId = nextStop.stopId;
+            merged.nextStop = nextStop.stopName || nextStop.stopId;
+            merged.nextStopArrival = nextStop.arrival;
+            merged.delay = nextStop.arrivalDelay ?? trip.delay;
+        }
+        if (trip?.tripStatus !== undefined) {
+            merged.tripStatus = trip.tripStatus;
+        }
+
+        return merged;
+    });
+}
@@ -0,0 +1,394 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {getFeed} from './feeds.js';
+import {normalizeEntities} from './normalize.js';
+import {listIndexFiles} from './replay.js';
+
+/**
+ * On-time performance statistics from recorded trip updates (/stats)
+ * Reads the trip update partitions of a FeedRecorder archive, one snapshot per
+ * minute, and takes the last delay reported for each stop call before it
+ * happened. Each hourly partition is reduced once to delay buckets per route,
+ * per route and stop, and per route and hour of day (Melbourne time), which
+ * are merged for the requested window.
+ */
+
+const HOUR = 3600 * 1000;
+const SAMPLE_INTERVAL = 60 * 1000; // Snapshots read per feed: one a minute
+const MAX_CACHED_PARTITIONS = 400; // Reduced partitions kept in memory
+const MAX_WINDOW_HOURS = 31 * 24;
+
+// On time: from 1 minute early up to, not including, 5 minutes late
+// (-early <= delay < late seconds), as the map's punctuality bands (configs.punctualityBands)
+export const ON_TIME = {early: 60, late: 300};
+
+// GTFS-Realtime schedule relationships
+const TRIP_CANCELED = 3;
+const STOP_SKIPPED = 1;
+
+const hourFormat = new Intl.DateTimeFormat('en-AU', {
+    timeZone: 'Australia/Melbourne',
+    hour: 'numeric',
+    hourCycle: 'h23'
+});
+
+/**
+ * Hour of day in Melbourne (0-23) of a Unix time in seconds
+ */
+function localHour(seconds) {
+    return Number(hourFormat.format(new Date(seconds * 1000)));
+}
+
+function emptyBucket() {
+    return {delays: [], onTime: 0, cancellations: 0};
+}
+
+function bucketOf(map, key) {
+    if (!map.has(key)) {
+        map.set(key, emptyBucket());
+    }
+    return map.get(key);
+}
+
+function addBucket(target, bucket) {
+    target.delays.push(...bucket.delays);
+    target.onTime += bucket.onTime;
+    target.cancellations += bucket.cancellations;
+}
+
+/**
+ * Summary of a bucket
+ * @returns {{calls: number, meanDelay: number|null, p90Delay: number|null, onTimePercent: number|null, cancellations: number}}
+ *          Delays in seconds
+ */
+function summarize({delays, onTime, cancellations}) {
+    if (delays.length === 0) {
+        return {calls: 0, meanDelay: null, p90Delay: null, onTimePercent: null, cancellations};
+    }
+
+    const sorted = [...delays].sort((a, b) => a - b);
+    const sum = sorted.reduce((total, delay) => total + delay, 0);
+
+    return {
+        calls: sorted.length,
+        meanDelay: Math.round(sum / sorted.length),
+        p90Delay: sorted[Math.ceil(sorted.length * 0.9) - 1],
+        onTimePercent: Math.round(onTime / sorted.length * 1000) / 10,
+        cancellations
+    };
+}
+
+/**
+ * Parse the time window of a stats request
+ * `from`/`to` (ms or ISO dates) or `hours` back from `to` (default 24);
+ * `to` defaults to the newest recording.
+ * @param {Object} query - Request query
+ * @param {number} latest - Newest recording time (ms)
+ * @returns {{from: number, to: number}} Window in ms
+ * @throws {Error} If a parameter is invalid
+ */
+export function parseWindow(query, latest) {
+    const parseTime = (value, name) => {
+        const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        if (Number.isNaN(time)) {
+            throw new Error(`Invalid ${name}: ${value}`);
+        }
+        return time;
+    };
+
+    const to = query.to !== undefined ? parseTime(query.to, 'to') : latest;
+    let from;
+
+    if (query.from !== undefined) {
+        from = parseTime(query.from, 'from');
+    } else {
+        const hours = query.hours !== undefined ? Number(query.hours) : 24;
+        if (!(hours > 0)) {
+            throw new Error(`Invalid hours: ${query.hours}`);
+        }
+        from = to - hours * HOUR;
+    }
+
+    if (from >= to) {
+        throw new Error('from must be before to');
+    }
+    if (to - from > MAX_WINDOW_HOURS * HOUR) {
+        throw new Error(`Window longer than ${MAX_WINDOW_HOURS} hours`);
+    }
+
+    return {from, to};
+}
+
+export default class DelayStats {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Root directory of a FeedRecorder archive
+     * @param {Object} options.stopNames - Stop ID -> name maps per mode (see loadStopNames)
+     * @param {Map} options.routes - Map<mode, Map<routeId, {line, color}>> (FeedProxy.routes)
+     */
+    constructor({dir, stopNames = {}, routes = new Map()}) {
+        this.dir = path.resolve(dir);
+        this.stopNames = stopNames;
+        this.routes = routes;
+
+        // Reduced partitions: Map<indexFile, {size, routes, stops, hours}> (oldest use first)
+        this.partitions = new Map();
+
+        // Partitions being read: Map<indexFile, Promise>
+        this.pending = new Map();
+    }
+
+    /**
+     * Trip update partitions of the archive, oldest first
+     * @returns {Promise<Array<{mode: string, start: number, index: string, data: string}>>}
+     */
+    async listPartitions() {
+        let files;
+        try {
+            files = await listIndexFiles(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return files
+            .map(file => {
+                // <mode>/trips/<YYYY-MM-DD>/<HH>.index.jsonl
+                const [mode, kind, date, name] = path.relative(this.dir, file).split(path.sep);
+                if (kind !== 'trips' || !name || !getFeed(mode, kind)) return null;
+
+                return {
+                    mode,
+                    start: Date.parse(`${date}T${name.slice(0, 2)}:00:00Z`),
+                    index: file,
+                    data: file.replace(/\.index\.jsonl$/, '.pb')
+                };
+            })
+            .filter(partition => partition && !Number.isNaN(partition.start))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Reduce a partition to delay buckets (cached until the partition grows)
+     */
+    async readPartition(partition) {
+        const {size} = await fs.stat(partition.index);
+        const cached = this.partitions.get(partition.index);
+
+        if (cached && cached.size === size) {
+            // Most recently used last
+            this.partitions.delete(partition.index);
+            this.partitions.set(partition.index, cached);
+            return cached;
+        }
+
+        if (!this.pending.has(partition.index)) {
+            const pending = this.reducePartition(partition, size)
+                .then(reduced => {
+                    this.partitions.delete(partition.index);
+                    this.partitions.set(partition.index, reduced);
+                    while (this.partitions.size > MAX_CACHED_PARTITIONS) {
+                        this.partitions.delete(this.partitions.keys().next().value);
+                    }
+                    return reduced;
+                })
+                .finally(() => this.pending.delete(partition.index));
+
+            this.pending.set(partition.index, pending);
+        }
+
+        return this.pending.get(partition.index);
+    }
+
+    async reducePartition(partition, size) {
+        const feed = getFeed(partition.mode, 'trips');
+        const content = await fs.readFile(partition.index, 'utf-8');
+        const entries = content
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+
+        // Last observation of each stop call and cancelled trip in this partition
+        const calls = new Map();
+        const cancelled = new Map();
+        let first = null;
+        let last = null;
+
+        const handle = await fs.open(partition.data, 'r');
+        try {
+            let sampledAt = -Infinity;
+            for (const entry of entries) {
+                if (entry.fetchedAt - sampledAt < SAMPLE_INTERVAL) continue;
+                sampledAt = entry.fetchedAt;
+
+                const bytes = new Uint8Array(entry.length);
+                await handle.read(bytes, 0, entry.length, entry.offset);
+
+                const observedAt = entry.headerTimestamp || Math.round(entry.fetchedAt / 1000);
+                first = first ?? observedAt;
+                last = observedAt;
+
+                const trips = normalizeEntities('trips', feed.decode(bytes), this.stopNames[partition.mode]);
+                trips.forEach(trip => observeTrip(trip, calls, cancelled, observedAt));
+            }
+        } finally {
+            await handle.close();
+        }
+
+        const reduced = {size, mode: partition.mode, routes: new Map(), stops: new Map(), hours: new Map()};
+        if (first === null) {
+            return reduced;
+        }
+
+        // Count what happened between the previous partition's last sample and
+        // this one's (calls still ahead are counted by a later partition)
+        const happened = time => time > first - SAMPLE_INTERVAL / 1000 && time <= last;
+
+        calls.forEach(call => {
+            if (!happened(call.time)) return;
+
+            const stop = bucketOf(reduced.stops, `${call.routeId}|${call.stopId}`);
+            if (call.skipped) {
+                stop.cancellations++;
+                return;
+            }
+
+            const onTime = call.delay >= -ON_TIME.early && call.delay < ON_TIME.late;
+            [stop, bucketOf(reduced.routes, call.routeId), bucketOf(reduced.hours, `${call.routeId}|${localHour(call.time)}`)]
+                .forEach(bucket => {
+                    bucket.delays.push(call.delay);
+                    if (onTime) bucket.onTime++;
+                });
+        });
+
+        cancelled.forEach(trip => {
+            if (!happened(trip.time)) return;
+            bucketOf(reduced.routes, trip.routeId).cancellations++;
+            bucketOf(reduced.hours, `${trip.routeId}|${localHour(trip.time)}`).cancellations++;
+        });
+
+        return reduced;
+    }
+
+    /**
+     * Statistics for a time window
+     * @param {Object} query - `from`, `to`, `hours` (see parseWindow), `mode`,
+     *                         `route` (route ID or line name; adds per-stop statistics)
+     * @returns {Promise<Object>} `{from, to, onTime, totals, routes, hours, stops?}`
+     * @throws {Error} With `status` 400 for invalid parameters
+     */
+    async compute(query = {}) {
+        const all = await this.listPartitions();
+
+        // Forget partitions the recorder has pruned
+        const indexes = new Set(all.map(partition => partition.index));
+        [...this.partitions.keys()].forEach(index => {
+            if (!indexes.has(index)) this.partitions.delete(index);
+        });
+
+        const latest = all.length > 0 ? Math.min(Date.now(), all[all.length - 1].start + HOUR) : Date.now();
+        let window;
+        try {
+            window = parseWindow(query, latest);
+        } catch (error) {
+            error.status = 400;
+            throw error;
+        }
+
+        // Whole hours: every partition starting inside the window
+        const partitions = all.filter(partition =>
+            partition.start + HOUR > window.from &&
+            partition.start < window.to &&
+            (!query.mode || partition.mode === query.mode));
+
+        const routeMatches = (mode, routeId) => {
+            if (!query.route) return true;
+            return routeId === query.route || this.routes.get(mode)?.get(routeId)?.line === query.route;
+        };
+
+        const totals = emptyBucket();
+        const routes = new Map();
+        const hours = new Map();
+        const stops = new Map();
+
+        for (const partition of partitions) {
+            const reduced = await this.readPartition(partition);
+
+            reduced.routes.forEach((bucket, routeId) => {
+                if (!routeMatches(reduced.mode, routeId)) return;
+                addBucket(totals, bucket);
+                addBucket(bucketOf(routes, `${reduced.mode}|${routeId}`), bucket);
+            });
+            reduced.hours.forEach((bucket, key) => {
+                const [routeId, hour] = key.split('|');
+                if (routeMatches(reduced.mode, routeId)) {
+                    addBucket(bucketOf(hours, Number(hour)), bucket);
+                }
+            });
+            if (query.route) {
+                reduced.stops.forEach((bucket, key) => {
+                    const [routeId, stopId] = key.split('|');
+                    if (routeMatches(reduced.mode, routeId)) {
+                        addBucket(bucketOf(stops, `${reduced.mode}|${stopId}`), bucket);
+                    }
+                });
+            }
+        }
+
+        const result = {
+            from: new Date(window.from).toISOString(),
+            to: new Date(window.to).toISOString(),
+            onTime: ON_TIME,
+            totals: summarize(totals),
+            routes: [...routes].map(([key, bucket]) => {
+                const [mode, routeId] = key.split('|');
+                const route = this.routes.get(mode)?.get(routeId);
+                return {mode, routeId, line: route?.line || routeId, color: route?.color, ...summarize(bucket)};
+            }).sort((a, b) => a.mode.localeCompare(b.mode) || a.line.localeCompare(b.line, 'en', {numeric: true})),
+            hours: [...hours]
+                .map(([hour, bucket]) => ({hour, ...summarize(bucket)}))
+                .sort((a, b) => a.hour - b.hour)
+        };
+
+        if (query.route) {
+            // Worst stops first
+            result.stops = [...stops].map(([key, bucket]) => {
+                const [mode, stopId] = key.split('|');
+                return {mode, stopId, stopName: this.stopNames[mode]?.[stopId], ...summarize(bucket)};
+            }).sort((a, b) => (b.meanDelay ?? -Infinity) - (a.meanDelay ?? -Infinity));
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Note the latest prediction of each stop call (and the cancellation) of a trip update
+ */
+function observeTrip(trip, calls, cancelled, observedAt) {
+    const tripKey = `${trip.tripId}|${trip.startDate || ''}`;
+    const stops = trip.stops || [];
+    const tripCanceled = trip.tripStatus === TRIP_CANCELED;
+
+    if (tripCanceled) {
+        const firstStop = stops[0];
+        cancelled.set(tripKey, {
+            routeId: trip.routeId,
+            time: firstStop?.departure ?? firstStop?.arrival ?? observedAt
+        });
+    }
+
+    stops.forEach(stop => {
+        const time = stop.arrival ?? stop.departure;
+        const delay = stop.arrivalDelay ?? stop.departureDelay ?? trip.delay;
+        if (!time || (delay === undefined && !tripCanceled)) return;
+
+        calls.set(`${tripKey}|${stop.stopSequence ?? stop.stopId}`, {
+            routeId: trip.routeId,
+            stopId: stop.stopId,
+            time,
+            delay,
+            skipped: tripCanceled || stop.status === STOP_SKIPPED
+        });
+    });
+}
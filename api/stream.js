@@ -0,0 +1,188 @@
+import {feedKey} from './feeds.js';
+
+/**
+ * Server-Sent Events vehicle stream
+ * While at least one client is connected, every registered feed is polled
+ * once per interval and only the entities that changed are pushed out.
+ */
+export default class FeedStream {
+    /**
+     * @param {Object} options
+     * @param {Array} options.feeds - Feed registry entries to stream
+     * @param {Function} options.loadFeed - Returns the cached `{timestamp, feed}` snapshot for a feed
+     * @param {Function} [options.entities] - Returns the entities to stream for a snapshot (each with an `id`)
+     * @param {number} options.interval - Poll interval in milliseconds
+     */
+    constructor({feeds, loadFeed, entities, interval}) {
+        this.feeds = feeds;
+        this.loadFeed = loadFeed;
+        this.entities = entities || ((feed, cached) => cached.feed.entity || []);
+        this.interval = interval;
+
+        this.clients = new Set();
+        this.timerId = null;
+
+        // Last broadcast state per feed: Map<feedKey, {timestamp, entities: Map<entityId, json>}>
+        this.snapshots = new Map();
+
+        // Feeds currently served from their last good snapshot (upstream failing)
+        this.staleFeeds = new Set();
+    }
+
+    /**
+     * Express handler for the stream endpoint
+     */
+    handle(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(`retry: ${this.interval}\n\n`);
+
+        // Bring the new client up to date with everything already broadcast
+        this.feeds.forEach(feed => {
+            const snapshot = this.snapshots.get(feedKey(feed));
+            if (snapshot) {
+                this.send(res, 'snapshot', {
+                    mode: feed.mode,
+                    kind: feed.kind,
+                    timestamp: snapshot.timestamp,
+                    stale: this.staleFeeds.has(feedKey(feed)),
+                    entity: [...snapshot.entities.values()].map(json => JSON.parse(json))
+                });
+            }
+        });
+
+        this.clients.add(res);
+        this.start();
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            if (this.clients.size === 0) {
+                this.stop();
+            }
+        });
+    }
+
+    /**
+     * Start polling upstream (no-op if already running)
+     */
+    start() {
+        if (this.timerId) return;
+
+        // A loop only goes on while it owns `timerId`: one stopped during a
+        // poll must not resume when a new client starts another loop meanwhile
+        let timerId;
+        const tick = async () => {
+            await this.poll();
+            if (this.timerId === timerId) {
+                timerId = setTimeout(tick, this.interval);
+                this.timerId = timerId;
+            }
+        };
+        timerId = setTimeout(tick, 0);
+        this.timerId = timerId;
+    }
+
+    /**
+     * Stop polling upstream
+     */
+    stop() {
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * Refresh every feed once and broadcast the changes
+     */
+    async poll() {
+        for (const feed of this.feeds) {
+            try {
+                const cached = await this.loadFeed(feed);
+                this.updateStatus(feed, cached);
+                const delta = this.diff(feed, cached);
+
+                if (delta) {
+                    this.broadcast('delta', delta);
+                }
+            } catch (error) {
+                console.error(`Stream: error refreshing ${feed.label}:`, error.message);
+            }
+        }
+
+        // Keep idle connections alive through proxies
+        this.clients.forEach(res => res.write(': ping\n\n'));
+    }
+
+    /**
+     * Tell clients when a feed starts or stops being served from a stale snapshot
+     */
+    updateStatus(feed, cached) {
+        const key = feedKey(feed);
+        const stale = !!cached.stale;
+
+        if (stale === this.staleFeeds.has(key)) return;
+
+        if (stale) {
+            this.staleFeeds.add(key);
+        } else {
+            this.staleFeeds.delete(key);
+        }
+        this.broadcast('status', {
+            mode: feed.mode,
+            kind: feed.kind,
+            stale,
+            fetchedAt: cached.timestamp
+        });
+    }
+
+    /**
+     * Compare a fresh snapshot with the last broadcast one
+     * @returns {Object|null} Upserted entities and removed entity IDs, or null if nothing changed
+     */
+    diff(feed, cached) {
+        const key = feedKey(feed);
+        const previous = this.snapshots.get(key);
+        const entities = new Map();
+
+        this.entities(feed, cached).forEach(entity => {
+            entities.set(entity.id, JSON.stringify(entity));
+        });
+
+        const upserted = [];
+        for (const [id, json] of entities) {
+            if (!previous || previous.entities.get(id) !== json) {
+                upserted.push(JSON.parse(json));
+            }
+        }
+
+        const removed = previous
+            ? [...previous.entities.keys()].filter(id => !entities.has(id))
+            : [];
+
+        this.snapshots.set(key, {timestamp: cached.timestamp, entities});
+
+        if (previous && upserted.length === 0 && removed.length === 0) {
+            return null;
+        }
+
+        return {
+            mode: feed.mode,
+            kind: feed.kind,
+            timestamp: cached.timestamp,
+            upserted,
+            removed
+        };
+    }
+
+    broadcast(event, data) {
+        this.clients.forEach(res => this.send(res, event, data));
+    }
+
+    send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
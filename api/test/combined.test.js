@@ -0,0 +1,52 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import {combineFeeds, referencedRoutes} from '../combined.js';
+import {getFeed} from '../feeds.js';
+
+const {FeedMessage} = GtfsRealtimeBindings.transit_realtime;
+
+function part(mode, kind, timestamp, entity) {
+    return {
+        feed: getFeed(mode, kind),
+        cached: {timestamp: timestamp * 1000, feed: FeedMessage.fromObject({header: {gtfsRealtimeVersion: '2.0', timestamp}, entity})}
+    };
+}
+
+const parts = [
+    part('tram', 'positions', 100, [{id: '1', vehicle: {trip: {tripId: 'trip-1'}, position: {latitude: -37.8, longitude: 144.9}}}]),
+    part('tram', 'trips', 120, [{id: '1', tripUpdate: {trip: {tripId: 'trip-1', routeId: 'route-1'}}}]),
+    part('bus', 'alerts', 90, [{id: '1', alert: {informedEntity: [{routeId: 'route-2'}, {trip: {routeId: 'route-3'}}]}}])
+];
+
+test('combineFeeds prefixes entity IDs with their mode and kind', () => {
+    const message = combineFeeds(parts);
+
+    assert.deepEqual(message.entity.map(entity => entity.id), ['tram:positions:1', 'tram:trips:1', 'bus:alerts:1']);
+    assert.equal(Number(message.header.timestamp), 120);
+    assert.equal(message.header.incrementality, 0);
+});
+
+test('combineFeeds gives vehicles the route of their trip update, leaving the snapshots as they were', () => {
+    const message = combineFeeds(parts);
+
+    assert.equal(message.entity[0].vehicle.trip.routeId, 'route-1');
+    assert.equal(parts[0].cached.feed.entity[0].vehicle.trip.routeId, '');
+    assert.equal(parts[0].cached.feed.entity[0].id, '1');
+
+    // Still encodes as one valid FeedMessage
+    const decoded = FeedMessage.decode(FeedMessage.encode(message).finish());
+    assert.equal(decoded.entity.length, 3);
+});
+
+test('referencedRoutes lists the known routes of every entity', () => {
+    const routes = new Map([
+        ['tram', new Map([['route-1', {line: '96', name: 'East Brunswick - St Kilda Beach', color: '#00C864', textColor: '#FFFFFF'}]])],
+        ['bus', new Map([['route-2', {line: '200', name: 'City - Bulleen', color: '#FF8C00'}]])]
+    ]);
+
+    assert.deepEqual(referencedRoutes(combineFeeds(parts), routes), {
+        'route-1': {mode: 'tram', shortName: '96', longName: 'East Brunswick - St Kilda Beach', color: '#00C864', textColor: '#FFFFFF'},
+        'route-2': {mode: 'bus', shortName: '200', longName: 'City - Bulleen', color: '#FF8C00', textColor: undefined}
+    });
+});
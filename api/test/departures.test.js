@@ -0,0 +1,146 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import StopIndex, {DepartureTimetables, scheduledDepartures, collectDepartures} from '../departures.js';
+
+const stopNames = {
+    metro: {'19854': 'Flinders Street Station', '19855': 'Flinders Street Station', '19843': 'Richmond Station'},
+    vline: {'20043': 'Flinders Street Railway Station'},
+    tram: {'2160': 'Swanston St/Flinders St'}
+};
+
+const routeIndex = new Map([['route-1', {line: 'Sandringham', color: '#F178AF'}]]);
+
+// Every day in 2025
+const calendar = {daily: {start: '20250101', end: '20251231', days: [1, 1, 1, 1, 1, 1, 1], added: [], removed: []}};
+
+test('StopIndex covers every platform of a station, across metro and V/Line', () => {
+    const index = new StopIndex(stopNames, {metro: [{id: 'vic:rail:FSS', name: 'Flinders Street Station'}]});
+
+    for (const stopId of ['19854', '20043', 'vic:rail:FSS']) {
+        const {name, stops} = index.resolve(stopId);
+        assert.equal(name, 'Flinders Street Station');
+        assert.deepEqual([...stops.get('metro')], ['19854', '19855']);
+        assert.deepEqual([...stops.get('vline')], ['20043']);
+    }
+
+    const tram = index.resolve('2160');
+    assert.equal(tram.name, 'Swanston St/Flinders St');
+    assert.deepEqual([...tram.stops], [['tram', new Set(['2160'])]]);
+
+    assert.equal(index.resolve('unknown'), null);
+});
+
+test('DepartureTimetables reads a mode calendar and the files of the stops asked for', async () => {
+    const files = {
+        'calendar.json': calendar,
+        'departures/19854.json': [{tripId: 'a', departure: 100}],
+        'tram/departures/vic_2160.json': [{tripId: 'b', departure: 200}]
+    };
+    const reads = [];
+    const timetables = new DepartureTimetables(async file => {
+        reads.push(file);
+        if (!files[file]) throw new Error(`ENOENT: ${file}`);
+        return files[file];
+    });
+
+    const metro = await timetables.callsAt('metro', new Set(['19854', '19855']));
+    assert.deepEqual(metro.calls, [{tripId: 'a', departure: 100, stopId: '19854'}]);
+
+    // Reads are kept, and missing files count as no departures
+    await timetables.callsAt('metro', new Set(['19854']));
+    assert.deepEqual(reads, ['calendar.json', 'departures/19854.json', 'departures/19855.json']);
+
+    // No calendar: no timetable for the mode
+    assert.equal(await timetables.callsAt('tram', new Set(['vic:2160'])), null);
+    assert.deepEqual(await timetables.platforms('vline'), {});
+});
+
+test('DepartureTimetables tries a failed read again after a while', async t => {
+    let available = false;
+    const timetables = new DepartureTimetables(async () => {
+        if (!available) throw new Error('fetch failed');
+        return {'19854': '1'};
+    });
+    t.mock.method(console, 'warn', () => {});
+    const start = Date.parse('2025-06-02T00:00:00Z');
+    const now = t.mock.method(Date, 'now', () => start);
+
+    assert.deepEqual(await timetables.platforms('metro'), {});
+    available = true;
+    assert.deepEqual(await timetables.platforms('metro'), {});
+
+    now.mock.mockImplementation(() => start + 5 * 60 * 1000);
+    assert.deepEqual(await timetables.platforms('metro'), {'19854': '1'});
+});
+
+test('scheduledDepartures overlays the trip updates on the timetable', () => {
+    // Monday 2 June 2025, 10:00 in Melbourne
+    const now = Date.UTC(2025, 5, 2, 0, 0) / 1000;
+    const calls = [
+        {stopId: '19854', tripId: 'trip-1', routeId: 'route-1', serviceId: 'daily', headsign: 'Sandringham', departure: 10.5 * 3600, destination: '19843'},
+        {stopId: '19854', tripId: 'trip-2', routeId: 'route-1', serviceId: 'daily', headsign: 'Sandringham', departure: 11 * 3600, destination: 'x'},
+        {stopId: '19854', tripId: 'trip-3', routeId: 'route-1', serviceId: 'weekend', departure: 10.5 * 3600}
+    ];
+    const trips = [
+        {tripId: 'trip-1', startDate: '20250602', delay: 120},
+        {tripId: 'trip-4', routeId: 'route-1', stops: [
+            {stopId: '19854', stopName: 'Flinders Street Station', departure: now + 600, departureDelay: 0},
+            {stopId: '19843', stopName: 'Richmond Station', arrival: now + 780}
+        ]}
+    ];
+
+    const departures = scheduledDepartures('metro', {calendar, calls}, trips, new Set(['19854']), {
+        routeIndex,
+        stopNames: stopNames.metro,
+        platforms: {'19854': '12'},
+        now
+    });
+
+    assert.deepEqual(departures.map(departure => [departure.tripId, departure.scheduled - now, departure.predicted - now, departure.delay]), [
+        ['trip-1', 1800, 1920, 120],
+        ['trip-2', 3600, 3600, undefined],
+        ['trip-4', 600, 600, 0]
+    ]);
+    assert.equal(departures[0].destination, 'Richmond Station');
+    assert.equal(departures[1].destination, 'Sandringham');
+    assert.equal(departures[0].platform, '12');
+    assert.equal(departures[0].line, 'Sandringham');
+    assert.equal(departures[2].destination, 'Richmond Station');
+});
+
+test('scheduledDepartures counts times from noon on the day daylight saving starts', () => {
+    // Sunday 5 October 2025, 11:00 in Melbourne (clocks went forward at 02:00)
+    const now = Date.UTC(2025, 9, 5, 0, 0) / 1000;
+    const calls = [{stopId: '19854', tripId: 'noon', routeId: 'route-1', serviceId: 'daily', departure: 12 * 3600}];
+
+    const [departure] = scheduledDepartures('metro', {calendar, calls}, [], new Set(['19854']),
+        {routeIndex, stopNames: {}, platforms: {}, now});
+
+    assert.equal(departure.scheduled, Date.UTC(2025, 9, 5, 1, 0) / 1000);
+});
+
+test('collectDepartures lists the calls of trip updates, leaving out arrivals and past calls', () => {
+    const now = 1000000;
+    const trips = [
+        {tripId: 'a', routeId: 'route-1', delay: 60, stops: [
+            {stopId: '1', stopName: 'One', departure: now - 120},
+            {stopId: '2', stopName: 'Two', departure: now + 60},
+            {stopId: '3', stopName: 'Three', arrival: now + 120}
+        ]},
+        {tripId: 'b', routeId: 'route-2', tripStatus: 3, stops: [
+            {stopId: '2', departure: now + 300},
+            {stopId: '4', arrival: now + 400}
+        ]}
+    ];
+
+    const departures = collectDepartures('tram', trips, new Set(['1', '2', '3']), routeIndex, now, {'2': 'B'});
+
+    assert.deepEqual(departures.map(departure => [departure.tripId, departure.stopId, departure.scheduled - now, departure.cancelled]), [
+        ['a', '2', 0, false],
+        ['b', '2', 300, true]
+    ]);
+    assert.equal(departures[0].destination, 'Three');
+    assert.equal(departures[0].platform, 'B');
+    assert.equal(departures[1].line, 'tram');
+    assert.equal(departures[1].destination, '4');
+});
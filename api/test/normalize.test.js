@@ -0,0 +1,157 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import {
+    SCHEMA_VERSION,
+    normalizeEntities,
+    parseFields,
+    projectRecords,
+    buildResponse,
+    buildCombinedResponse
+} from '../normalize.js';
+import {getFeed, getRecordFeed} from '../feeds.js';
+
+const {FeedMessage} = GtfsRealtimeBindings.transit_realtime;
+
+const message = FeedMessage.fromObject({
+    header: {gtfsRealtimeVersion: '2.0', timestamp: 1761570000},
+    entity: [
+        {
+            id: 'v1',
+            vehicle: {
+                trip: {tripId: 'trip-1', routeId: 'route-1', scheduleRelationship: 'SCHEDULED'},
+                vehicle: {id: '100', label: 'X100'},
+                position: {latitude: -37.8, longitude: 144.9, bearing: 90},
+                stopId: '88',
+                currentStatus: 'STOPPED_AT',
+                timestamp: 1761569990
+            }
+        },
+        {id: 'v2', vehicle: {trip: {tripId: 'trip-2'}}},
+        {
+            id: 't1',
+            tripUpdate: {
+                trip: {tripId: 'trip-1', routeId: 'route-1', startDate: '20251027'},
+                delay: 60,
+                stopTimeUpdate: [
+                    {stopId: '88', stopSequence: 1, departure: {time: 1761570060, delay: 60}},
+                    {stopId: '89', stopSequence: 2, arrival: {time: 1761570300}, scheduleRelationship: 'SKIPPED'}
+                ]
+            }
+        }
+    ]
+});
+
+const stopNames = {'88': 'Stony Point Station'};
+
+test('normalizes vehicle positions', () => {
+    const [vehicle, ...rest] = normalizeEntities('positions', message, stopNames);
+
+    assert.equal(rest.length, 0); // Vehicles without a position are left out
+    assert.deepEqual(vehicle, {
+        id: 'v1',
+        tripId: 'trip-1',
+        routeId: 'route-1',
+        tripStatus: 0,
+        vehicleId: '100',
+        label: 'X100',
+        lat: vehicle.lat,
+        lon: vehicle.lon,
+        bearing: 90,
+        stopId: '88',
+        stopName: 'Stony Point Station',
+        status: 1,
+        timestamp: 1761569990
+    });
+    assert.ok(Math.abs(vehicle.lat - -37.8) < 1e-5);
+    assert.ok(Math.abs(vehicle.lon - 144.9) < 1e-5);
+});
+
+test('normalizes trip updates with their stops', () => {
+    const [trip] = normalizeEntities('trips', message, stopNames);
+
+    assert.equal(trip.id, 't1');
+    assert.equal(trip.startDate, '20251027');
+    assert.equal(trip.delay, 60);
+    assert.deepEqual(trip.stops, [
+        {stopId: '88', stopName: 'Stony Point Station', stopSequence: 1, departure: 1761570060, departureDelay: 60},
+        {stopId: '89', stopSequence: 2, arrival: 1761570300, status: 1}
+    ]);
+});
+
+test('has no normalized form for other kinds', () => {
+    assert.equal(normalizeEntities('alerts', message), null);
+});
+
+test('parseFields splits field lists', () => {
+    assert.deepEqual(parseFields('tripId, lat,,lon'), ['tripId', 'lat', 'lon']);
+    assert.equal(parseFields(''), null);
+    assert.equal(parseFields(' , '), null);
+});
+
+test('projectRecords keeps id and mode', () => {
+    const records = [{id: 'a', mode: 'metro', lat: 1, lon: 2, stops: [{stopId: '1', arrival: 5}]}];
+
+    assert.deepEqual(projectRecords(records, {fields: 'lat'}), [{id: 'a', mode: 'metro', lat: 1}]);
+    assert.deepEqual(projectRecords(records, {stopFields: 'stopId'}),
+        [{id: 'a', mode: 'metro', lat: 1, lon: 2, stops: [{stopId: '1'}]}]);
+    assert.equal(projectRecords(records, {}), records);
+});
+
+test('buildResponse lists records, or the changes since a version', () => {
+    const feed = getFeed('metro', 'positions');
+    const cached = {timestamp: 1000, feed: message};
+
+    const response = buildResponse({feed, cached, records: [{id: 'a', lat: 1}]}, {fields: 'lat'}, 3000);
+    assert.deepEqual(response, {
+        version: SCHEMA_VERSION,
+        mode: 'metro',
+        kind: 'positions',
+        timestamp: 1761570000,
+        fetchedAt: 1000,
+        stale: false,
+        age: 2000,
+        vehicles: [{id: 'a', lat: 1}]
+    });
+
+    const changes = {full: false, added: [{id: 'b'}], changed: [], removed: ['c']};
+    const delta = buildResponse({feed, cached: {...cached, stale: true}, records: [], version: 7, changes}, {since: '5'}, 3000);
+    assert.equal(delta.feedVersion, 7);
+    assert.equal(delta.since, 5);
+    assert.equal(delta.stale, true);
+    assert.deepEqual([delta.added, delta.removed], [[{id: 'b'}], ['c']]);
+    assert.equal(delta.vehicles, undefined);
+});
+
+test('buildCombinedResponse tags records with their mode and lists failed modes', () => {
+    const metro = getRecordFeed('metro', 'snapshot');
+    const tram = getRecordFeed('tram', 'snapshot');
+    const cached = {timestamp: 1000, feed: {header: {}}};
+
+    const response = buildCombinedResponse('snapshot', [
+        {feed: metro, cached, records: [{id: 'a'}], version: 4},
+        {feed: getRecordFeed('vline', 'snapshot'), cached, records: [], version: 2}
+    ], {}, {sequence: 4, failed: [{feed: tram}], now: 1000});
+
+    assert.equal(response.feedVersion, 4);
+    assert.deepEqual(response.vehicles, [{mode: 'metro', id: 'a'}]);
+    assert.deepEqual(response.feeds.metro, {timestamp: null, fetchedAt: 1000, stale: false, age: 0, count: 1, version: 4});
+    assert.deepEqual(response.feeds.tram, {error: 'Failed to fetch tram vehicle snapshot', stale: true});
+    assert.equal(response.stale, true);
+});
+
+test('buildCombinedResponse merges the changes of every mode', () => {
+    const cached = {timestamp: 1000, feed: {header: {}}};
+    const changes = removed => ({full: false, added: [], changed: [{id: 'a', lat: 1}], removed});
+
+    const response = buildCombinedResponse('snapshot', [
+        {feed: getRecordFeed('metro', 'snapshot'), cached, records: [], version: 4, changes: changes([])},
+        {feed: getRecordFeed('tram', 'snapshot'), cached, records: [], version: 3, changes: changes(['b'])}
+    ], {since: '2', fields: 'lat'}, {sequence: 4, now: 1000});
+
+    assert.equal(response.since, 2);
+    assert.deepEqual(response.changed, [{mode: 'metro', id: 'a', lat: 1}, {mode: 'tram', id: 'a', lat: 1}]);
+    assert.deepEqual(response.removed, [{mode: 'tram', id: 'b'}]);
+    assert.equal(response.feeds.tram.full, false);
+    assert.equal(response.stale, false);
+});
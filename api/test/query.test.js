@@ -0,0 +1,82 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseFilters, queryFeeds, modesOf} from '../query.js';
+
+/**
+ * Record loader over fixed records per feed key (`{cached, records}` as FeedProxy returns)
+ */
+function recordLoader(recordsByFeed) {
+    return async feed => {
+        const key = `${feed.mode}/${feed.kind}`;
+        if (!recordsByFeed[key]) {
+            throw new Error(`No ${key}`);
+        }
+        return {cached: {key}, records: recordsByFeed[key]};
+    };
+}
+
+test('parseFilters reads bbox, routes and modes', () => {
+    const filters = parseFilters({bbox: '144.9,-37.9,145.0,-37.8', routes: '1, 2,', modes: 'metro,tram'});
+
+    assert.deepEqual(filters.bbox, [144.9, -37.9, 145.0, -37.8]);
+    assert.deepEqual([...filters.routes], ['1', '2']);
+    assert.deepEqual(filters.modes, ['metro', 'tram']);
+    assert.deepEqual(parseFilters(), {bbox: null, routes: null, modes: null});
+});
+
+test('parseFilters rejects malformed bboxes and unknown modes', () => {
+    assert.throws(() => parseFilters({bbox: '1,2,3'}), /Invalid bbox/);
+    assert.throws(() => parseFilters({bbox: '1,2,x,4'}), /Invalid bbox/);
+    assert.throws(() => parseFilters({bbox: '145,-37,144,-36'}), /Invalid bbox/);
+    assert.throws(() => parseFilters({modes: 'metro,ferry'}), /Unknown modes: ferry/);
+});
+
+test('queryFeeds filters positions by bbox and route', async () => {
+    const loadRecords = recordLoader({
+        'metro/positions': [
+            {id: 'a', routeId: '1', lat: -37.81, lon: 144.96},
+            {id: 'b', routeId: '2', lat: -37.81, lon: 144.96},
+            {id: 'c', routeId: '1', lat: -38.5, lon: 144.96}
+        ]
+    });
+
+    const filters = parseFilters({bbox: '144.9,-37.9,145.0,-37.8', routes: '1'});
+    const [result] = await queryFeeds('positions', ['metro'], filters, loadRecords);
+
+    assert.equal(result.feed.mode, 'metro');
+    assert.equal(result.all.length, 3);
+    assert.deepEqual(result.records.map(record => record.id), ['a']);
+    assert.equal(result.matches({id: 'b', routeId: '2', lat: -37.81, lon: 144.96}), false);
+});
+
+test('queryFeeds keeps the trips whose vehicle is in the bbox', async () => {
+    const loadRecords = recordLoader({
+        'metro/trips': [{id: 't1', tripId: 'trip-1'}, {id: 't2', tripId: 'trip-2'}],
+        'metro/positions': [
+            {id: 'v1', tripId: 'trip-1', lat: -37.81, lon: 144.96},
+            {id: 'v2', tripId: 'trip-2', lat: -38.5, lon: 144.96}
+        ]
+    });
+
+    const [result] = await queryFeeds('trips', ['metro'], parseFilters({bbox: '144.9,-37.9,145.0,-37.8'}), loadRecords);
+
+    assert.deepEqual(result.records.map(record => record.id), ['t1']);
+    assert.deepEqual(result.snapshots, [{key: 'metro/trips'}, {key: 'metro/positions'}]);
+});
+
+test('queryFeeds returns the other modes when one fails', async t => {
+    t.mock.method(console, 'error', () => {});
+    const loadRecords = recordLoader({'metro/positions': [{id: 'a', lat: 0, lon: 0}]});
+
+    const [metro, tram] = await queryFeeds('positions', ['metro', 'tram'], parseFilters(), loadRecords);
+
+    assert.equal(metro.records.length, 1);
+    assert.equal(tram.feed.mode, 'tram');
+    assert.match(tram.error.message, /No tram\/positions/);
+});
+
+test('modesOf lists the modes of a normalized kind', () => {
+    assert.deepEqual(modesOf('positions'), ['metro', 'vline', 'bus', 'tram']);
+    assert.deepEqual(modesOf('snapshot'), ['metro', 'vline', 'bus', 'tram']);
+    assert.deepEqual(modesOf('alerts'), []);
+});
@@ -0,0 +1,119 @@
+import {test, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {spawn} from 'child_process';
+import net from 'net';
+import {fileURLToPath} from 'url';
+
+/**
+ * Smoke test: the server with simulated feeds (SIMULATE=1) answers its main endpoints
+ */
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+const STARTUP_TIMEOUT = 60 * 1000;
+
+let server;
+let baseUrl;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const {port} = probe.address();
+            probe.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+async function get(pathname) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    const body = response.headers.get('content-type')?.includes('json') ? await response.json() : await response.text();
+    return {status: response.status, headers: response.headers, body};
+}
+
+before(async () => {
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+
+    const env = {...process.env, PORT: String(port), SIMULATE: '1', RECORD_DIR: '', REPLAY_DIR: '', DTP_API_KEY: ''};
+    server = spawn(process.execPath, [SERVER], {env, stdio: ['ignore', 'pipe', 'pipe']});
+    let output = '';
+    server.stdout.on('data', data => { output += data; });
+    server.stderr.on('data', data => { output += data; });
+
+    const deadline = Date.now() + STARTUP_TIMEOUT;
+    while (Date.now() < deadline) {
+        if (server.exitCode !== null) {
+            throw new Error(`Server exited:\n${output}`);
+        }
+        try {
+            if ((await fetch(`${baseUrl}/health`)).ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`Server did not start:\n${output}`);
+});
+
+after(() => {
+    server?.kill();
+});
+
+test('/health reports the simulated feeds', async () => {
+    const {status, body} = await get('/health');
+
+    assert.equal(status, 200);
+    assert.equal(typeof body.stats, 'boolean');
+});
+
+test('/snapshot lists vehicles of every mode, and deltas since its version', async () => {
+    const {status, headers, body} = await get('/snapshot?fields=lat,lon');
+
+    assert.equal(status, 200);
+    assert.ok(headers.get('etag'));
+    assert.ok(body.vehicles.length > 0);
+    assert.deepEqual(Object.keys(body.feeds).sort(), ['bus', 'metro', 'tram', 'vline']);
+    body.vehicles.forEach(vehicle => {
+        assert.ok(vehicle.id && vehicle.mode);
+        assert.equal(typeof vehicle.lat, 'number');
+    });
+
+    const delta = await get(`/snapshot?since=${body.feedVersion}`);
+    assert.equal(delta.status, 200);
+    assert.equal(delta.body.since, body.feedVersion);
+    assert.ok(Array.isArray(delta.body.added) && Array.isArray(delta.body.removed));
+});
+
+test('/snapshot filters by bbox and mode, and rejects bad filters', async () => {
+    const {body} = await get('/snapshot?modes=metro&bbox=144.9,-37.85,145.0,-37.8');
+    body.vehicles.forEach(vehicle => {
+        assert.equal(vehicle.mode, 'metro');
+        assert.ok(vehicle.lon >= 144.9 && vehicle.lon <= 145.0 && vehicle.lat >= -37.85 && vehicle.lat <= -37.8);
+    });
+
+    assert.equal((await get('/snapshot?bbox=1,2,3')).status, 400);
+    assert.equal((await get('/snapshot?modes=ferry')).status, 400);
+});
+
+test('/v1 feeds, /gtfs-rt and unknown feeds', async () => {
+    const trips = await get('/v1/metro/trips');
+    assert.equal(trips.status, 200);
+    assert.ok(Array.isArray(trips.body.trips));
+
+    const merged = await get('/gtfs-rt?format=json');
+    assert.equal(merged.status, 200);
+
+    assert.equal((await get('/feeds/metro/unknown')).status, 404);
+});
+
+test('/trip and /stops/:stopId/departures answer for a simulated vehicle', async () => {
+    const {body} = await get('/snapshot?modes=metro&fields=tripId,stopId');
+    const vehicle = body.vehicles.find(record => record.tripId && record.stopId);
+    assert.ok(vehicle, 'a metro vehicle with a trip and stop');
+
+    const trip = await get(`/trip/${encodeURIComponent(vehicle.tripId)}`);
+    assert.equal(trip.status, 200);
+
+    const board = await get(`/stops/${encodeURIComponent(vehicle.stopId)}/departures`);
+    assert.equal(board.status, 200);
+    assert.ok(Array.isArray(board.body.departures));
+});
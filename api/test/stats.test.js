@@ -0,0 +1,122 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import DelayStats, {parseWindow} from '../stats.js';
+
+const {FeedMessage} = GtfsRealtimeBindings.transit_realtime;
+
+const HOUR = 3600 * 1000;
+
+test('parseWindow defaults to the 24 hours before the newest recording', () => {
+    const latest = Date.parse('2025-10-27T12:00:00Z');
+
+    assert.deepEqual(parseWindow({}, latest), {from: latest - 24 * HOUR, to: latest});
+    assert.deepEqual(parseWindow({hours: '2'}, latest), {from: latest - 2 * HOUR, to: latest});
+    assert.deepEqual(parseWindow({from: '2025-10-27T10:00:00Z', to: String(latest)}, 0),
+        {from: latest - 2 * HOUR, to: latest});
+});
+
+test('parseWindow rejects invalid windows', () => {
+    const latest = Date.parse('2025-10-27T12:00:00Z');
+
+    assert.throws(() => parseWindow({from: 'yesterday'}, latest), /Invalid from/);
+    assert.throws(() => parseWindow({hours: '0'}, latest), /Invalid hours/);
+    assert.throws(() => parseWindow({from: String(latest)}, latest), /from must be before to/);
+    assert.throws(() => parseWindow({hours: String(32 * 24)}, latest), /Window longer than/);
+});
+
+/**
+ * Write trip update snapshots as a FeedRecorder partition
+ * @param {string} dir - Archive root
+ * @param {Array} snapshots - `{fetchedAt (ms), entity}`, all in one UTC hour
+ */
+async function recordTrips(dir, snapshots) {
+    const start = new Date(snapshots[0].fetchedAt).toISOString();
+    const partitionDir = path.join(dir, 'metro', 'trips', start.slice(0, 10));
+    await fs.mkdir(partitionDir, {recursive: true});
+
+    let offset = 0;
+    const index = [];
+    const data = [];
+    snapshots.forEach(({fetchedAt, entity}) => {
+        const headerTimestamp = Math.round(fetchedAt / 1000);
+        const bytes = FeedMessage.encode(FeedMessage.fromObject({
+            header: {gtfsRealtimeVersion: '2.0', timestamp: headerTimestamp},
+            entity
+        })).finish();
+
+        index.push(JSON.stringify({fetchedAt, headerTimestamp, entities: entity.length, offset, length: bytes.length}));
+        data.push(bytes);
+        offset += bytes.length;
+    });
+
+    const hour = start.slice(11, 13);
+    await fs.writeFile(path.join(partitionDir, `${hour}.pb`), Buffer.concat(data));
+    await fs.writeFile(path.join(partitionDir, `${hour}.index.jsonl`), index.join('\n') + '\n');
+}
+
+function tripUpdate(id, routeId, stops, trip = {}) {
+    return {
+        id,
+        tripUpdate: {
+            trip: {tripId: id, routeId, startDate: '20251027', ...trip},
+            stopTimeUpdate: stops.map(([stopId, stopSequence, time, delay]) => ({stopId, stopSequence, arrival: {time, delay}}))
+        }
+    };
+}
+
+test('DelayStats summarizes the last delay of each stop call that happened', async t => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'stats-'));
+    t.after(() => fs.rm(dir, {recursive: true, force: true}));
+
+    const first = Date.parse('2025-10-27T13:10:00Z');
+    const second = first + 2 * 60 * 1000;
+    const seconds = time => Math.round(time / 1000);
+
+    await recordTrips(dir, [
+        {
+            fetchedAt: first,
+            entity: [
+                tripUpdate('trip-1', 'route-1', [['A', 1, seconds(first) - 30, 30], ['B', 2, seconds(first) + 600, 600]]),
+                tripUpdate('trip-2', 'route-1', [['A', 1, seconds(first) + 60, 0]], {scheduleRelationship: 'CANCELED'})
+            ]
+        },
+        {
+            // Caught up: B is reached before this sample, 400 seconds late
+            fetchedAt: second,
+            entity: [tripUpdate('trip-1', 'route-1', [['B', 2, seconds(second) - 20, 400]])]
+        }
+    ]);
+
+    const stats = new DelayStats({
+        dir,
+        stopNames: {metro: {A: 'Alpha Station', B: 'Beta Station'}},
+        routes: new Map([['metro', new Map([['route-1', {line: 'Alamein', color: '#094c8d'}]])]])
+    });
+    const window = {from: '2025-10-27T13:00:00Z', to: '2025-10-27T14:00:00Z'};
+
+    const result = await stats.compute(window);
+    assert.deepEqual(result.totals, {calls: 2, meanDelay: 215, p90Delay: 400, onTimePercent: 50, cancellations: 1});
+    assert.deepEqual(result.routes.map(route => [route.mode, route.routeId, route.line, route.calls]),
+        [['metro', 'route-1', 'Alamein', 2]]);
+    assert.deepEqual(result.hours.map(hour => hour.hour), [0]); // 00:10 in Melbourne (daylight saving)
+    assert.equal(result.stops, undefined);
+
+    // By line name, with the worst stops first
+    const route = await stats.compute({...window, route: 'Alamein'});
+    assert.deepEqual(route.stops.map(stop => [stop.stopName, stop.meanDelay, stop.cancellations]),
+        [['Beta Station', 400, 0], ['Alpha Station', 30, 1]]);
+
+    assert.equal((await stats.compute({...window, route: 'Belgrave'})).totals.calls, 0);
+    assert.equal((await stats.compute({...window, mode: 'tram'})).totals.calls, 0);
+});
+
+test('DelayStats rejects invalid windows with status 400', async () => {
+    const stats = new DelayStats({dir: path.join(os.tmpdir(), 'stats-missing')});
+
+    await assert.rejects(stats.compute({hours: '-1'}), error => error.status === 400);
+    assert.equal((await stats.compute({})).totals.calls, 0);
+});
@@ -0,0 +1,84 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import FeedVersions from '../versions.js';
+import {getFeed} from '../feeds.js';
+
+const metro = getFeed('metro', 'positions');
+const tram = getFeed('tram', 'positions');
+
+/**
+ * A new snapshot of records (versions compare snapshots by identity)
+ */
+function snapshot() {
+    return {timestamp: Date.now(), feed: {entity: []}};
+}
+
+test('versions new, changed and removed records', () => {
+    const versions = new FeedVersions();
+
+    const first = versions.update(metro, snapshot(), [{id: 'a', lat: 1}, {id: 'b', lat: 1}]);
+    assert.equal(first.version, 1);
+
+    const state = versions.update(metro, snapshot(), [{id: 'a', lat: 2}, {id: 'c', lat: 1}]);
+    assert.equal(state.version, 2);
+
+    const changes = versions.changes(state, 1);
+    assert.equal(changes.full, false);
+    assert.deepEqual(changes.added, [{id: 'c', lat: 1}]);
+    assert.deepEqual(changes.changed, [{id: 'a', lat: 2}]);
+    assert.deepEqual(changes.removed, ['b']);
+
+    assert.deepEqual(versions.changes(state, 2), {full: false, added: [], changed: [], removed: []});
+});
+
+test('an unchanged or already seen snapshot takes no version', () => {
+    const versions = new FeedVersions();
+    const cached = snapshot();
+
+    versions.update(metro, cached, [{id: 'a'}]);
+    versions.update(metro, cached, [{id: 'a'}, {id: 'b'}]);
+    const state = versions.update(metro, snapshot(), [{id: 'a'}]);
+
+    assert.equal(versions.sequence, 1);
+    assert.equal(state.version, 1);
+});
+
+test('feeds share one sequence', () => {
+    const versions = new FeedVersions();
+
+    versions.update(metro, snapshot(), [{id: 'a'}]);
+    const tramState = versions.update(tram, snapshot(), [{id: 'x'}]);
+
+    assert.equal(tramState.version, 2);
+    assert.deepEqual(versions.changes(tramState, 1).added, [{id: 'x'}]);
+});
+
+test('returns a full snapshot for versions it cannot answer', () => {
+    const versions = new FeedVersions({maxRemoved: 1});
+
+    versions.update(metro, snapshot(), [{id: 'a'}, {id: 'b'}, {id: 'c'}]);
+    versions.update(metro, snapshot(), [{id: 'b'}, {id: 'c'}]);
+    const state = versions.update(metro, snapshot(), [{id: 'c'}]);
+
+    // The tombstone of 'a' was pruned: a client at version 1 may still have it
+    const old = versions.changes(state, 1);
+    assert.equal(old.full, true);
+    assert.deepEqual(old.added, [{id: 'c'}]);
+
+    // Newer than anything issued (e.g. a version from before a restart)
+    assert.equal(versions.changes(state, 10).full, true);
+
+    assert.deepEqual(versions.changes(state, 2).removed, ['b']);
+});
+
+test('reports records that left the filter as removed, once the client had them', () => {
+    const versions = new FeedVersions();
+    const inside = record => record.lat < 10;
+
+    versions.update(metro, snapshot(), [{id: 'a', lat: 1}, {id: 'b', lat: 20}]);
+    const state = versions.update(metro, snapshot(), [{id: 'a', lat: 15}, {id: 'b', lat: 25}]);
+
+    const changes = versions.changes(state, 1, inside);
+    assert.deepEqual(changes.removed, ['a']);
+    assert.deepEqual(changes.changed, []);
+});
@@ -0,0 +1,155 @@
+import {feedKey} from './feeds.js';
+
+/**
+ * Feed versions for delta updates (?since=<version>)
+ * Every change to a feed's normalized records takes the next number of one
+ * sequence shared by all feeds, so a feed's version only ever increases and a
+ * single `since` value works across modes. Each record remembers the version
+ * it last changed in; removed records are kept as tombstones for a while.
+ */
+export default class FeedVersions {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxRemoved - Tombstones kept per feed; older `since` values get a full snapshot
+     */
+    constructor({maxRemoved = 5000} = {}) {
+        this.maxRemoved = maxRemoved;
+        this.sequence = 0;
+
+        // Map<feedKey, {snapshot, version, horizon, records: Map<id, entry>, removed: Map<id, version>}>
+        // entry: {record, json, added, version, previous: {record, version}} (previous = state before the last change)
+        this.feeds = new Map();
+    }
+
+    /**
+     * Compare a snapshot's records with the previous snapshot and version the changes
+     * (no-op if this snapshot was already seen)
+     * @param {Object} feed - Feed registry entry
+     * @param {Object} cached - `{timestamp, feed}` snapshot
+     * @param {Array} records - All normalized records of the snapshot
+     * @returns {Object} Feed state (pass to changes())
+     */
+    update(feed, cached, records) {
+        const key = feedKey(feed);
+        let state = this.feeds.get(key);
+
+        if (!state) {
+            state = {snapshot: null, version: 0, horizon: 0, records: new Map(), removed: new Map()};
+            this.feeds.set(key, state);
+        }
+        if (state.snapshot === cached) {
+            return state;
+        }
+        state.snapshot = cached;
+
+        const version = this.sequence + 1;
+        const seen = new Set();
+        let changed = false;
+
+        records.forEach(record => {
+            const json = JSON.stringify(record);
+            const previous = state.records.get(record.id);
+            seen.add(record.id);
+
+            if (!previous) {
+                state.records.set(record.id, {record, json, added: version, version});
+                state.removed.delete(record.id);
+                changed = true;
+            } else if (previous.json !== json) {
+                previous.previous = {record: previous.record, version: previous.version};
+                Object.assign(previous, {record, json, version});
+                changed = true;
+            }
+        });
+
+        for (const id of state.records.keys()) {
+            if (!seen.has(id)) {
+                state.records.delete(id);
+                state.removed.set(id, version);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.sequence = version;
+            state.version = version;
+            this.prune(state);
+        }
+
+        return state;
+    }
+
+    /**
+     * Drop the oldest tombstones (Map keeps insertion order)
+     */
+    prune(state) {
+        while (state.removed.size > this.maxRemoved) {
+            const [id, version] = state.removed.entries().next().value;
+            state.removed.delete(id);
+            state.horizon = Math.max(state.horizon, version);
+        }
+    }
+
+    /**
+     * Get the changes of a feed since a version
+     * A full snapshot (every record in `added`) is returned when `since` is
+     * older than the kept tombstones or newer than anything this server issued
+     * (e.g. after a restart).
+     * @param {Object} state - Feed state from update()
+     * @param {number} since - Last version the client has
+     * @param {Function} matches - Record filter (records that stop matching are reported as removed)
+     * @returns {{full: boolean, added: Array, changed: Array, removed: Array}}
+     */
+    changes(state, since, matches = () => true) {
+        const records = [...state.records.values()];
+
+        if (since < state.horizon || since > this.sequence) {
+            return {
+                full: true,
+                added: records.map(entry => entry.record).filter(matches),
+                changed: [],
+                removed: []
+            };
+        }
+
+        const added = [];
+        const changed = [];
+        const removed = [];
+
+        records.forEach(entry => {
+            if (entry.version <= since) return;
+
+            if (!matches(entry.record)) {
+                if (this.mayHave(entry, since, matches)) {
+                    removed.push(entry.record.id);
+                }
+            } else if (entry.added > since) {
+                added.push(entry.record);
+            } else {
+                changed.push(entry.record);
+            }
+        });
+
+        for (const [id, version] of state.removed) {
+            if (version > since) {
+                removed.push(id);
+            }
+        }
+
+        return {full: false, added, changed, removed};
+    }
+
+    /**
+     * Check whether a client at `since` may have a record that changed after it
+     * (a client that only ever saw it outside its filter never had it)
+     */
+    mayHave(entry, since, matches) {
+        if (entry.added > since) {
+            return false;
+        }
+        if (entry.previous && entry.previous.version <= since) {
+            return matches(entry.previous.record);
+        }
+        return true; // Changed more than once since - can't tell
+    }
+}
@@ -0,0 +1,132 @@
+const {FEEDS, getFeed} = require('../../api/feeds.js');
+const {default: FeedProxy, resolveApiKey, feedResponse, recordsResponse, tripResponse, departuresResponse, combinedResponse, jsonResponse, finishResponse} = require('../../api/proxy.js');
+const {default: StopIndex, DepartureTimetables} = require('../../api/departures.js');
+
+// Stop ID -> name maps (bundled into the function)
+const STOP_NAMES = {
+  metro: require('../../data/station-id-map.json'),
+  vline: require('../../data/vline/stop-id-map.json'),
+  tram: require('../../data/tram/stop-id-map.json'),
+  bus: require('../../data/bus/stop-id-map.json'),
+};
+
+// Route lists for merged snapshots (bundled into the function)
+const ROUTES = {
+  metro: require('../../data/routes.json'),
+  vline: require('../../data/vline/routes.json'),
+  tram: require('../../data/tram/routes.json'),
+  bus: require('../../data/bus/routes.json'),
+};
+
+// Railway stations for departure boards (bundled into the function)
+const STATIONS = {
+  metro: require('../../data/stations.json'),
+  vline: require('../../data/vline/stops.json'),
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, If-None-Match',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Expose-Headers': 'ETag, Last-Modified, X-Feed-Fetched-At, X-Feed-Stale, X-Feed-Age',
+};
+
+// Same cache, backoff and response shapes as the local server (api/proxy.js).
+// The cache lives as long as the function instance stays warm.
+const proxy = new FeedProxy({ apiKey: resolveApiKey(), stopNames: STOP_NAMES, routes: ROUTES });
+const stopIndex = new StopIndex(STOP_NAMES, STATIONS);
+
+// Timetables and platform numbers for departure boards: too large to bundle, so read
+// from the published site's data/ (see scripts/copy-to-public.cjs) on first use
+const timetables = new DepartureTimetables(async (file) => {
+  const response = await fetch(`${process.env.URL}/data/${file}`);
+  if (!response.ok) {
+    throw new Error(`${file}: HTTP ${response.status}`);
+  }
+  return response.json();
+});
+
+// Route a path below /api (e.g. "/positions", "/feeds/tram/trips", "/v1/metro/positions", "/snapshot", "/trip/<tripId>")
+function route(path, request) {
+  // Functions cannot hold a /stream open: `stream: false` tells the map to poll.
+  // Nor do they record feeds, so there are no /stats
+  if (/^\/health\/?$/.test(path)) {
+    return jsonResponse(200, {
+      status: proxy.backoff.size > 0 ? 'degraded' : 'ok',
+      timestamp: new Date().toISOString(),
+      source: 'live',
+      stream: false,
+      stats: false,
+    });
+  }
+
+  if (/^\/snapshot\/?$/.test(path)) {
+    return recordsResponse(proxy, { kind: 'snapshot', query: request.query });
+  }
+
+  if (/^\/gtfs-rt\/?$/.test(path)) {
+    return combinedResponse(proxy, request);
+  }
+
+  const tripMatch = path.match(/^\/trip\/([^/]+)\/?$/);
+  if (tripMatch) {
+    return tripResponse(proxy, { tripId: decodeURIComponent(tripMatch[1]), query: request.query });
+  }
+
+  const departuresMatch = path.match(/^\/stops\/([^/]+)\/departures\/?$/);
+  if (departuresMatch) {
+    return departuresResponse(proxy, { stopId: decodeURIComponent(departuresMatch[1]), query: request.query }, stopIndex, timetables);
+  }
+
+  const feedMatch = path.match(/^\/feeds\/([^/]+)\/([^/]+)\/?$/);
+  if (feedMatch) {
+    const feed = getFeed(feedMatch[1], feedMatch[2]);
+    return feed
+      ? feedResponse(proxy, feed, request)
+      : jsonResponse(404, { error: `Unknown feed: ${feedMatch[1]}/${feedMatch[2]}` });
+  }
+
+  // Functions keep no state between instances, so ?since= is ignored and
+  // full snapshots are returned (responses carry no feedVersion)
+  const v1Match = path.match(/^\/v1\/(?:([^/]+)\/)?([^/]+)\/?$/);
+  if (v1Match) {
+    return recordsResponse(proxy, { mode: v1Match[1], kind: v1Match[2], query: request.query });
+  }
+
+  // Legacy paths (/positions, /vline/trips, ...)
+  const feed = FEEDS.find(f => f.aliases.includes(path.replace(/\/$/, '')));
+  return feed ? feedResponse(proxy, feed, request) : jsonResponse(404, { error: `Not found: ${path}` });
+}
+
+// Every /api/* path (see netlify.toml): /health, raw feeds, their aliases, the merged /gtfs-rt feed, the normalized v1 API, /snapshot, /trip and /stops
+exports.handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+  }
+
+  // Same validators (ETag, 304) and compression as the local server
+  const headers = event.headers || {};
+  const path = event.path.replace(/^\/(\.netlify\/functions\/api|api)/, '') || '/';
+  let response;
+  try {
+    response = await finishResponse(await route(path, {
+      accept: headers.accept,
+      query: event.queryStringParameters || {},
+    }), {
+      ifNoneMatch: headers['if-none-match'],
+      acceptEncoding: headers['accept-encoding'],
+    });
+  } catch (error) {
+    // As the local server's error handling middleware
+    console.error('Server error:', error);
+    response = jsonResponse(500, { error: 'Internal server error' });
+  }
+  const binary = Buffer.isBuffer(response.body);
+
+  return {
+    statusCode: response.status,
+    headers: { ...CORS_HEADERS, ...response.headers },
+    body: binary ? response.body.toString('base64') : response.body,
+    isBase64Encoded: binary,
+  };
+};
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -17,13 +18,15 @@ const TRANSPORT_TYPES = {
         id: 3,
         name: 'Trams',
         dataPath: 'D:/Programming/Python/property/data/raw/gtfs/3/extracted',
-        color: '#00C864' // Green
+        color: '#00C864', // Green
+        timetablesByRoute: true // Too many trips for one file: one timetable per route
     },
     'bus': {
         id: 4,
         name: 'Buses',
         dataPath: 'D:/Programming/Python/property/data/raw/gtfs/4/extracted',
-        color: '#FF8C00' // Orange
+        color: '#FF8C00', // Orange
+        timetablesByRoute: true
     }
 };
 
@@ -31,47 +34,50 @@ const TRANSPORT_TYPES = {
 const OUTPUT_BASE = path.resolve(__dirname, '../data');
 
 /**
- * Parse CSV file into array of objects (handles quoted values)
+ * Parse a CSV line handling quotes
  */
-function parseCSV(content) {
-    const lines = content.split('\n').filter(line => line.trim());
-    if (lines.length === 0) return [];
+function parseLine(line) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
     
-    // Parse a CSV line handling quotes
-    function parseLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
         
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ',' && !inQuotes) {
+            values.push(current.trim());
+            current = '';
+        } else {
+            current += char;
         }
-        values.push(current.trim());
-        return values;
     }
+    values.push(current.trim());
+    return values;
+}
+
+/**
+ * Row object of a CSV line
+ */
+function parseRow(headers, line) {
+    const values = parseLine(line);
+    const row = {};
+    headers.forEach((header, index) => {
+        row[header] = values[index] || '';
+    });
+    return row;
+}
+
+/**
+ * Parse CSV file into array of objects (handles quoted values)
+ */
+function parseCSV(content) {
+    const lines = content.split('\n').filter(line => line.trim());
+    if (lines.length === 0) return [];
     
     const headers = parseLine(lines[0]);
-    const data = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseLine(lines[i]);
-        const row = {};
-        headers.forEach((header, index) => {
-            row[header] = values[index] || '';
-        });
-        data.push(row);
-    }
-    
-    return data;
+    return lines.slice(1).map(line => parseRow(headers, line));
 }
 
 /**
@@ -90,6 +96,35 @@ function readGTFSFile(basePath, filename) {
     return parseCSV(content);
 }
 
+/**
+ * Read GTFS file line by line, for files too large to hold as one string (stop_times.txt)
+ * @param {Function} onRow - Called with each row object
+ */
+async function streamGTFSFile(basePath, filename, onRow) {
+    const filePath = path.join(basePath, filename);
+    console.log(`Streaming ${filePath}...`);
+    
+    if (!fs.existsSync(filePath)) {
+        console.warn(`File not found: ${filePath}`);
+        return;
+    }
+    
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, 'utf-8'),
+        crlfDelay: Infinity
+    });
+    
+    let headers = null;
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        if (headers) {
+            onRow(parseRow(headers, line));
+        } else {
+            headers = parseLine(line);
+        }
+    }
+}
+
 /**
  * Process routes for a transport type
  */
@@ -123,6 +158,7 @@ function processStops(basePath, transportType) {
     const stops = readGTFSFile(basePath, 'stops.txt');
     const stopList = [];
     const stopMap = {};
+    const platforms = {}; // Stop ID -> platform number (departure boards)
     
     stops.forEach(stop => {
         const isStation = stop.location_type === '1';
@@ -162,10 +198,14 @@ function processStops(basePath, transportType) {
                 stopMap[stop.stop_id] = stop.stop_name;
             }
         }
+        
+        if (stop.platform_code) {
+            platforms[stop.stop_id] = stop.platform_code;
+        }
     });
     
     console.log(`✅ Processed ${stopList.length} stops and ${Object.keys(stopMap).length} stop mappings`);
-    return { stopList, stopMap };
+    return { stopList, stopMap, platforms };
 }
 
 /**
@@ -235,11 +275,10 @@ function processShapes(basePath, transportType, routes) {
 /**
  * Process route-stops mapping (ordered list of stops for each route)
  */
-function processRouteStops(basePath, transportType, routes, stopMap) {
+function processRouteStops(basePath, transportType, routes, stopMap, tripStopTimes) {
     console.log(`\n=== Processing ${transportType.name} Route-Stops Mapping ===`);
     
     const trips = readGTFSFile(basePath, 'trips.txt');
-    const stopTimes = readGTFSFile(basePath, 'stop_times.txt');
     
     // Build route to trips mapping
     const routeTrips = {};
@@ -250,23 +289,6 @@ function processRouteStops(basePath, transportType, routes, stopMap) {
         routeTrips[trip.route_id].push(trip.trip_id);
     });
     
-    // Build trip to stops mapping
-    const tripStops = {};
-    stopTimes.forEach(st => {
-        if (!tripStops[st.trip_id]) {
-            tripStops[st.trip_id] = [];
-        }
-        tripStops[st.trip_id].push({
-            stopId: st.stop_id,
-            sequence: parseInt(st.stop_sequence) || 0
-        });
-    });
-    
-    // Sort stops by sequence
-    Object.keys(tripStops).forEach(tripId => {
-        tripStops[tripId].sort((a, b) => a.sequence - b.sequence);
-    });
-    
     // Build route to stops mapping (use first trip as representative)
     const routeStops = {};
     
@@ -276,11 +298,11 @@ function processRouteStops(basePath, transportType, routes, stopMap) {
         
         // Use first trip to get stop sequence
         const firstTripId = tripIds[0];
-        const stops = tripStops[firstTripId] || [];
+        const stops = tripStopTimes[firstTripId] || [];
         
         // Map stop IDs to names
         const stopNames = stops
-            .map(s => stopMap[s.stopId])
+            .map(([stopId]) => stopMap[stopId])
             .filter(name => name); // Remove undefined
         
         if (stopNames.length > 0) {
@@ -292,10 +314,183 @@ function processRouteStops(basePath, transportType, routes, stopMap) {
     return routeStops;
 }
 
+/**
+ * Parse a GTFS time ("25:10:00" on trips running past midnight) to seconds after midnight
+ */
+function parseTime(time) {
+    const [hours, minutes, seconds] = time.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + (seconds || 0);
+}
+
+/**
+ * Read the stop times of every trip, in stop sequence order
+ * Stop times are [stopId, arrival, departure] in seconds after midnight.
+ * @returns {Promise<Object>} Trip ID -> stop times
+ */
+async function readStopTimes(basePath) {
+    const tripStopTimes = {};
+    await streamGTFSFile(basePath, 'stop_times.txt', st => {
+        if (!tripStopTimes[st.trip_id]) {
+            tripStopTimes[st.trip_id] = [];
+        }
+        const arrival = st.arrival_time ? parseTime(st.arrival_time) : parseTime(st.departure_time);
+        const departure = st.departure_time ? parseTime(st.departure_time) : arrival;
+        tripStopTimes[st.trip_id].push([st.stop_id, arrival, departure, parseInt(st.stop_sequence) || 0]);
+    });
+    
+    Object.values(tripStopTimes).forEach(stopTimes => {
+        stopTimes.sort((a, b) => a[3] - b[3]);
+        stopTimes.forEach(stopTime => stopTime.pop());
+    });
+    return tripStopTimes;
+}
+
+/**
+ * Process trips with their stop times (for the schedule engine)
+ */
+function processTrips(basePath, transportType, tripStopTimes) {
+    console.log(`\n=== Processing ${transportType.name} Trips ===`);
+    
+    const trips = readGTFSFile(basePath, 'trips.txt');
+    
+    const processedTrips = trips.map(trip => ({
+        tripId: trip.trip_id,
+        routeId: trip.route_id,
+        serviceId: trip.service_id,
+        shapeId: trip.shape_id,
+        headsign: trip.trip_headsign,
+        directionId: trip.direction_id,
+        stopTimes: tripStopTimes[trip.trip_id] || []
+    }));
+    
+    console.log(`✅ Processed ${processedTrips.length} trips`);
+    return processedTrips;
+}
+
+/**
+ * Write one timetable per route, and an index of them with the area each route covers
+ * (from its trips' shapes) so the map loads only the routes in view:
+ * timetables/index.json is {routeId: {file, bbox: [west, south, east, north]}}
+ */
+function writeRouteTimetables(outputDir, trips, shapes) {
+    const timetableDir = path.join(outputDir, 'timetables');
+    fs.rmSync(timetableDir, { recursive: true, force: true });
+    fs.mkdirSync(timetableDir, { recursive: true });
+    
+    const shapeCoordinates = {};
+    shapes.features.forEach(feature => {
+        shapeCoordinates[feature.properties.shapeId] = feature.geometry.coordinates;
+    });
+    
+    const routeTrips = {};
+    trips.forEach(trip => {
+        if (!routeTrips[trip.routeId]) {
+            routeTrips[trip.routeId] = [];
+        }
+        routeTrips[trip.routeId].push(trip);
+    });
+    
+    const index = {};
+    Object.entries(routeTrips).forEach(([routeId, tripsOfRoute]) => {
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        new Set(tripsOfRoute.map(trip => trip.shapeId)).forEach(shapeId => {
+            (shapeCoordinates[shapeId] || []).forEach(([lon, lat]) => {
+                bbox[0] = Math.min(bbox[0], lon);
+                bbox[1] = Math.min(bbox[1], lat);
+                bbox[2] = Math.max(bbox[2], lon);
+                bbox[3] = Math.max(bbox[3], lat);
+            });
+        });
+        if (bbox[0] === Infinity) return; // No shape: nowhere to place its vehicles
+        
+        // Route IDs may contain characters not allowed in file names (e.g. ':')
+        const file = `${routeId.replace(/[^\w-]/g, '_')}.json`;
+        fs.writeFileSync(path.join(timetableDir, file), JSON.stringify(tripsOfRoute));
+        index[routeId] = { file, bbox };
+    });
+    
+    fs.writeFileSync(
+        path.join(timetableDir, 'index.json'),
+        JSON.stringify(index, null, 2)
+    );
+    console.log(`✅ Wrote ${Object.keys(index).length} route timetables`);
+}
+
+/**
+ * Write the scheduled departures of each stop, so the API's departure boards read only
+ * the stops asked for: departures/{stopId}.json is [{tripId, routeId, serviceId, headsign,
+ * departure, destination}] by departure time (seconds after midnight; destination is the
+ * trip's last stop ID). Characters not allowed in file names are replaced with '_'.
+ */
+function writeStopDepartures(outputDir, trips) {
+    const departuresDir = path.join(outputDir, 'departures');
+    fs.rmSync(departuresDir, { recursive: true, force: true });
+    fs.mkdirSync(departuresDir, { recursive: true });
+    
+    const stopDepartures = {};
+    trips.forEach(trip => {
+        const destination = trip.stopTimes[trip.stopTimes.length - 1]?.[0];
+        // Calls at the last stop are arrivals
+        trip.stopTimes.slice(0, -1).forEach(([stopId, , departure]) => {
+            if (!stopDepartures[stopId]) {
+                stopDepartures[stopId] = [];
+            }
+            stopDepartures[stopId].push({
+                tripId: trip.tripId,
+                routeId: trip.routeId,
+                serviceId: trip.serviceId,
+                headsign: trip.headsign,
+                departure,
+                destination
+            });
+        });
+    });
+    
+    Object.entries(stopDepartures).forEach(([stopId, departures]) => {
+        departures.sort((a, b) => a.departure - b.departure);
+        fs.writeFileSync(
+            path.join(departuresDir, `${stopId.replace(/[^\w-]/g, '_')}.json`),
+            JSON.stringify(departures)
+        );
+    });
+    console.log(`✅ Wrote departures of ${Object.keys(stopDepartures).length} stops`);
+}
+
+/**
+ * Process service calendars (which days each trip runs), exceptions included
+ */
+function processCalendar(basePath, transportType) {
+    console.log(`\n=== Processing ${transportType.name} Calendar ===`);
+    
+    const calendar = {};
+    
+    readGTFSFile(basePath, 'calendar.txt').forEach(service => {
+        calendar[service.service_id] = {
+            days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+                .map(day => service[day] === '1' ? 1 : 0),
+            start: service.start_date,
+            end: service.end_date,
+            added: [],
+            removed: []
+        };
+    });
+    
+    readGTFSFile(basePath, 'calendar_dates.txt').forEach(exception => {
+        if (!calendar[exception.service_id]) {
+            calendar[exception.service_id] = {days: [0, 0, 0, 0, 0, 0, 0], start: '', end: '', added: [], removed: []};
+        }
+        const service = calendar[exception.service_id];
+        (exception.exception_type === '1' ? service.added : service.removed).push(exception.date);
+    });
+    
+    console.log(`✅ Processed ${Object.keys(calendar).length} services`);
+    return calendar;
+}
+
 /**
  * Process all transport types
  */
-function processAllTransport() {
+async function processAllTransport() {
     console.log('🚀 Starting GTFS data processing for all transport types...\n');
     
     // Ensure output directory exists
@@ -328,7 +523,7 @@ function processAllTransport() {
             );
             
             // Process stops
-            const { stopList, stopMap } = processStops(transportType.dataPath, transportType);
+            const { stopList, stopMap, platforms } = processStops(transportType.dataPath, transportType);
             fs.writeFileSync(
                 path.join(outputDir, 'stops.json'),
                 JSON.stringify(stopList, null, 2)
@@ -337,6 +532,10 @@ function processAllTransport() {
                 path.join(outputDir, 'stop-id-map.json'),
                 JSON.stringify(stopMap, null, 2)
             );
+            fs.writeFileSync(
+                path.join(outputDir, 'platforms.json'),
+                JSON.stringify(platforms, null, 2)
+            );
             
             // Process shapes
             const shapes = processShapes(transportType.dataPath, transportType, routes);
@@ -345,13 +544,33 @@ function processAllTransport() {
                 JSON.stringify(shapes, null, 2)
             );
             
+            // Stop times of every trip (route-stops mapping and trips)
+            const tripStopTimes = await readStopTimes(transportType.dataPath);
+            
             // Process route-stops mapping
-            const routeStops = processRouteStops(transportType.dataPath, transportType, routes, stopMap);
+            const routeStops = processRouteStops(transportType.dataPath, transportType, routes, stopMap, tripStopTimes);
             fs.writeFileSync(
                 path.join(outputDir, 'route-stops.json'),
                 JSON.stringify(routeStops, null, 2)
             );
             
+            // Process trips and calendar (schedule engine)
+            const trips = processTrips(transportType.dataPath, transportType, tripStopTimes);
+            if (transportType.timetablesByRoute) {
+                writeRouteTimetables(outputDir, trips, shapes);
+            } else {
+                fs.writeFileSync(
+                    path.join(outputDir, 'trips.json'),
+                    JSON.stringify(trips)
+                );
+            }
+            writeStopDepartures(outputDir, trips);
+            const calendar = processCalendar(transportType.dataPath, transportType);
+            fs.writeFileSync(
+                path.join(outputDir, 'calendar.json'),
+                JSON.stringify(calendar, null, 2)
+            );
+            
             console.log(`\n✅ ${transportType.name} processing complete!`);
             console.log(`   Output directory: ${outputDir}`);
             
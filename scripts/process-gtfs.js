@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -8,28 +9,57 @@ const __dirname = path.dirname(__filename);
 const METROMINDER_DATA_PATH = path.resolve(__dirname, '../../metrominder/data/gtfsschedule');
 const OUTPUT_PATH = path.resolve(__dirname, '../data');
 
+// Parse a CSV line to an object
+function parseRow(headers, line) {
+    const values = line.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+    const obj = {};
+    headers.forEach((header, i) => {
+        obj[header] = values[i] || '';
+    });
+    return obj;
+}
+
 // Parse CSV to JSON
 function parseCSV(csvText) {
     const lines = csvText.split('\n').filter(line => line.trim());
     const headers = lines[0].split(',').map(h => h.trim());
     
-    return lines.slice(1).map(line => {
-        const values = line.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
-        const obj = {};
-        headers.forEach((header, i) => {
-            obj[header] = values[i] || '';
-        });
-        return obj;
-    });
+    return lines.slice(1).map(line => parseRow(headers, line));
 }
 
 // Read and parse GTFS file
 function readGTFSFile(filename) {
     const filePath = path.join(METROMINDER_DATA_PATH, filename);
+    
+    // Some GTFS files are optional (calendar.txt, calendar_dates.txt)
+    if (!fs.existsSync(filePath)) {
+        console.warn(`File not found: ${filePath}`);
+        return [];
+    }
+    
     const content = fs.readFileSync(filePath, 'utf-8');
     return parseCSV(content);
 }
 
+// Read a GTFS file line by line, for files too large to hold as one string (stop_times.txt)
+async function streamGTFSFile(filename, onRow) {
+    const filePath = path.join(METROMINDER_DATA_PATH, filename);
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, 'utf-8'),
+        crlfDelay: Infinity
+    });
+    
+    let headers = null;
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        if (headers) {
+            onRow(parseRow(headers, line));
+        } else {
+            headers = line.split(',').map(h => h.trim());
+        }
+    }
+}
+
 // Process stations
 function processStations() {
     console.log('Processing stations...');
@@ -38,6 +68,7 @@ function processStations() {
     // Create a map of both numeric stop IDs and parent station IDs to names
     const stationMap = {};
     const stationList = [];
+    const platforms = {}; // Platform stop ID -> platform number (departure boards)
     
     stops.forEach(stop => {
         const isStation = stop.location_type === '1';
@@ -59,6 +90,9 @@ function processStations() {
             // Use the stop's own name first, or look up parent
             stationMap[stop.stop_id] = stop.stop_name;
         }
+        if (stop.platform_code) {
+            platforms[stop.stop_id] = stop.platform_code;
+        }
     });
     
     // Save both the station list and the ID-to-name map
@@ -70,6 +104,10 @@ function processStations() {
         path.join(OUTPUT_PATH, 'station-id-map.json'),
         JSON.stringify(stationMap, null, 2)
     );
+    fs.writeFileSync(
+        path.join(OUTPUT_PATH, 'platforms.json'),
+        JSON.stringify(platforms, null, 2)
+    );
     
     console.log(`Processed ${stationList.length} stations and ${Object.keys(stationMap).length} stop ID mappings`);
     return stationList;
@@ -243,28 +281,123 @@ function processShapes() {
     return geojson;
 }
 
-// Process trips
-function processTrips() {
+// Parse a GTFS time ("25:10:00" on trips running past midnight) to seconds after midnight
+function parseTime(time) {
+    const [hours, minutes, seconds] = time.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + (seconds || 0);
+}
+
+// Process trips with their stop times (for the schedule engine)
+async function processTrips() {
     console.log('Processing trips...');
     const trips = readGTFSFile('trips.txt');
     
+    // Stop times per trip: [stopId, arrival, departure] in seconds after midnight
+    const tripStopTimes = {};
+    await streamGTFSFile('stop_times.txt', st => {
+        if (!tripStopTimes[st.trip_id]) {
+            tripStopTimes[st.trip_id] = [];
+        }
+        const arrival = st.arrival_time ? parseTime(st.arrival_time) : parseTime(st.departure_time);
+        const departure = st.departure_time ? parseTime(st.departure_time) : arrival;
+        tripStopTimes[st.trip_id].push({
+            sequence: parseInt(st.stop_sequence) || 0,
+            stopTime: [st.stop_id, arrival, departure]
+        });
+    });
+    
     const processedTrips = trips.map(trip => ({
         tripId: trip.trip_id,
         routeId: trip.route_id,
         serviceId: trip.service_id,
         shapeId: trip.shape_id,
         headsign: trip.trip_headsign,
-        directionId: trip.direction_id
+        directionId: trip.direction_id,
+        stopTimes: (tripStopTimes[trip.trip_id] || [])
+            .sort((a, b) => a.sequence - b.sequence)
+            .map(st => st.stopTime)
     }));
     
+    // Not indented: stop times make this file large
     fs.writeFileSync(
         path.join(OUTPUT_PATH, 'trips.json'),
-        JSON.stringify(processedTrips, null, 2)
+        JSON.stringify(processedTrips)
     );
+    writeStopDepartures(processedTrips);
     console.log(`Processed ${processedTrips.length} trips`);
     return processedTrips;
 }
 
+// Write the scheduled departures of each stop (the API's departure boards read only the stops asked for):
+// departures/{stopId}.json is [{tripId, routeId, serviceId, headsign, departure, destination}] by
+// departure time (seconds after midnight; destination is the trip's last stop ID)
+function writeStopDepartures(trips) {
+    const departuresDir = path.join(OUTPUT_PATH, 'departures');
+    fs.rmSync(departuresDir, { recursive: true, force: true });
+    fs.mkdirSync(departuresDir, { recursive: true });
+    
+    const stopDepartures = {};
+    trips.forEach(trip => {
+        const destination = trip.stopTimes[trip.stopTimes.length - 1]?.[0];
+        // Calls at the last stop are arrivals
+        trip.stopTimes.slice(0, -1).forEach(([stopId, , departure]) => {
+            if (!stopDepartures[stopId]) {
+                stopDepartures[stopId] = [];
+            }
+            stopDepartures[stopId].push({
+                tripId: trip.tripId,
+                routeId: trip.routeId,
+                serviceId: trip.serviceId,
+                headsign: trip.headsign,
+                departure,
+                destination
+            });
+        });
+    });
+    
+    Object.entries(stopDepartures).forEach(([stopId, departures]) => {
+        departures.sort((a, b) => a.departure - b.departure);
+        fs.writeFileSync(
+            path.join(departuresDir, `${stopId.replace(/[^\w-]/g, '_')}.json`),
+            JSON.stringify(departures)
+        );
+    });
+    console.log(`Wrote departures of ${Object.keys(stopDepartures).length} stops`);
+}
+
+// Process service calendars (which days each trip runs)
+function processCalendar() {
+    console.log('Processing calendar...');
+    const calendar = {};
+    
+    readGTFSFile('calendar.txt').forEach(service => {
+        calendar[service.service_id] = {
+            days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+                .map(day => service[day] === '1' ? 1 : 0),
+            start: service.start_date,
+            end: service.end_date,
+            added: [],
+            removed: []
+        };
+    });
+    
+    // Exceptions (services may only be defined here)
+    readGTFSFile('calendar_dates.txt').forEach(exception => {
+        if (!calendar[exception.service_id]) {
+            calendar[exception.service_id] = {days: [0, 0, 0, 0, 0, 0, 0], start: '', end: '', added: [], removed: []};
+        }
+        const service = calendar[exception.service_id];
+        (exception.exception_type === '1' ? service.added : service.removed).push(exception.date);
+    });
+    
+    fs.writeFileSync(
+        path.join(OUTPUT_PATH, 'calendar.json'),
+        JSON.stringify(calendar, null, 2)
+    );
+    console.log(`Processed ${Object.keys(calendar).length} services`);
+    return calendar;
+}
+
 // Process station lines mapping
 function processStationLines() {
     console.log('Processing station lines...');
@@ -286,7 +419,7 @@ function processStationLines() {
 }
 
 // Main processing
-function main() {
+async function main() {
     console.log('Starting GTFS data processing...\n');
     
     // Create output directory if it doesn't exist
@@ -298,7 +431,8 @@ function main() {
         processStations();
         processRoutes();
         processShapes();
-        processTrips();
+        await processTrips();
+        processCalendar();
         processStationLines();
         
         console.log('\n✅ GTFS data processing complete!');
@@ -0,0 +1,47 @@
+/**
+ * Map clock
+ * Wall-clock time normally; when the API server is replaying recorded feeds,
+ * follows the server's replay clock so ETAs and countdowns match the data.
+ */
+const clock = {
+
+    // Replay state from the API server ({time, speed, paused, start, end}), or null when live
+    replay: null,
+
+    // performance.now() at the moment `replay` was received
+    syncedAt: 0,
+
+    /**
+     * Current time in milliseconds
+     */
+    now() {
+        const replay = clock.replay;
+
+        if (!replay) {
+            return Date.now();
+        }
+        if (replay.paused) {
+            return replay.time;
+        }
+        return Math.min(replay.end, replay.time + (performance.now() - clock.syncedAt) * replay.speed);
+    },
+
+    /**
+     * Check whether the clock follows a replay
+     */
+    isReplay() {
+        return !!clock.replay;
+    },
+
+    /**
+     * Follow the server's replay clock
+     * @param {Object|null} state - Replay state, or null to return to wall-clock time
+     */
+    sync(state) {
+        clock.replay = state;
+        clock.syncedAt = performance.now();
+    }
+
+};
+
+export default clock;
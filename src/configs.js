@@ -29,6 +29,47 @@ export default {
     
     // Update intervals (milliseconds)
     trainRefreshInterval: 5000, // Update train positions every 5 seconds
+    alertRefreshInterval: 60000, // Refresh service alerts every 60 seconds
+    
+    // Live vehicle stream (Server-Sent Events from the API server)
+    // Vehicles update as soon as a new feed arrives; polling is used while the stream is down,
+    // and where the API has no stream (its /health says so, e.g. the Netlify function)
+    useVehicleStream: true,
+    streamRetryInterval: 30000, // Retry a refused stream after 30 seconds
+
+    // Data-quality overlay: issues the API server finds in the feeds (/diagnostics)
+    // Also shown when the page URL has ?diagnostics
+    showDiagnostics: false,
+    diagnosticsRefreshInterval: 30000, // Refresh the overlay every 30 seconds
+
+    // Trails behind the selected vehicle, or every vehicle of its line (/vehicles/:id/trail)
+    trailMinutes: 30, // Minutes of position history drawn
+    trailRefreshInterval: 15000, // Refresh trails every 15 seconds
+    maxTrails: 60, // Most vehicles drawn with trails at once (whole line)
+
+    // Scheduled vehicles: trips the realtime feeds leave out, positioned from the timetable
+    // (data/trips.json and calendar.json per transport type, see the data processing scripts)
+    // Tram and bus timetables are split per route and loaded for the routes in view; add
+    // 'tram' and 'bus' here to show them too
+    // Off by default: the metro and V/Line timetables are several MB (or add ?scheduled to the URL)
+    showScheduledVehicles: false,
+    scheduledModes: ['metro', 'vline'],
+    scheduleRefreshInterval: 5000, // Reposition scheduled vehicles every 5 seconds
+
+    // Punctuality view: vehicles coloured by their current delay instead of route colour
+    // Also turned on when the page URL has ?punctuality
+    punctualityMode: false,
+    // Delay bands in seconds late (negative: early), from earliest to latest:
+    // a vehicle takes the first band its delay is below. On time matches the API's
+    // /stats (ON_TIME in api/stats.js): -60 <= delay < 300
+    punctualityBands: [
+        {below: -60, color: '#3b82f6', label: 'Early (over 1 min)'},
+        {below: 300, color: '#22c55e', label: 'On time'},
+        {below: 600, color: '#facc15', label: '5–10 min late'},
+        {below: 1200, color: '#f97316', label: '10–20 min late'},
+        {below: Infinity, color: '#dc2626', label: '20+ min late'}
+    ],
+    punctualityUnknownColor: '#9ca3af', // Vehicles without a trip update delay
     
     // Animation settings
     trainAnimationDuration: 5000, // Smooth animation over 5 seconds
@@ -0,0 +1,46 @@
+/**
+ * Punctuality control - button switching vehicle colours between
+ * route colours and delay (punctuality view)
+ */
+export default class PunctualityControl {
+    /**
+     * @param {Function} onClick - Toggles the view, returns whether it is now on
+     * @param {boolean} active - Whether the view starts on
+     */
+    constructor(onClick, active = false) {
+        this.onClick = onClick;
+        this.active = active;
+        this.container = null;
+    }
+
+    onAdd(map) {
+        this.map = map;
+
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group punctuality-control';
+        this.container.innerHTML = `
+            <button type="button" title="Colour vehicles by delay" aria-label="Colour vehicles by delay">
+                <svg viewBox="0 0 20 20" width="20" height="20">
+                    <circle cx="10" cy="10" r="7" fill="none" stroke="currentColor" stroke-width="2" />
+                    <path d="M10 5.5 V10 L13 12" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+                </svg>
+            </button>
+        `;
+
+        const button = this.container.querySelector('button');
+        button.classList.toggle('active', this.active);
+        button.setAttribute('aria-pressed', String(this.active));
+        button.addEventListener('click', () => {
+            this.active = this.onClick();
+            button.classList.toggle('active', this.active);
+            button.setAttribute('aria-pressed', String(this.active));
+        });
+
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.parentNode.removeChild(this.container);
+        this.map = undefined;
+    }
+}
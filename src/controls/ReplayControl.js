@@ -0,0 +1,120 @@
+import clock from '../clock';
+import {updateReplayState} from '../loader';
+
+const SPEEDS = [1, 2, 5, 10, 30, 60];
+
+/**
+ * Replay control - play/pause, speed and seek for recorded feeds
+ * Only added to the map when the API server runs in replay mode
+ */
+export default class ReplayControl {
+    /**
+     * @param {string} apiUrl - Base API URL
+     * @param {Function} onChange - Called after the replay clock was changed
+     */
+    constructor(apiUrl, onChange) {
+        this.apiUrl = apiUrl;
+        this.onChange = onChange;
+        this.container = null;
+        this.intervalId = null;
+        this.seeking = false;
+    }
+
+    onAdd(map) {
+        this.map = map;
+
+        // Create container
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group replay-control';
+
+        this.container.innerHTML = `
+            <div class="replay-row">
+                <button type="button" class="replay-play"></button>
+                <span class="replay-time"></span>
+                <select class="replay-speed">
+                    ${SPEEDS.map(speed => `<option value="${speed}">${speed}×</option>`).join('')}
+                </select>
+            </div>
+            <input type="range" class="replay-seek" min="0" max="1000" step="1">
+        `;
+
+        this.playButton = this.container.querySelector('.replay-play');
+        this.timeLabel = this.container.querySelector('.replay-time');
+        this.speedSelect = this.container.querySelector('.replay-speed');
+        this.seekInput = this.container.querySelector('.replay-seek');
+
+        // Add event listeners
+        this.playButton.addEventListener('click', () => {
+            this.update({paused: !clock.replay.paused});
+        });
+        this.speedSelect.addEventListener('change', () => {
+            this.update({speed: Number(this.speedSelect.value)});
+        });
+        this.seekInput.addEventListener('input', () => {
+            this.seeking = true;
+            this.timeLabel.textContent = this.formatTime(this.seekTime());
+        });
+        this.seekInput.addEventListener('change', () => {
+            this.seeking = false;
+            this.update({time: this.seekTime()});
+        });
+
+        this.render();
+        this.intervalId = setInterval(() => this.render(), 1000);
+
+        return this.container;
+    }
+
+    onRemove() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this.container.parentNode.removeChild(this.container);
+        this.map = undefined;
+    }
+
+    /**
+     * Send clock changes to the API server and follow the new state
+     */
+    async update(changes) {
+        const state = await updateReplayState(this.apiUrl, changes);
+
+        if (state) {
+            clock.sync(state);
+            this.render();
+            this.onChange();
+        }
+    }
+
+    /**
+     * Replay time selected on the seek slider
+     */
+    seekTime() {
+        const {start, end} = clock.replay;
+        return start + (end - start) * Number(this.seekInput.value) / 1000;
+    }
+
+    render() {
+        const replay = clock.replay;
+        if (!replay || this.seeking) return;
+
+        const now = clock.now();
+
+        this.playButton.textContent = replay.paused ? '▶' : '❚❚';
+        this.playButton.title = replay.paused ? 'Play' : 'Pause';
+        this.speedSelect.value = String(replay.speed);
+        this.timeLabel.textContent = this.formatTime(now);
+        this.seekInput.value = replay.end > replay.start
+            ? Math.round((now - replay.start) / (replay.end - replay.start) * 1000)
+            : 0;
+    }
+
+    formatTime(time) {
+        return new Date(time).toLocaleString('en-AU', {
+            day: '2-digit',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+}
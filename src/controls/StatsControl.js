@@ -0,0 +1,37 @@
+/**
+ * Stats control - button opening the on-time performance panel
+ * Only added to the map when the API server has recorded trip updates
+ */
+export default class StatsControl {
+    /**
+     * @param {Function} onClick - Opens the panel
+     */
+    constructor(onClick) {
+        this.onClick = onClick;
+        this.container = null;
+    }
+
+    onAdd(map) {
+        this.map = map;
+
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group stats-control';
+        this.container.innerHTML = `
+            <button type="button" title="On-time performance" aria-label="On-time performance">
+                <svg viewBox="0 0 20 20" width="20" height="20">
+                    <rect x="3" y="10" width="3" height="7" fill="currentColor" />
+                    <rect x="8.5" y="6" width="3" height="11" fill="currentColor" />
+                    <rect x="14" y="3" width="3" height="14" fill="currentColor" />
+                </svg>
+            </button>
+        `;
+        this.container.querySelector('button').addEventListener('click', () => this.onClick());
+
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.parentNode.removeChild(this.container);
+        this.map = undefined;
+    }
+}
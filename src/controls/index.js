@@ -1,2 +1,7 @@
 export {default as SearchControl} from './SearchControl';
 
+export {default as ReplayControl} from './ReplayControl';
+
+export {default as StatsControl} from './StatsControl';
+
+export {default as PunctualityControl} from './PunctualityControl';
@@ -0,0 +1,62 @@
+/**
+ * Alert class representing a GTFS-Realtime service alert (disruption)
+ */
+export default class Alert {
+    constructor(data) {
+        this.id = data.id;
+        this.mode = data.mode; // 'metro', 'vline', 'tram', 'bus'
+        this.cause = data.cause; // e.g. 'MAINTENANCE'
+        this.effect = data.effect; // e.g. 'REDUCED_SERVICE'
+        this.header = data.header || '';
+        this.description = data.description || '';
+        this.url = data.url;
+        this.activePeriods = data.activePeriods || []; // [{start, end}] in seconds, either may be missing
+        this.routeIds = data.routeIds || [];
+        this.stopIds = data.stopIds || [];
+        this.tripIds = data.tripIds || [];
+
+        // Linked static objects (filled in by linkAlerts)
+        this.railways = [];
+        this.stations = [];
+    }
+
+    /**
+     * Check whether the alert is in effect at a given time
+     * @param {number} time - Unix time in seconds
+     */
+    isActive(time) {
+        if (this.activePeriods.length === 0) {
+            return true;
+        }
+        return this.activePeriods.some(period =>
+            (!period.start || period.start <= time) && (!period.end || time <= period.end)
+        );
+    }
+
+    /**
+     * Check whether the alert affects a vehicle's trip or line
+     */
+    affectsTrain(train) {
+        return this.tripIds.includes(train.tripId) ||
+            this.routeIds.includes(train.routeId) ||
+            this.railways.some(r => r.shortName === train.line && r.transportType === (train.vehicleType || 'metro'));
+    }
+
+    /**
+     * Get the effect as readable text ('REDUCED_SERVICE' -> 'Reduced service')
+     */
+    getEffectLabel() {
+        if (!this.effect || this.effect === 'UNKNOWN_EFFECT' || this.effect === 'OTHER_EFFECT') {
+            return 'Service alert';
+        }
+        const text = this.effect.toLowerCase().replace(/_/g, ' ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Check whether the alert means services are not running normally
+     */
+    isSevere() {
+        return ['NO_SERVICE', 'REDUCED_SERVICE', 'SIGNIFICANT_DELAYS', 'DETOUR'].includes(this.effect);
+    }
+}
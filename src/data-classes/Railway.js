@@ -11,6 +11,7 @@ export default class Railway {
         this.textColor = data.textColor;
         this.geometry = data.geometry; // GeoJSON LineString
         this.transportType = data.transportType || 'metro'; // Transport type for filtering
+        this.alerts = []; // Active service alerts (see linkAlerts)
     }
 
     /**
@@ -10,6 +10,7 @@ export default class Station {
         this.code = data.code;
         this.lines = data.lines || [];
         this.transportType = data.transportType || 'metro'; // 'metro', 'vline', 'tram', 'bus'
+        this.alerts = []; // Active service alerts (see linkAlerts)
     }
 
     getCoordinates() {
@@ -3,6 +3,7 @@
  */
 export default class Train {
     constructor(data) {
+        this.key = data.key; // Unique per vehicle: mode and feed entity ID
         this.tripId = data.tripId;
         this.vehicleId = data.vehicleId;
         this.routeId = data.routeId;
@@ -13,11 +14,13 @@ export default class Train {
         this.timestamp = data.timestamp;
         this.nextStop = data.nextStop;
         this.nextStopArrival = data.nextStopArrival;
+        this.delay = data.delay; // Seconds late at the next stop (negative: early)
+        this.predictions = data.predictions || null; // TripPrediction: every remaining stop of the trip (scheduled vehicles; see loadTrip for live ones)
         this.occupancy = data.occupancy;
         this.line = data.line;
         this.color = data.color || [0, 0, 0];
         this.vehicleType = data.vehicleType || 'metro'; // 'metro', 'vline', 'bus', 'tram'
-        this.defaultColor = data.defaultColor || [0, 100, 200]; // Fallback color for vehicle type
+        this.scheduled = data.scheduled === true; // Positioned from the timetable (no live position)
         
         // Animation properties
         this.targetLat = this.lat;
@@ -29,6 +32,13 @@ export default class Train {
         return [this.lon, this.lat];
     }
 
+    /**
+     * ID of the vehicle's position history on the API server (vehicle ID, else feed entity ID)
+     */
+    getHistoryId() {
+        return this.vehicleId || this.key.slice(this.key.indexOf('/') + 1);
+    }
+
     /**
      * Update train position with new data
      */
@@ -63,6 +73,8 @@ export default class Train {
         this.timestamp = data.timestamp;
         this.nextStop = data.nextStop;
         this.nextStopArrival = data.nextStopArrival;
+        this.delay = data.delay;
+        this.predictions = data.predictions || null;
         this.occupancy = data.occupancy;
     }
 
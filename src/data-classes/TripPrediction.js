@@ -0,0 +1,60 @@
+// GTFS-Realtime schedule relationships
+const TRIP_CANCELED = 3;
+const STOP_SKIPPED = 1;
+const STOP_NO_DATA = 2;
+
+/**
+ * TripPrediction class representing the predicted stop sequence of a trip
+ * (from its GTFS-Realtime trip update, see loadVehicles and loadTrip)
+ */
+export default class TripPrediction {
+    constructor(data) {
+        this.tripId = data.tripId;
+        this.delay = data.delay; // Trip-level delay in seconds, if reported
+        this.cancelled = data.tripStatus === TRIP_CANCELED;
+        this.stops = (data.stops || []).map(stop => ({
+            stopId: stop.stopId,
+            name: stop.stopName || `Stop ID: ${stop.stopId}`,
+            sequence: stop.stopSequence,
+            arrival: stop.arrival, // Unix seconds
+            departure: stop.departure,
+            delay: stop.arrivalDelay ?? stop.departureDelay ?? data.delay, // Seconds late (negative: early)
+            skipped: stop.status === STOP_SKIPPED,
+            noData: stop.status === STOP_NO_DATA
+        }));
+    }
+
+    /**
+     * Predicted time at a stop: its arrival, else its departure (Unix seconds)
+     */
+    static timeOf(stop) {
+        return stop.arrival ?? stop.departure;
+    }
+
+    /**
+     * Stops still ahead at a given time (skipped ones included), in trip order
+     * @param {number} now - Unix time in seconds
+     */
+    getUpcomingStops(now) {
+        const index = this.stops.findIndex(stop => {
+            const time = stop.departure ?? stop.arrival;
+            return time === undefined || time >= now;
+        });
+        return index < 0 ? [] : this.stops.slice(index);
+    }
+
+    /**
+     * First stop still ahead that the trip will call at
+     * @param {number} now - Unix time in seconds
+     */
+    getNextStop(now) {
+        return this.getUpcomingStops(now).find(stop => !stop.skipped) || null;
+    }
+
+    /**
+     * Last stop of the trip
+     */
+    getDestination() {
+        return this.stops[this.stops.length - 1] || null;
+    }
+}
@@ -1,4 +1,6 @@
 export {default as Station} from './Station';
 export {default as Train} from './Train';
 export {default as Railway} from './Railway';
+export {default as Alert} from './Alert';
+export {default as TripPrediction} from './TripPrediction';
 
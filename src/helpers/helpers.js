@@ -109,3 +109,15 @@ export function getLineFromTripId(tripId) {
     return 'Unknown';
 }
 
+
+/**
+ * Escape text for use in HTML (feed text is not trusted markup)
+ */
+export function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
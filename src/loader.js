@@ -1,6 +1,6 @@
 import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
-import {loadJSON} from './helpers/helpers';
-import {Station, Train, Railway} from './data-classes';
+import {loadJSON, hexToRgb} from './helpers/helpers';
+import {Station, Train, Railway, Alert, TripPrediction} from './data-classes';
 import configs from './configs';
 
 /**
@@ -37,11 +37,10 @@ export async function loadStaticData() {
     
     try {
         // Load metro data (existing)
-        const [metroStations, metroRoutes, metroShapes, metroTrips, metroStationIdMap, stationLines] = await Promise.all([
+        const [metroStations, metroRoutes, metroShapes, metroStationIdMap, stationLines] = await Promise.all([
             loadJSON('../data/stations.json'),
             loadJSON('../data/routes.json'),
             loadJSON('../data/shapes.json'),
-            loadJSON('../data/trips.json'),
             loadJSON('../data/station-id-map.json'),
             loadJSON('../data/stationLines.json')
         ]);
@@ -217,7 +216,6 @@ export async function loadStaticData() {
             stations,
             routes: allRoutes,
             railways,
-            trips: metroTrips,
             shapes: { type: 'FeatureCollection', features: allShapes },
             stationIdMap: combinedStopIdMap,
             stationLines,  // Keep for backward compatibility
@@ -228,167 +226,638 @@ export async function loadStaticData() {
     }
 }
 
+// Vehicle types whose timetables are split per route (see process-all-transport)
+const ROUTE_TIMETABLE_TYPES = ['tram', 'bus'];
+
+/**
+ * Load a transport type's timetable: trips with their stop times and the
+ * service calendars (see the process-gtfs and process-all-transport scripts)
+ * Loaded separately from the static data as it is large. Tram and bus
+ * timetables come without trips: load those of the routes in view with
+ * loadRouteTimetable.
+ * @param {string} type - Vehicle type ('metro', 'vline', 'bus', 'tram')
+ * @returns {Promise<Object|null>} {trips, calendar, routes} (routes: route ID ->
+ *     {file, bbox} of the per-route timetables, if split), or null if the type has no timetable
+ */
+export async function loadTimetable(type) {
+    const dir = type === 'metro' ? '../data' : `../data/${type}`;
+
+    try {
+        if (ROUTE_TIMETABLE_TYPES.includes(type)) {
+            const [routes, calendar] = await Promise.all([
+                loadJSON(`${dir}/timetables/index.json`),
+                loadJSON(`${dir}/calendar.json`)
+            ]);
+            return {trips: [], calendar, routes};
+        }
+
+        const [trips, calendar] = await Promise.all([
+            loadJSON(`${dir}/trips.json`),
+            loadJSON(`${dir}/calendar.json`)
+        ]);
+        return {trips, calendar};
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Load the trips of one route, for timetables split per route
+ * @param {string} type - Vehicle type ('bus', 'tram')
+ * @param {Object} route - Entry of the timetable's routes ({file})
+ * @returns {Promise<Array>} Trips, empty if the file could not be loaded
+ */
+export async function loadRouteTimetable(type, {file}) {
+    try {
+        return await loadJSON(`../data/${type}/timetables/${file}`);
+    } catch (error) {
+        return [];
+    }
+}
+
 /**
- * Load real-time vehicle positions from API
+ * Load the API server's replay clock
  * @param {string} apiUrl - Base API URL
- * @param {string} vehicleType - Type of vehicle: 'metro', 'vline', 'bus', 'tram'
- * @param {string} color - Default color for this vehicle type (RGB array as string)
+ * @returns {Promise<Object|null>} Replay state, or null if the server is serving live feeds
  */
-async function loadVehiclePositions(apiUrl, endpoint, vehicleType, defaultColor) {
+export async function loadReplayState(apiUrl = configs.apiUrl) {
     try {
-        const response = await fetch(`${apiUrl}${endpoint}`);
+        const response = await fetch(`${apiUrl}/replay`);
         if (!response.ok) {
-            return [];
+            return null;
+        }
+        return await response.json();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Seek, pause/resume or change the speed of the API server's replay
+ * @param {string} apiUrl - Base API URL
+ * @param {Object} changes - Any of {time, speed, paused}
+ * @returns {Promise<Object|null>} New replay state, or null on failure
+ */
+export async function updateReplayState(apiUrl, changes) {
+    try {
+        const response = await fetch(`${apiUrl}/replay`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify(changes)
+        });
+        if (!response.ok) {
+            return null;
         }
+        return await response.json();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Live vehicle stream state
+ * While the API server's event stream is connected, feed entities are kept
+ * here and the load functions below read from memory instead of polling.
+ */
+const vehicleStream = {
+    source: null,
+    connected: false,
+    retryTimeoutId: null,
+    feeds: new Map(), // Map<"mode/kind", Map<entityId, entity>>
+    stale: new Set() // "mode/kind" of feeds the server is serving from its last good snapshot
+};
 
+/**
+ * Check which optional features the API server has (from /health): the live
+ * vehicle stream (the Netlify function has none) and on-time statistics
+ * (only with recorded feeds)
+ * @param {string} apiUrl - Base API URL
+ * @returns {Promise<Object>} {stream, stats}, both false if the server cannot be reached
+ */
+export async function loadApiFeatures(apiUrl = configs.apiUrl) {
+    try {
+        const response = await fetch(`${apiUrl}/health`);
+        if (!response.ok) {
+            return {stream: false, stats: false};
+        }
         const data = await response.json();
-        
+        return {stream: data.stream === true, stats: data.stats === true};
+    } catch (error) {
+        return {stream: false, stats: false};
+    }
+}
+
+/**
+ * Open the live vehicle stream
+ * @param {string} apiUrl - Base API URL
+ * @param {Function} onUpdate - Called whenever a feed changes
+ */
+export function openVehicleStream(apiUrl = configs.apiUrl, onUpdate = () => {}) {
+    if (typeof EventSource === 'undefined' || vehicleStream.source) {
+        return;
+    }
+
+    const source = new EventSource(`${apiUrl}/stream`);
+    vehicleStream.source = source;
+
+    const applyFeed = (event, reset) => {
+        const data = JSON.parse(event.data);
+        const key = `${data.mode}/${data.kind}`;
+
+        if (reset || !vehicleStream.feeds.has(key)) {
+            vehicleStream.feeds.set(key, new Map());
+        }
+        const entities = vehicleStream.feeds.get(key);
+
+        (data.entity || data.upserted || []).forEach(entity => entities.set(entity.id, entity));
+        (data.removed || []).forEach(id => entities.delete(id));
+
+        if (reset) {
+            setStreamStale(key, data.stale);
+        }
+        onUpdate(data.mode, data.kind);
+    };
+
+    const setStreamStale = (key, stale) => {
+        if (stale) {
+            vehicleStream.stale.add(key);
+        } else {
+            vehicleStream.stale.delete(key);
+        }
+    };
+
+    source.addEventListener('open', () => {
+        vehicleStream.connected = true;
+    });
+    source.addEventListener('snapshot', event => applyFeed(event, true));
+    source.addEventListener('delta', event => applyFeed(event, false));
+    source.addEventListener('status', event => {
+        const data = JSON.parse(event.data);
+        setStreamStale(`${data.mode}/${data.kind}`, data.stale);
+        onUpdate(data.mode, data.kind);
+    });
+    source.addEventListener('error', () => {
+        // Fall back to polling until the stream comes back
+        vehicleStream.connected = false;
+        vehicleStream.feeds.clear();
+        vehicleStream.stale.clear();
+
+        // EventSource retries by itself unless the server refused the stream outright
+        if (source.readyState === EventSource.CLOSED) {
+            vehicleStream.source = null;
+            vehicleStream.retryTimeoutId = setTimeout(() => {
+                vehicleStream.retryTimeoutId = null;
+                openVehicleStream(apiUrl, onUpdate);
+            }, configs.streamRetryInterval);
+        }
+    });
+}
+
+/**
+ * Close the live vehicle stream
+ */
+export function closeVehicleStream() {
+    if (vehicleStream.retryTimeoutId) {
+        clearTimeout(vehicleStream.retryTimeoutId);
+        vehicleStream.retryTimeoutId = null;
+    }
+    if (vehicleStream.source) {
+        vehicleStream.source.close();
+        vehicleStream.source = null;
+    }
+    vehicleStream.connected = false;
+    vehicleStream.feeds.clear();
+    vehicleStream.stale.clear();
+}
+
+/**
+ * Check whether vehicle data is currently arriving over the live stream
+ */
+export function isVehicleStreamConnected() {
+    return vehicleStream.connected;
+}
+
+// Fields requested from the merged vehicle snapshot - only what the map uses
+const VEHICLE_FIELDS = 'tripId,routeId,vehicleId,lat,lon,bearing,speed,occupancy,timestamp,' +
+    'line,color,nextStop,nextStopArrival,delay,tripStatus';
+
+const VEHICLE_MODES = ['metro', 'vline', 'bus', 'tram'];
+
+const {FeedMessage} = GtfsRealtimeBindings.transit_realtime;
+const PROTOBUF_TYPE = 'application/x-protobuf';
+
+// Last response of each polled feed, for conditional requests: Map<key, {url, etag, data}>
+const conditionalCache = new Map();
+
+/**
+ * Fetch with If-None-Match, so polling an unchanged feed costs an empty 304 response
+ * The browser cache is bypassed: on 304 the data read from the last 200 for the
+ * same URL is returned again instead.
+ * @param {string} key - Cache slot (one per feed, as the URL changes with ?since=)
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @param {Function} read - Reads a 200 response, e.g. `response => response.json()`
+ * @returns {Promise<Object|null>} {data, notModified}, or null if the request failed
+ */
+async function fetchConditional(key, url, options, read) {
+    const cached = conditionalCache.get(key);
+    const headers = {...options.headers};
+    if (cached && cached.url === url) {
+        headers['If-None-Match'] = cached.etag;
+    }
+
+    const response = await fetch(url, {...options, headers, cache: 'no-store'});
+    if (response.status === 304 && cached) {
+        return {data: cached.data, notModified: true};
+    }
+    if (!response.ok) {
+        return null;
+    }
+
+    const data = await read(response);
+    const etag = response.headers.get('ETag');
+    if (etag) {
+        conditionalCache.set(key, {url, etag, data});
+    } else {
+        conditionalCache.delete(key);
+    }
+    return {data, notModified: false};
+}
+
+/**
+ * Get the raw entities of a feed, from the live stream if connected, otherwise over HTTP
+ * @param {string} apiUrl - Base API URL
+ * @param {string} endpoint - Polling endpoint for this feed
+ * @param {string} mode - 'metro', 'vline', 'bus', 'tram'
+ * @param {string} kind - Feed kind, e.g. 'alerts'
+ * @returns {Promise<Array|null>} Feed entities, or null if unavailable
+ */
+async function loadFeedEntities(apiUrl, endpoint, mode, kind) {
+    const streamed = vehicleStream.connected && vehicleStream.feeds.get(`${mode}/${kind}`);
+    if (streamed) {
+        return [...streamed.values()];
+    }
+
+    // Ask for the raw protobuf (several times smaller than JSON); servers without passthrough send JSON
+    const result = await fetchConditional(`${mode}/${kind}`, `${apiUrl}${endpoint}`, {
+        headers: {Accept: `${PROTOBUF_TYPE}, application/json;q=0.9`}
+    }, async response => {
+        if ((response.headers.get('Content-Type') || '').includes(PROTOBUF_TYPE)) {
+            const message = FeedMessage.decode(new Uint8Array(await response.arrayBuffer()));
+            return FeedMessage.toObject(message, {longs: Number}).entity || [];
+        }
+
+        const data = await response.json();
+
         // Parse GTFS-Realtime feed - handle both local (feed.entity) and Netlify (entity) structures
-        const entities = data.entity || data.feed?.entity;
-        
-        if (entities && Array.isArray(entities)) {
-            const vehicles = [];
-            
-            entities.forEach(entity => {
-                if (entity.vehicle && entity.vehicle.position) {
-                    const vehicle = entity.vehicle;
-                    const position = vehicle.position;
-                    
-                    vehicles.push(new Train({
-                        tripId: vehicle.trip?.tripId || entity.id,
-                        vehicleId: vehicle.vehicle?.id || entity.id,
-                        routeId: vehicle.trip?.routeId,
-                        lat: position.latitude,
-                        lon: position.longitude,
-                        bearing: position.bearing,
-                        speed: position.speed,
-                        timestamp: vehicle.timestamp,
-                        occupancy: vehicle.occupancyStatus,
-                        vehicleType: vehicleType,
-                        defaultColor: defaultColor
-                    }));
-                }
-            });
-            
-            return vehicles;
+        return data.entity || data.feed?.entity;
+    });
+
+    return result ? result.data : null;
+}
+
+/**
+ * Get normalized records that changed since a feed version
+ * While the live stream is connected the records come from memory (always in
+ * full); otherwise all modes are fetched in one request, filtered on the server.
+ * @param {string} apiUrl - Base API URL
+ * @param {string} endpoint - Endpoint covering all modes, e.g. '/snapshot'
+ * @param {string} kind - Feed kind of the records, e.g. 'snapshot'
+ * @param {string} projection - Field projection query, e.g. 'fields=tripId,lat,lon'
+ * @param {Object} filter - Optional {bbox: [west, south, east, north], modes: [...]}
+ * @param {number} since - Feed version of the records the caller already has (undefined for all)
+ * @returns {Promise<Object>} {version, modes, full: modes sent in full, upserted: records, removed: [{mode, id}],
+ *                            stale: modes whose data is not live (upstream failing, or the API unreachable)}
+ */
+async function loadRecordChanges(apiUrl, endpoint, kind, projection, filter = {}, since) {
+    const modes = filter.modes || VEHICLE_MODES;
+    const changes = {version: since, modes, full: [], upserted: [], removed: [], stale: []};
+
+    if (vehicleStream.connected) {
+        modes.forEach(mode => {
+            const streamed = vehicleStream.feeds.get(`${mode}/${kind}`);
+            changes.full.push(mode);
+            if (streamed) {
+                streamed.forEach(record => changes.upserted.push({mode, ...record}));
+            }
+            if (vehicleStream.stale.has(`${mode}/${kind}`)) {
+                changes.stale.push(mode);
+            }
+        });
+        changes.version = undefined;
+        return changes;
+    }
+
+    if (modes.length === 0) {
+        return changes;
+    }
+
+    const params = [projection, `modes=${modes.join(',')}`];
+    if (filter.bbox) {
+        params.push(`bbox=${filter.bbox.join(',')}`);
+    }
+    if (since !== undefined) {
+        params.push(`since=${since}`);
+    }
+
+    // Unchanged since the last poll (304): the last response applies again
+    const result = await fetchConditional(kind, `${apiUrl}${endpoint}?${params.join('&')}`, {},
+        response => response.json());
+    if (!result) {
+        changes.stale = modes;
+        return changes;
+    }
+
+    const data = result.data;
+    changes.version = data.feedVersion;
+    changes.stale = modes.filter(mode => data.feeds[mode]?.stale);
+
+    if (data.added) {
+        // Delta response
+        changes.full = modes.filter(mode => data.feeds[mode]?.full);
+        changes.upserted = [...data.added, ...data.changed];
+        changes.removed = data.removed;
+    } else {
+        // Full snapshot (first request, or a server without versions)
+        // Modes the server failed to fetch keep what the caller has
+        changes.full = modes.filter(mode => !data.feeds[mode]?.error);
+        changes.upserted = data.vehicles || [];
+    }
+
+    return changes;
+}
+
+/**
+ * Load vehicles (metro, V/Line, buses, trams) that changed since a feed version
+ * The server merges positions with trip updates (next stop, arrival, delay) and
+ * routes (line, colour). Vehicles are identified by `key` (mode and feed entity ID).
+ * @param {string} apiUrl - Base API URL
+ * @param {Object} filter - Optional {bbox, modes} to only load vehicles the map can show
+ * @param {number} since - Version returned by the previous call (undefined for all vehicles)
+ * @returns {Promise<Object>} {version, modes, full, upserted: Train[], removed: keys, stale: modes}
+ */
+export async function loadVehicles(apiUrl = configs.apiUrl, filter = {}, since) {
+    try {
+        const changes = await loadRecordChanges(apiUrl, '/snapshot', 'snapshot', `fields=${VEHICLE_FIELDS}`, filter, since);
+
+        return {
+            ...changes,
+            upserted: changes.upserted.map(vehicle => new Train({
+                ...vehicle,
+                key: `${vehicle.mode}/${vehicle.id}`,
+                tripId: vehicle.tripId || vehicle.id,
+                vehicleId: vehicle.vehicleId || vehicle.id,
+                vehicleType: vehicle.mode,
+                color: hexToRgb(vehicle.color)
+            })),
+            removed: changes.removed.map(({mode, id}) => `${mode}/${id}`)
+        };
+    } catch (error) {
+        // Keep what the caller has
+        const modes = filter.modes || VEHICLE_MODES;
+        return {version: since, modes, full: [], upserted: [], removed: [], stale: modes};
+    }
+}
+
+/**
+ * Load a trip's full predicted stop sequence
+ * @param {string} apiUrl - Base API URL
+ * @param {string} tripId - GTFS trip ID
+ * @param {string} mode - Vehicle type ('metro', 'vline', 'bus', 'tram'), narrows the search
+ * @returns {Promise<TripPrediction|null>} Its predicted stops, or null if the trip has no trip update
+ */
+export async function loadTrip(apiUrl = configs.apiUrl, tripId, mode) {
+    try {
+        const query = mode ? `?mode=${encodeURIComponent(mode)}` : '';
+        const response = await fetch(`${apiUrl}/trip/${encodeURIComponent(tripId)}${query}`);
+
+        if (!response.ok) {
+            return null;
         }
-        
-        return [];
+        return new TripPrediction((await response.json()).trip);
     } catch (error) {
-        return [];
+        console.error(`Error loading trip ${tripId}:`, error);
+        return null;
     }
 }
 
 /**
- * Load all vehicle positions (metro, V/Line, buses, trams)
+ * Load a vehicle's recent positions from the API server's position history
+ * @param {string} apiUrl - Base API URL
+ * @param {string} id - Vehicle ID (feed entity ID for vehicles without one)
+ * @param {string} mode - Only look in this mode's history
+ * @param {number} minutes - Minutes of history
+ * @returns {Promise<Object|null>} `{timestamp, points: [[lon, lat, time]]}` (oldest first),
+ *                                 or null if there is no history for the vehicle
  */
-export async function loadTrainPositions(apiUrl = configs.apiUrl) {
+export async function loadTrail(apiUrl = configs.apiUrl, id, mode, minutes = configs.trailMinutes) {
     try {
-        // Fetch all vehicle types in parallel
-        const [metro, vline, buses, trams] = await Promise.all([
-            loadVehiclePositions(apiUrl, '/positions', 'metro', [0, 100, 200]),      // Blue
-            loadVehiclePositions(apiUrl, '/vline/positions', 'vline', [147, 51, 234]), // Purple
-            loadVehiclePositions(apiUrl, '/bus/positions', 'bus', [255, 140, 0]),      // Orange
-            loadVehiclePositions(apiUrl, '/tram/positions', 'tram', [0, 200, 100])     // Green
-        ]);
+        const query = new URLSearchParams({minutes});
+        if (mode) {
+            query.set('mode', mode);
+        }
+        const response = await fetch(`${apiUrl}/vehicles/${encodeURIComponent(id)}/trail?${query}`);
 
-        // Combine all vehicles
-        const allVehicles = [...metro, ...vline, ...buses, ...trams];
-        
-        return allVehicles;
+        if (!response.ok) {
+            return null;
+        }
+        return await response.json();
     } catch (error) {
-        return [];
+        console.error(`Error loading trail of ${id}:`, error);
+        return null;
     }
 }
 
 /**
- * Load trip updates for a specific vehicle type
+ * Load the departure board of a stop or railway station
+ * @param {string} apiUrl - Base API URL
+ * @param {string} stopId - Stop ID or station ID (every platform of the station)
+ * @param {number} limit - Number of departures
+ * @returns {Promise<Array|null>} Departures ({line, color, destination, scheduled, predicted,
+ *                                delay, cancelled}, soonest first), or null if unavailable
  */
-async function loadTripUpdatesByType(apiUrl, endpoint) {
+export async function loadDepartures(apiUrl = configs.apiUrl, stopId, limit = 10) {
     try {
-        const response = await fetch(`${apiUrl}${endpoint}`);
+        const response = await fetch(`${apiUrl}/stops/${encodeURIComponent(stopId)}/departures?limit=${limit}`);
+
         if (!response.ok) {
-            return {};
+            return null;
         }
+        return (await response.json()).departures;
+    } catch (error) {
+        console.error(`Error loading departures for ${stopId}:`, error);
+        return null;
+    }
+}
 
-        const data = await response.json();
-        
-        // Parse GTFS-Realtime feed - check both possible structures
-        const entities = data.entity || data.feed?.entity;
-        
-        if (entities && Array.isArray(entities)) {
-            const updates = {};
-
-            entities.forEach(entity => {
-                if (entity.tripUpdate && entity.tripUpdate.trip) {
-                    const tripId = entity.tripUpdate.trip.tripId;
-                    const stopTimeUpdates = entity.tripUpdate.stopTimeUpdate || [];
-                    
-                    if (stopTimeUpdates.length > 0) {
-                        // Get the next stop (first stop in the list)
-                        const nextStop = stopTimeUpdates[0];
-                        updates[tripId] = {
-                            stopId: nextStop.stopId,
-                            arrival: nextStop.arrival?.time,
-                            delay: nextStop.arrival?.delay
-                        };
-                    }
-                }
-            });
+/**
+ * Load on-time performance statistics (recorded trip updates on the API server)
+ * @param {string} apiUrl - Base API URL
+ * @param {Object} query - {hours, mode, route} (route: route ID, adds per-stop statistics)
+ * @returns {Promise<Object|null>} {from, to, onTime, totals, routes, hours, stops?},
+ *                                 or null if the server keeps no recordings
+ */
+export async function loadStats(apiUrl = configs.apiUrl, query = {}) {
+    const params = Object.entries(query)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+
+    try {
+        const response = await fetch(`${apiUrl}/stats?${params.join('&')}`);
 
-            return updates;
+        if (!response.ok) {
+            return null;
         }
+        return await response.json();
+    } catch (error) {
+        return null;
+    }
+}
 
-        return {};
+/**
+ * Load the data-quality findings of the API server
+ * @param {string} apiUrl - Base API URL
+ * @returns {Promise<Object|null>} {timestamp, totals, modes: {[mode]: {positions, trips, issues}}},
+ *                                 or null if unavailable
+ */
+export async function loadDiagnostics(apiUrl = configs.apiUrl) {
+    try {
+        const response = await fetch(`${apiUrl}/diagnostics`);
+
+        if (!response.ok) {
+            return null;
+        }
+        return await response.json();
     } catch (error) {
-        return {};
+        return null;
     }
 }
 
 /**
- * Load trip updates (next stops, arrival times) for all vehicle types
+ * Pick the English text of a GTFS-Realtime TranslatedString
+ */
+function translatedText(translatedString) {
+    const translations = translatedString?.translation || [];
+    const english = translations.find(t => !t.language || t.language.startsWith('en'));
+    return (english || translations[0])?.text || '';
+}
+
+/**
+ * Get the name of a GTFS-Realtime enum value (values may arrive as names or numbers)
  */
-export async function loadTripUpdates(apiUrl = configs.apiUrl) {
+function enumName(enumType, value) {
+    return typeof value === 'number' ? enumType[value] : value;
+}
+
+/**
+ * Load service alerts for a specific vehicle type
+ * @param {string} apiUrl - Base API URL
+ * @param {string} endpoint - Polling endpoint for this feed
+ * @param {string} vehicleType - Type of vehicle: 'metro', 'vline', 'bus', 'tram'
+ */
+async function loadServiceAlertsByType(apiUrl, endpoint, vehicleType) {
     try {
-        // Fetch trip updates for all vehicle types in parallel
-        const [metroUpdates, vlineUpdates, busUpdates, tramUpdates] = await Promise.all([
-            loadTripUpdatesByType(apiUrl, '/trips'),
-            loadTripUpdatesByType(apiUrl, '/vline/trips'),
-            loadTripUpdatesByType(apiUrl, '/bus/trips'),
-            loadTripUpdatesByType(apiUrl, '/tram/trips')
+        const entities = await loadFeedEntities(apiUrl, endpoint, vehicleType, 'alerts');
+        if (!entities || !Array.isArray(entities)) {
+            return [];
+        }
+
+        const {Cause, Effect} = GtfsRealtimeBindings.transit_realtime.Alert;
+
+        return entities
+            .filter(entity => entity.alert)
+            .map(entity => {
+                const alert = entity.alert;
+                const informed = alert.informedEntity || [];
+
+                return new Alert({
+                    id: entity.id,
+                    mode: vehicleType,
+                    cause: enumName(Cause, alert.cause),
+                    effect: enumName(Effect, alert.effect),
+                    header: translatedText(alert.headerText),
+                    description: translatedText(alert.descriptionText),
+                    url: translatedText(alert.url) || undefined,
+                    activePeriods: (alert.activePeriod || []).map(period => ({
+                        start: Number(period.start) || 0,
+                        end: Number(period.end) || 0
+                    })),
+                    routeIds: informed.map(e => e.routeId).filter(Boolean),
+                    stopIds: informed.map(e => e.stopId).filter(Boolean),
+                    tripIds: informed.map(e => e.trip?.tripId).filter(Boolean)
+                });
+            });
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Load service alerts (disruptions) for all vehicle types
+ */
+export async function loadServiceAlerts(apiUrl = configs.apiUrl) {
+    try {
+        const alerts = await Promise.all([
+            loadServiceAlertsByType(apiUrl, '/alerts', 'metro'),
+            loadServiceAlertsByType(apiUrl, '/vline/alerts', 'vline'),
+            loadServiceAlertsByType(apiUrl, '/bus/alerts', 'bus'),
+            loadServiceAlertsByType(apiUrl, '/tram/alerts', 'tram')
         ]);
 
-        // Merge all updates into one object
-        return {
-            ...metroUpdates,
-            ...vlineUpdates,
-            ...busUpdates,
-            ...tramUpdates
-        };
+        return alerts.flat();
     } catch (error) {
-        return {};
+        return [];
     }
 }
 
 /**
- * Merge train positions with trip updates
+ * Link alerts to the railways and stations named in their informed entities
+ * Replaces the `alerts` of every railway and station.
+ * @param {Alert[]} alerts - Alerts to link (normally only the active ones)
+ * @param {Object} data - {railways, stations, routes, stationIdMap}
  */
-export function mergeTrainData(trains, tripUpdates, stations, stationIdMap) {
-    return trains.map(train => {
-        const update = tripUpdates[train.tripId];
-        
-        if (update) {
-            // Try to find station name using multiple methods:
-            // 1. Direct lookup in stationIdMap (handles numeric IDs from GTFS-R)
-            // 2. Find in stations array by ID
-            // 3. Fall back to stopId
-            train.nextStop = stationIdMap[update.stopId] || 
-                            stations.find(s => s.id === update.stopId)?.name || 
-                            update.stopId;
-            train.nextStopArrival = update.arrival;
-        }
-        
-        return train;
+export function linkAlerts(alerts, {railways, stations, routes, stationIdMap}) {
+    const normalizeName = name => (name || '')
+        .replace(/ Railway Station$/i, '')
+        .replace(/ Station$/i, '')
+        .toLowerCase()
+        .trim();
+
+    const routesById = new Map(routes.map(r => [r.id, r]));
+    const railwaysByLine = new Map(railways.map(r => [`${r.transportType}:${r.shortName}`, r]));
+    const stationsById = new Map(stations.map(s => [s.id, s]));
+    const stationsByName = new Map();
+    stations.forEach(s => {
+        const key = `${s.transportType}:${normalizeName(s.name)}`;
+        if (!stationsByName.has(key)) stationsByName.set(key, s);
     });
-}
 
+    railways.forEach(r => { r.alerts = []; });
+    stations.forEach(s => { s.alerts = []; });
+
+    alerts.forEach(alert => {
+        alert.railways = [];
+        alert.stations = [];
+
+        alert.routeIds.forEach(routeId => {
+            const route = routesById.get(routeId);
+            const railway = route && railwaysByLine.get(`${route.transportType || 'metro'}:${route.shortName}`);
+            if (railway && !alert.railways.includes(railway)) {
+                alert.railways.push(railway);
+                railway.alerts.push(alert);
+            }
+        });
+
+        alert.stopIds.forEach(stopId => {
+            // GTFS-R uses platform IDs, so fall back to matching the stop name
+            const station = stationsById.get(stopId) ||
+                stationsByName.get(`${alert.mode}:${normalizeName(stationIdMap[stopId])}`);
+            if (station && !alert.stations.includes(station)) {
+                alert.stations.push(station);
+                station.alerts.push(alert);
+            }
+        });
+    });
+
+    return alerts;
+}
@@ -1,11 +1,14 @@
 import mapboxgl from 'mapbox-gl';
 import configs from './configs';
+import clock from './clock';
 import animation from './animation';
 import Profiler from './profiler';
-import {loadStaticData, loadTrainPositions, loadTripUpdates, mergeTrainData} from './loader';
-import {SearchControl} from './controls';
-import {TrainPanel, StationPanel} from './panels';
-import {hexToRgb, getLineFromTripId} from './helpers/helpers';
+import ScheduleEngine from './schedule';
+import {loadStaticData, loadTimetable, loadRouteTimetable, loadVehicles, loadApiFeatures, openVehicleStream, closeVehicleStream, isVehicleStreamConnected, loadReplayState, loadServiceAlerts, loadDiagnostics, loadTrail, linkAlerts} from './loader';
+import {SearchControl, ReplayControl, StatsControl, PunctualityControl} from './controls';
+import {TrainPanel, StationPanel, StatsPanel} from './panels';
+import {Train, TripPrediction} from './data-classes';
+import {getLineFromTripId, debounce, escapeHTML, hexToRgb} from './helpers/helpers';
 import {applyRailwayOffsets} from './helpers/line-offset';
 
 /**
@@ -42,11 +45,24 @@ export default class MelbourneMap {
         this.routes = [];
         this.railways = [];
         this.trains = [];
-        this.trips = [];
+        this.trainIndex = new Map(); // Map<key, Train> (key: mode and feed entity ID)
+        this.pendingTrains = new Map(); // Vehicle changes waiting for their update cycle
+        this.feedVersions = {filterKey: null, vehicles: undefined}; // Last applied feed version
+        this.scheduledIndex = new Map(); // Map<key, Train> of vehicles positioned from the timetable
+        this.schedule = null; // ScheduleEngine
+        this.timetableLoads = new Map(); // Map<mode or mode/routeId, Promise> of timetables requested
+        this.routeTimetables = new Map(); // Map<mode, Object> of the per-route timetables of a mode (route ID -> {file, bbox})
+        this.alerts = []; // Active service alerts
+        this.staleModes = new Set(); // Vehicle types whose positions are not live
+        this.liveAt = {}; // Last time each vehicle type had live positions (ms)
         
         // State
         this.isInitialized = false;
         this.updateIntervalId = null;
+        this.alertIntervalId = null;
+        this.staleIndicator = null; // "Live data delayed" banner
+        this.punctualityMode = configs.punctualityMode || new URLSearchParams(window.location.search).has('punctuality');
+        this.punctualityLegend = null;
         this.activePanel = null;
         
         // Performance profiler
@@ -98,10 +114,15 @@ export default class MelbourneMap {
             
             this.stations = staticData.stations;
             this.routes = staticData.routes; // Store routes for color lookup
-            this.trips = staticData.trips;
             this.stationIdMap = staticData.stationIdMap; // Map numeric stop IDs to names
             this.stationLines = staticData.stationLines; // Map line names to station lists (metro only)
             this.allRouteStops = staticData.allRouteStops; // All transport types route-stops mappings
+            this.schedule = new ScheduleEngine({
+                stations: this.stations,
+                stationIdMap: this.stationIdMap,
+                shapes: staticData.shapes,
+                routes: this.routes
+            });
             
             // Apply offsets to railways that share tracks (Mini Tokyo 3D feature)
             if (configs.enableRailwayOffsets) {
@@ -158,6 +179,37 @@ export default class MelbourneMap {
            this.visibleArea = null;
            this.updateVisibleArea();
             
+            // Fading trails behind the selected vehicle(s), drawn beneath the trains
+            this.trailTarget = null;
+            this.map.addSource('vehicle-trails', {
+                type: 'geojson',
+                data: {
+                    type: 'FeatureCollection',
+                    features: []
+                }
+            });
+            this.map.addLayer({
+                id: 'vehicle-trails',
+                type: 'line',
+                source: 'vehicle-trails',
+                layout: {
+                    'line-join': 'round',
+                    'line-cap': 'round'
+                },
+                paint: {
+                    'line-color': ['get', 'color'],
+                    'line-width': [
+                        'interpolate',
+                        ['linear'],
+                        ['zoom'],
+                        8, 2,
+                        12, 4,
+                        16, 7
+                    ],
+                    'line-opacity': ['get', 'opacity']
+                }
+            });
+
             // Add empty GeoJSON source for 3D trains
             this.map.addSource('trains-3d', {
                 type: 'geojson',
@@ -177,13 +229,14 @@ export default class MelbourneMap {
                 paint: {
                     'fill-extrusion-color': ['get', 'color'],
                     // Slightly taller boxes for better visibility
+                    // (scheduled vehicles, without a live position, half as tall)
                     'fill-extrusion-height': [
                         'interpolate',
                         ['linear'],
                         ['zoom'],
-                        10, 25,  // At zoom 10: 25m tall (more visible)
-                        14, 12,  // At zoom 14: 12m tall
-                        18, 6    // At zoom 18: 6m tall (still flat when close)
+                        10, ['case', ['get', 'scheduled'], 12, 25],  // At zoom 10: 25m tall (more visible)
+                        14, ['case', ['get', 'scheduled'], 6, 12],   // At zoom 14: 12m tall
+                        18, ['case', ['get', 'scheduled'], 3, 6]     // At zoom 18: 6m tall (still flat when close)
                     ],
                     'fill-extrusion-base': 0,
                     'fill-extrusion-opacity': 0.95
@@ -205,6 +258,36 @@ export default class MelbourneMap {
             this.map.on('pitch', () => this.updateVisibleArea());
             this.map.on('move', () => this.updateVisibleArea());
 
+            // Load vehicles for the new viewport right away when polling
+            const refreshViewport = debounce(() => {
+                if (!isVehicleStreamConnected()) {
+                    this.updateTrains();
+                }
+            }, 500);
+            this.map.on('moveend', refreshViewport);
+
+            // Follow the API server's replay clock if it is replaying recorded feeds
+            const replayState = await loadReplayState(this.options.apiUrl);
+            if (replayState) {
+                clock.sync(replayState);
+                this.replayControl = new ReplayControl(this.options.apiUrl, () => this.updateTrains());
+                this.map.addControl(this.replayControl, 'bottom-right');
+            }
+
+            // Optional API features, checked without holding up the first vehicles
+            this.apiFeatures = loadApiFeatures(this.options.apiUrl);
+
+            // On-time performance, if the API server has recorded trip updates
+            this.apiFeatures.then(({stats}) => {
+                if (stats) {
+                    this.map.addControl(new StatsControl(() => this.showStatsPanel()), 'top-right');
+                }
+            });
+
+            // Punctuality view toggle
+            this.map.addControl(new PunctualityControl(() => this.togglePunctuality(), this.punctualityMode), 'top-right');
+            this.updatePunctualityLegend();
+
             // Start real-time updates
             this.startRealTimeUpdates();
 
@@ -278,6 +361,38 @@ export default class MelbourneMap {
             }
         });
 
+        // Highlight for lines affected by service alerts (drawn beneath the lines)
+        this.map.addSource('railway-alerts', {
+            type: 'geojson',
+            data: {
+                type: 'FeatureCollection',
+                features: this.getAlertRailwayFeatures()
+            }
+        });
+
+        this.map.addLayer({
+            id: 'railway-alerts',
+            type: 'line',
+            source: 'railway-alerts',
+            layout: {
+                'line-join': 'round',
+                'line-cap': 'round'
+            },
+            paint: {
+                'line-color': ['case', ['get', 'severe'], '#e53935', '#ffb300'],
+                'line-width': [
+                    'interpolate',
+                    ['linear'],
+                    ['zoom'],
+                    8, 6,
+                    12, 9,
+                    16, 14
+                ],
+                'line-blur': 3,
+                'line-opacity': 0.7
+            }
+        });
+
         // Add railway lines layer with proper coloring
         this.map.addLayer({
             id: 'railway-lines',
@@ -318,6 +433,57 @@ export default class MelbourneMap {
             type: 'FeatureCollection',
             features: railwayFeatures
         });
+        this.updateAlertLayer();
+    }
+
+    /**
+     * Get GeoJSON features for visible railways with active service alerts
+     */
+    getAlertRailwayFeatures() {
+        return this.railways
+            .filter(r => {
+                if (!r.geometry || r.alerts.length === 0) return false;
+                const type = r.transportType || 'metro';
+                return this.visibility.routes[type];
+            })
+            .map(r => {
+                const feature = r.toGeoJSON();
+                feature.properties.severe = r.alerts.some(alert => alert.isSevere());
+                return feature;
+            });
+    }
+
+    /**
+     * Update the service alert highlight layer
+     */
+    updateAlertLayer() {
+        const source = this.map && this.map.getSource('railway-alerts');
+        if (!source) return;
+
+        source.setData({
+            type: 'FeatureCollection',
+            features: this.getAlertRailwayFeatures()
+        });
+    }
+
+    /**
+     * Refresh service alerts and link them to railways and stations
+     */
+    async updateAlerts() {
+        try {
+            const alerts = await loadServiceAlerts(this.options.apiUrl);
+            const now = clock.now() / 1000;
+
+            this.alerts = linkAlerts(alerts.filter(alert => alert.isActive(now)), {
+                railways: this.railways,
+                stations: this.stations,
+                routes: this.routes,
+                stationIdMap: this.stationIdMap || {}
+            });
+            this.updateAlertLayer();
+        } catch (error) {
+            console.error('Error updating service alerts:', error);
+        }
     }
 
     /**
@@ -622,11 +788,21 @@ export default class MelbourneMap {
                 return [lon + rotX, lat + rotY];
             });
             
+            // Last known positions of a feed that is not live are greyed out
+            // Vehicles positioned from the timetable are paler (and lower, see the layer)
+            const stale = !train.scheduled && this.staleModes.has(train.vehicleType || 'metro');
+            const baseColor = this.punctualityMode ? this.delayColor(train) : train.color;
+            const color = stale ? baseColor.map(c => Math.round(c * 0.3 + 160 * 0.7))
+                : train.scheduled ? baseColor.map(c => Math.round(c * 0.5 + 255 * 0.5))
+                : baseColor;
+
             return {
                 type: 'Feature',
                 properties: {
                     tripId: train.tripId,
-                    color: `rgb(${train.color.join(',')})`,
+                    color: `rgb(${color.join(',')})`,
+                    stale,
+                    scheduled: train.scheduled === true,
                     line: train.line || 'Unknown',
                     bearing: train.bearing || 0,  // Store original for debugging
                     adjustedBearing: adjustedBearing  // Store adjusted value
@@ -675,7 +851,7 @@ export default class MelbourneMap {
             // Map station names to objects with arrival times
             stops = routeStops.map(stationName => ({
                 name: stationName,
-                arrival: null  // Would need trip schedule data for full times
+                arrival: null  // Filled in by TrainPanel from the trip's predicted stops
             }));
             
             // Mark the next stop if we know it
@@ -699,11 +875,104 @@ export default class MelbourneMap {
         this.activePanel = new TrainPanel({
             train,
             stations: stops,
+            alerts: this.alerts.filter(alert => alert.affectsTrain(train)),
             mapContainer: this.container
         });
         this.activePanel.addTo(this);
     }
 
+    /**
+     * Draw fading trails of where vehicles have been (refreshed until hideTrails)
+     * @param {Train} train - Selected vehicle
+     * @param {boolean} wholeLine - Also every other vehicle of its line on the map
+     */
+    showTrails(train, wholeLine = false) {
+        this.trailTarget = {train, wholeLine};
+        this.updateTrails();
+
+        if (!this.trailIntervalId) {
+            this.trailIntervalId = setInterval(() => this.updateTrails(), configs.trailRefreshInterval);
+        }
+    }
+
+    /**
+     * Remove the vehicle trails
+     */
+    hideTrails() {
+        this.trailTarget = null;
+
+        if (this.trailIntervalId) {
+            clearInterval(this.trailIntervalId);
+            this.trailIntervalId = null;
+        }
+
+        this.map.getSource('vehicle-trails')?.setData({
+            type: 'FeatureCollection',
+            features: []
+        });
+    }
+
+    /**
+     * Load the position history of the trail vehicles and redraw their trails
+     */
+    async updateTrails() {
+        const target = this.trailTarget;
+        if (!target) return;
+
+        const {train, wholeLine} = target;
+        const trains = wholeLine
+            ? [train, ...Array.from(this.trainIndex.values()).filter(other =>
+                other !== train && other.vehicleType === train.vehicleType && other.line === train.line)]
+            : [train];
+
+        const trails = await Promise.all(trains.slice(0, configs.maxTrails).map(vehicle =>
+            loadTrail(this.options.apiUrl, vehicle.getHistoryId(), vehicle.vehicleType, configs.trailMinutes)));
+
+        // Selection changed while loading
+        if (this.trailTarget !== target) return;
+
+        this.map.getSource('vehicle-trails')?.setData({
+            type: 'FeatureCollection',
+            features: trails.flatMap((trail, index) => trail ? this.buildTrailFeatures(trail, trains[index]) : [])
+        });
+    }
+
+    /**
+     * One line segment per pair of positions, fading out with age
+     */
+    buildTrailFeatures(trail, train) {
+        const color = `rgb(${train.color.join(',')})`;
+        const duration = configs.trailMinutes * 60;
+        const points = trail.points;
+
+        return points.slice(1).map((point, index) => {
+            const age = trail.timestamp - point[2];
+            return {
+                type: 'Feature',
+                properties: {
+                    color,
+                    opacity: Math.round(Math.max(0.05, 0.9 * (1 - age / duration)) * 100) / 100
+                },
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [points[index].slice(0, 2), point.slice(0, 2)]
+                }
+            };
+        });
+    }
+
+    /**
+     * Show on-time performance panel
+     */
+    showStatsPanel() {
+        if (this.activePanel && this.activePanel.isOpen()) {
+            this.activePanel.remove();
+        }
+
+        this.activePanel = new StatsPanel({mapContainer: this.container});
+        this.activePanel.addTo(this);
+    }
+
     /**
      * Show interactive panel for station
      */
@@ -773,21 +1042,38 @@ export default class MelbourneMap {
         };
         const normalizedStationName = normalizeStationName(stationName);
         
-        const approachingTrains = this.trains.filter(train => {
-            // Filter by matching transport type
-            const vehicleType = train.vehicleType || 'metro';
-            if (vehicleType !== stationType) return false;
-            
-            if (!train.nextStop) return false;
-            const normalizedNextStop = normalizeStationName(train.nextStop);
-            return normalizedNextStop === normalizedStationName;
-        });
+        // Calls anywhere ahead in a vehicle's predicted stops (scheduled vehicles), else its next stop
+        const now = clock.now() / 1000;
+        const approachingTrains = this.trains
+            .filter(train => (train.vehicleType || 'metro') === stationType)
+            .map(train => {
+                const stop = train.predictions?.getUpcomingStops(now)
+                    .find(stop => !stop.skipped && normalizeStationName(stop.name) === normalizedStationName);
+                if (stop && !train.predictions.cancelled) {
+                    return {train, arrival: TripPrediction.timeOf(stop), destination: train.predictions.getDestination().name};
+                }
+                if (train.nextStop && normalizeStationName(train.nextStop) === normalizedStationName) {
+                    return {train, arrival: train.nextStopArrival};
+                }
+                return null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => (a.arrival ?? Infinity) - (b.arrival ?? Infinity));
+        
+        // Alerts for the station itself and for the lines serving it
+        const alerts = [...station.alerts];
+        this.railways
+            .filter(r => r.transportType === stationType && servingLines.some(line => line.name === r.shortName))
+            .forEach(r => r.alerts.forEach(alert => {
+                if (!alerts.includes(alert)) alerts.push(alert);
+            }));
         
         // Create and show panel
         this.activePanel = new StationPanel({
             station: station,
             servingLines: servingLines,
             approachingTrains: approachingTrains,
+            alerts: alerts,
             mapContainer: this.container
         });
         this.activePanel.addTo(this);
@@ -798,7 +1084,7 @@ export default class MelbourneMap {
      */
     formatETA(timestamp) {
         if (!timestamp) return 'Unknown';
-        const now = Date.now() / 1000;
+        const now = clock.now() / 1000;
         const diff = timestamp - now;
         
         if (diff < 60) return 'Arriving';
@@ -856,24 +1142,167 @@ export default class MelbourneMap {
         // Initial update
         this.updateTrains();
 
-        // Set up periodic updates
+        // Push updates from the live stream (feeds arrive one by one, so batch them)
+        // where the API has one; polling carries on otherwise
+        if (configs.useVehicleStream) {
+            this.apiFeatures.then(({stream}) => {
+                // Still running (not stopped while checking)
+                if (stream && this.updateIntervalId) {
+                    openVehicleStream(this.options.apiUrl, debounce(() => this.updateTrains(), 250));
+                }
+            });
+        }
+
+        // Set up periodic updates (fallback while the stream is down)
         this.updateIntervalId = setInterval(() => {
-            this.updateTrains();
+            if (!isVehicleStreamConnected()) {
+                this.updateTrains();
+            }
         }, configs.trainRefreshInterval);
+
+        // Service alerts change slowly, so poll them on their own interval
+        this.updateAlerts();
+        this.alertIntervalId = setInterval(() => this.updateAlerts(), configs.alertRefreshInterval);
+
+        // Vehicles the realtime feeds leave out, from the timetable
+        if (configs.showScheduledVehicles || new URLSearchParams(window.location.search).has('scheduled')) {
+            this.updateScheduledTrains();
+            this.scheduleIntervalId = setInterval(() => this.updateScheduledTrains(), configs.scheduleRefreshInterval);
+        }
+
+        // Optional data-quality overlay
+        if (configs.showDiagnostics || new URLSearchParams(window.location.search).has('diagnostics')) {
+            this.updateDiagnostics();
+            this.diagnosticsIntervalId = setInterval(() => this.updateDiagnostics(), configs.diagnosticsRefreshInterval);
+        }
     }
 
     /**
      * Stop real-time updates
      */
     stopRealTimeUpdates() {
+        closeVehicleStream();
+        
         if (this.updateIntervalId) {
             clearInterval(this.updateIntervalId);
             this.updateIntervalId = null;
         }
+        
+        if (this.alertIntervalId) {
+            clearInterval(this.alertIntervalId);
+            this.alertIntervalId = null;
+        }
+
+        if (this.diagnosticsIntervalId) {
+            clearInterval(this.diagnosticsIntervalId);
+            this.diagnosticsIntervalId = null;
+        }
+
+        if (this.scheduleIntervalId) {
+            clearInterval(this.scheduleIntervalId);
+            this.scheduleIntervalId = null;
+        }
+    }
+
+    /**
+     * Show the API server's data-quality findings in the diagnostics overlay
+     * (counts per mode and issue, with example IDs on hover)
+     */
+    async updateDiagnostics() {
+        const report = await loadDiagnostics(this.options.apiUrl);
+
+        if (!this.diagnosticsOverlay) {
+            this.diagnosticsOverlay = document.createElement('div');
+            this.diagnosticsOverlay.className = 'diagnostics-overlay';
+            this.container.appendChild(this.diagnosticsOverlay);
+        }
+
+        if (!report) {
+            this.diagnosticsOverlay.innerHTML = '<h4>Feed data quality</h4><p>Diagnostics unavailable</p>';
+            return;
+        }
+
+        const labels = {
+            unknownRoute: 'Unknown route',
+            noTripUpdate: 'No trip update',
+            unknownStop: 'Unknown stop',
+            staleTimestamp: 'Stale timestamp',
+            impossibleSpeed: 'Impossible speed',
+            duplicateVehicleId: 'Duplicate vehicle ID'
+        };
+
+        const rows = Object.entries(report.modes).flatMap(([mode, {issues}]) =>
+            Object.entries(issues)
+                .filter(([, issue]) => issue.count > 0)
+                .map(([type, issue]) => {
+                    const examples = issue.examples
+                        .map(example => Object.values(example).flat().join(' '))
+                        .join('\n');
+                    return `
+                        <tr title="${escapeHTML(examples)}">
+                            <td>${mode}</td>
+                            <td>${labels[type] || type}</td>
+                            <td>${issue.count}</td>
+                        </tr>
+                    `;
+                }));
+
+        this.diagnosticsOverlay.innerHTML = `
+            <h4>Feed data quality</h4>
+            ${rows.length > 0 ? `<table>${rows.join('')}</table>` : '<p>No issues found</p>'}
+        `;
+    }
+
+    /**
+     * Switch vehicle colours between route colours and delay
+     * @returns {boolean} Whether the punctuality view is now on
+     */
+    togglePunctuality() {
+        this.punctualityMode = !this.punctualityMode;
+        this.updatePunctualityLegend();
+        this.render3DTrains();
+        return this.punctualityMode;
+    }
+
+    /**
+     * Colour of a vehicle in the punctuality view: the delay band its
+     * trip update delay falls in (see configs.punctualityBands)
+     * @returns {Array} RGB color
+     */
+    delayColor(train) {
+        const delay = train.delay ?? train.predictions?.delay;
+        if (delay === undefined || delay === null) {
+            return hexToRgb(configs.punctualityUnknownColor);
+        }
+        const band = configs.punctualityBands.find(band => delay < band.below)
+            || configs.punctualityBands[configs.punctualityBands.length - 1];
+        return hexToRgb(band.color);
+    }
+
+    /**
+     * Show the delay bands legend while the punctuality view is on
+     */
+    updatePunctualityLegend() {
+        if (!this.punctualityLegend) {
+            this.punctualityLegend = document.createElement('div');
+            this.punctualityLegend.className = 'punctuality-legend';
+            this.punctualityLegend.innerHTML = `
+                <h4>Delay</h4>
+                ${[...configs.punctualityBands, {color: configs.punctualityUnknownColor, label: 'No delay data'}].map(band => `
+                    <div class="punctuality-legend-row">
+                        <span class="punctuality-swatch" style="background: ${band.color}"></span>${escapeHTML(band.label)}
+                    </div>
+                `).join('')}
+            `;
+            this.container.appendChild(this.punctualityLegend);
+        }
+        this.punctualityLegend.style.display = this.punctualityMode ? 'block' : 'none';
     }
 
     /**
      * Update train positions (with differential update frequency)
+     * Applies the changes since the last update (feed versions) to the
+     * vehicle index instead of re-diffing every vehicle.
      */
     async updateTrains() {
         this.profiler.start('updateTrains');
@@ -884,87 +1313,31 @@ export default class MelbourneMap {
             this.updateCounters.vline++;
             this.updateCounters.tram++;
             this.updateCounters.bus++;
+
+            // A different viewport or set of vehicle types needs full snapshots again
+            const filterKey = JSON.stringify(this.vehicleFilter || {});
+            if (filterKey !== this.feedVersions.filterKey) {
+                this.feedVersions = {filterKey, vehicles: undefined};
+            }
             
-            // Fetch real-time data
-            const [trainPositions, tripUpdates] = await Promise.all([
-                loadTrainPositions(this.options.apiUrl),
-                loadTripUpdates(this.options.apiUrl)
+            // Fetch real-time data (and re-sync the replay clock when replaying)
+            // Only vehicles in (or near) the viewport, of types shown at this zoom
+            // One request: vehicles merged with next stops and routes on the server
+            const [vehicles, replayState] = await Promise.all([
+                loadVehicles(this.options.apiUrl, this.vehicleFilter, this.feedVersions.vehicles),
+                clock.isReplay() ? loadReplayState(this.options.apiUrl) : null
             ]);
 
-            // Merge data
-            const updatedTrains = mergeTrainData(trainPositions, tripUpdates, this.stations, this.stationIdMap);
-
-            // Add line and color information from routes data
-            updatedTrains.forEach(train => {
-                // Use routeId from GTFS-R data to match routes
-                const route = this.routes.find(r => r.id === train.routeId);
-                
-                if (route) {
-                    train.line = route.shortName;
-                    train.color = hexToRgb(route.color);
-                } else {
-                    // Fallback: use default color based on vehicle type
-                    train.line = train.vehicleType || 'Unknown';
-                    train.color = train.defaultColor || [128, 128, 128]; // Use type-specific color
-                }
-            });
-
-            // PERFORMANCE OPTIMIZATION: Differential update frequency
-            // Only update certain vehicle types on certain cycles
-            const shouldUpdateVehicle = (type) => {
-                if (type === 'metro') return true;  // Always update trains (highest priority)
-                if (type === 'vline') return true;  // Always update V/Line
-                if (type === 'tram') return this.updateCounters.tram % 2 === 0;  // Update trams every 2nd cycle
-                if (type === 'bus') return this.updateCounters.bus % 3 === 0;    // Update buses every 3rd cycle
-                return true;
-            };
+            if (replayState) {
+                clock.sync(replayState);
+            }
 
-            // Update or create trains with animation (filtered by update frequency)
-            updatedTrains
-                .filter(newTrain => shouldUpdateVehicle(newTrain.vehicleType))
-                .forEach(newTrain => {
-                const existingTrain = this.trains.find(t => t.tripId === newTrain.tripId);
-                
-                if (existingTrain) {
-                    // Stop old animation if exists
-                    if (this.trainAnimations.has(existingTrain.tripId)) {
-                        animation.stop(this.trainAnimations.get(existingTrain.tripId));
-                    }
-                    
-                    // Update existing train position with animation
-                    existingTrain.updatePosition({
-                        lat: newTrain.lat,
-                        lon: newTrain.lon,
-                        bearing: newTrain.bearing,
-                        speed: newTrain.speed,
-                        timestamp: newTrain.timestamp,
-                        nextStop: newTrain.nextStop,
-                        nextStopArrival: newTrain.nextStopArrival,
-                        occupancy: newTrain.occupancy
-                    });
-
-                    // Start new animation and track it
-                    const animId = animation.start({
-                        duration: configs.trainAnimationDuration,
-                        callback: (elapsed, duration) => {
-                            const progress = elapsed / duration;
-                            existingTrain.animate(progress);
-                        },
-                        complete: () => {
-                            this.trainAnimations.delete(existingTrain.tripId);
-                        }
-                    });
-                    
-                    this.trainAnimations.set(existingTrain.tripId, animId);
-                } else {
-                    // Add new train
-                    this.trains.push(newTrain);
-                }
-            });
+            if (filterKey === this.feedVersions.filterKey) {
+                this.feedVersions.vehicles = vehicles.version;
+            }
 
-            // Remove trains that are no longer in the feed
-            const activeTripIds = new Set(updatedTrains.map(t => t.tripId));
-            this.trains = this.trains.filter(t => activeTripIds.has(t.tripId));
+            this.applyTrainChanges(vehicles);
+            this.updateStaleModes(vehicles);
 
             // Render loop handles visualization continuously - no need to call here
             
@@ -975,6 +1348,224 @@ export default class MelbourneMap {
         }
     }
 
+    /**
+     * Track which vehicle types show last known positions instead of live ones
+     * (upstream feed failing or API unreachable) and update the stale banner
+     * @param {Object} changes - Result of loadVehicles
+     */
+    updateStaleModes(changes) {
+        const now = Date.now();
+        const stale = new Set(changes.stale);
+
+        this.staleModes = stale;
+        changes.modes.forEach(mode => {
+            if (!stale.has(mode)) {
+                this.liveAt[mode] = now;
+            }
+        });
+
+        if (!this.staleIndicator) {
+            this.staleIndicator = document.createElement('div');
+            this.staleIndicator.className = 'stale-indicator';
+            this.container.appendChild(this.staleIndicator);
+        }
+
+        if (stale.size === 0) {
+            this.staleIndicator.style.display = 'none';
+            return;
+        }
+
+        const liveTimes = [...stale].map(mode => this.liveAt[mode]).filter(Boolean);
+        const minutes = liveTimes.length > 0 ? Math.round((now - Math.min(...liveTimes)) / 60000) : null;
+        const since = minutes === null ? 'last known positions'
+            : minutes < 1 ? 'positions from less than a minute ago'
+            : `positions from ${minutes} min ago`;
+
+        this.staleIndicator.textContent = `Live data delayed — showing ${since}`;
+        this.staleIndicator.style.display = 'block';
+    }
+
+    /**
+     * Apply vehicle changes to the vehicle index (and animate moved vehicles)
+     * @param {Object} changes - Result of loadVehicles
+     */
+    applyTrainChanges(changes) {
+        const full = new Set(changes.full);
+        const upsertedKeys = new Set(changes.upserted.map(train => train.key));
+
+        const remove = key => {
+            const train = this.trainIndex.get(key);
+            if (train && this.trainAnimations.has(train.tripId)) {
+                animation.stop(this.trainAnimations.get(train.tripId));
+                this.trainAnimations.delete(train.tripId);
+            }
+            this.trainIndex.delete(key);
+            this.pendingTrains.delete(key);
+        };
+
+        // Remove vehicles that are no longer in the feed (or no longer requested)
+        for (const [key, train] of [...this.trainIndex, ...this.pendingTrains]) {
+            const type = train.vehicleType || 'metro';
+            if (!changes.modes.includes(type) || (full.has(type) && !upsertedKeys.has(key))) {
+                remove(key);
+            }
+        }
+        changes.removed.forEach(remove);
+
+        // PERFORMANCE OPTIMIZATION: Differential update frequency
+        // Changes of less important vehicle types wait for their cycle
+        changes.upserted.forEach(train => this.pendingTrains.set(train.key, train));
+
+        const shouldUpdateVehicle = (type) => {
+            if (type === 'metro') return true;  // Always update trains (highest priority)
+            if (type === 'vline') return true;  // Always update V/Line
+            if (type === 'tram') return this.updateCounters.tram % 2 === 0;  // Update trams every 2nd cycle
+            if (type === 'bus') return this.updateCounters.bus % 3 === 0;    // Update buses every 3rd cycle
+            return true;
+        };
+
+        const dueTrains = [...this.pendingTrains.values()].filter(train => shouldUpdateVehicle(train.vehicleType));
+        dueTrains.forEach(train => this.pendingTrains.delete(train.key));
+
+        dueTrains.forEach(newTrain => {
+            const existingTrain = this.trainIndex.get(newTrain.key);
+            
+            if (existingTrain) {
+                this.moveTrain(existingTrain, newTrain);
+            } else {
+                // New vehicle (line and color come from the server)
+                this.trainIndex.set(newTrain.key, newTrain);
+            }
+
+            // A trip tracked live again leaves the timetable
+            this.removeScheduledTrain(`${newTrain.vehicleType}/scheduled:${newTrain.tripId}`);
+        });
+
+        this.trains = [...this.trainIndex.values(), ...this.scheduledIndex.values()];
+    }
+
+    /**
+     * Animate a vehicle to its new position
+     * @param {Train} train - Vehicle on the map
+     * @param {Object} data - Its new position and trip progress
+     */
+    moveTrain(train, data) {
+        // Stop old animation if exists
+        if (this.trainAnimations.has(train.tripId)) {
+            animation.stop(this.trainAnimations.get(train.tripId));
+        }
+        
+        // Update existing train position with animation
+        train.updatePosition({
+            lat: data.lat,
+            lon: data.lon,
+            bearing: data.bearing,
+            speed: data.speed,
+            timestamp: data.timestamp,
+            nextStop: data.nextStop,
+            nextStopArrival: data.nextStopArrival,
+            delay: data.delay,
+            predictions: data.predictions,
+            occupancy: data.occupancy
+        });
+
+        // Start new animation and track it
+        const animId = animation.start({
+            duration: configs.trainAnimationDuration,
+            callback: (elapsed, duration) => {
+                const progress = elapsed / duration;
+                train.animate(progress);
+            },
+            complete: () => {
+                this.trainAnimations.delete(train.tripId);
+            }
+        });
+        
+        this.trainAnimations.set(train.tripId, animId);
+    }
+
+    /**
+     * Position the vehicles the realtime feeds leave out from the timetable:
+     * scheduled trips without a live vehicle, of the vehicle types shown
+     */
+    updateScheduledTrains() {
+        if (!this.schedule) return;
+
+        const modes = configs.scheduledModes.filter(mode => !this.vehicleFilter || this.vehicleFilter.modes.includes(mode));
+
+        // Timetables are large: load each the first time its vehicle type is shown
+        modes.filter(mode => !this.timetableLoads.has(mode)).forEach(mode => {
+            this.timetableLoads.set(mode, loadTimetable(mode).then(timetable => {
+                if (timetable) {
+                    this.schedule.addTimetable(mode, timetable);
+                    if (timetable.routes) {
+                        this.routeTimetables.set(mode, timetable.routes);
+                    }
+                    this.updateScheduledTrains();
+                }
+            }));
+        });
+
+        // Timetables split per route: load those of the routes crossing the view
+        if (this.vehicleFilter) {
+            const [west, south, east, north] = this.vehicleFilter.bbox;
+            modes.filter(mode => this.routeTimetables.has(mode)).forEach(mode => {
+                Object.entries(this.routeTimetables.get(mode)).forEach(([routeId, route]) => {
+                    const key = `${mode}/${routeId}`;
+                    const [routeWest, routeSouth, routeEast, routeNorth] = route.bbox;
+                    if (this.timetableLoads.has(key) ||
+                        routeWest > east || routeEast < west || routeSouth > north || routeNorth < south) {
+                        return;
+                    }
+                    this.timetableLoads.set(key, loadRouteTimetable(mode, route).then(trips => {
+                        if (trips.length > 0) {
+                            this.schedule.addTrips(mode, trips);
+                            this.updateScheduledTrains();
+                        }
+                    }));
+                });
+            });
+        }
+
+        const liveTrips = new Set([...this.trainIndex.values()].map(train => `${train.vehicleType}/${train.tripId}`));
+        const [west, south, east, north] = this.vehicleFilter?.bbox || [-180, -90, 180, 90];
+
+        const vehicles = this.schedule.vehiclesAt(clock.now(), {
+            modes,
+            exclude: (mode, tripId) => liveTrips.has(`${mode}/${tripId}`)
+        }).filter(vehicle => vehicle.lon >= west && vehicle.lon <= east && vehicle.lat >= south && vehicle.lat <= north);
+
+        const keys = new Set(vehicles.map(vehicle => vehicle.key));
+        [...this.scheduledIndex.keys()].filter(key => !keys.has(key)).forEach(key => this.removeScheduledTrain(key));
+
+        vehicles.forEach(vehicle => {
+            const data = {...vehicle, predictions: new TripPrediction(vehicle)};
+            const existingTrain = this.scheduledIndex.get(vehicle.key);
+
+            if (existingTrain) {
+                this.moveTrain(existingTrain, data);
+            } else {
+                this.scheduledIndex.set(vehicle.key, new Train({...data, color: data.color || [128, 128, 128]}));
+            }
+        });
+
+        this.trains = [...this.trainIndex.values(), ...this.scheduledIndex.values()];
+    }
+
+    /**
+     * Remove a vehicle positioned from the timetable
+     */
+    removeScheduledTrain(key) {
+        const train = this.scheduledIndex.get(key);
+        if (!train) return;
+
+        if (this.trainAnimations.has(train.tripId)) {
+            animation.stop(this.trainAnimations.get(train.tripId));
+            this.trainAnimations.delete(train.tripId);
+        }
+        this.scheduledIndex.delete(key);
+    }
+
     /**
      * Fly to a specific station
      */
@@ -1175,6 +1766,56 @@ export default class MelbourneMap {
             [width + padding, height + padding],           // Bottom-right
             [-padding, height + padding]                   // Bottom-left
         ];
+
+        this.vehicleFilter = this.getVehicleFilter();
+    }
+
+    /**
+     * Get the server-side filter for vehicle requests
+     * Viewport bounds (padded by half a screen, rounded outwards so nearby
+     * views share cached responses) and the vehicle types shown at this zoom.
+     * The previous bounds are kept while the view stays inside them and they
+     * are not much larger than it, so panning keeps applying feed deltas.
+     * @returns {Object} {bbox: [west, south, east, north], modes: [...]}
+     */
+    getVehicleFilter() {
+        const map = this.map;
+        const bounds = map.getBounds();
+        const zoom = map.getZoom();
+
+        const lonSpan = bounds.getEast() - bounds.getWest();
+        const latSpan = bounds.getNorth() - bounds.getSouth();
+        const lonPadding = lonSpan / 2;
+        const latPadding = latSpan / 2;
+        const floor = value => Math.floor(value * 100) / 100;
+        const ceil = value => Math.ceil(value * 100) / 100;
+
+        const modes = ['metro'];
+        if (zoom >= this.vlineZoomThreshold) modes.push('vline');
+        if (zoom >= this.tramZoomThreshold) modes.push('tram');
+        if (zoom >= this.busZoomThreshold) modes.push('bus');
+
+        const previous = this.vehicleFilter;
+        if (previous && previous.modes.join() === modes.join()) {
+            const [west, south, east, north] = previous.bbox;
+            const contains = west <= bounds.getWest() && south <= bounds.getSouth() &&
+                east >= bounds.getEast() && north >= bounds.getNorth();
+            const oversized = east - west > lonSpan * 4 || north - south > latSpan * 4;
+
+            if (contains && !oversized) {
+                return previous;
+            }
+        }
+
+        return {
+            bbox: [
+                floor(bounds.getWest() - lonPadding),
+                floor(bounds.getSouth() - latPadding),
+                ceil(bounds.getEast() + lonPadding),
+                ceil(bounds.getNorth() + latPadding)
+            ],
+            modes
+        };
     }
     
     /**
@@ -1210,6 +1851,7 @@ export default class MelbourneMap {
     destroy() {
         this.stopRealTimeUpdates();
         this.stopRenderLoop();
+        this.hideTrails();
         
         // Stop all train animations
         for (const animId of this.trainAnimations.values()) {
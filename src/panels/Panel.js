@@ -1,3 +1,5 @@
+import {escapeHTML} from '../helpers/helpers';
+
 /**
  * Base Panel class for creating UI panels
  * Adapted from Mini Tokyo 3D
@@ -144,5 +146,28 @@ export default class Panel {
     isOpen() {
         return !!this._map;
     }
-}
 
+    /**
+     * Build the HTML list for service alerts (shared by station and train panels)
+     * @param {Alert[]} alerts - Alerts to show
+     * @returns {string} HTML, or an empty string when there are no alerts
+     */
+    buildAlertsHTML(alerts) {
+        if (!alerts || alerts.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="alerts-list">
+                ${alerts.map(alert => `
+                    <div class="alert-row${alert.isSevere() ? ' severe' : ''}">
+                        <div class="alert-effect">${escapeHTML(alert.getEffectLabel())}</div>
+                        ${alert.header ? `<div class="alert-header">${escapeHTML(alert.header)}</div>` : ''}
+                        ${alert.description ? `<div class="alert-description">${escapeHTML(alert.description)}</div>` : ''}
+                        ${alert.url ? `<a class="alert-link" href="${escapeHTML(alert.url)}" target="_blank" rel="noopener">More information</a>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+}
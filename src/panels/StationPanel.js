@@ -1,7 +1,14 @@
 import Panel from './Panel';
+import clock from '../clock';
+import {loadDepartures} from '../loader';
+import {escapeHTML} from '../helpers/helpers';
+
+const DEPARTURES_LIMIT = 12; // Departures on the board
+const DEPARTURES_REFRESH = 30000; // Reload the board every 30 seconds
 
 /**
- * Station Panel - shows station information and approaching trains
+ * Station Panel - shows station information and its departure board
+ * (approaching vehicles until the board has loaded, or if it is unavailable)
  * Similar to TrainPanel, adapted from Mini Tokyo 3D
  */
 export default class StationPanel extends Panel {
@@ -16,6 +23,7 @@ export default class StationPanel extends Panel {
         const station = this._options.station;
         const servingLines = this._options.servingLines || [];
         const approachingTrains = this._options.approachingTrains || [];
+        const alerts = this._options.alerts || [];
         
         // Determine transport type and appropriate colors/labels
         const transportType = station.transportType || 'metro';
@@ -53,11 +61,19 @@ export default class StationPanel extends Panel {
                 
                 ${servingLines.length > 0 ? '<div class="divider"></div>' : ''}
                 
-                <div class="section">
+                ${alerts.length > 0 ? `
+                    <div class="section">
+                        <h4>Service Alerts</h4>
+                        ${this.buildAlertsHTML(alerts)}
+                    </div>
+                    <div class="divider"></div>
+                ` : ''}
+                
+                <div class="section" id="departures-section">
                     <h4>Approaching ${typeConfig.vehicleLabel}</h4>
                     ${approachingTrains.length > 0 ? `
                         <div class="approaching-trains-list">
-                            ${approachingTrains.map(train => this.buildTrainRow(train)).join('')}
+                            ${approachingTrains.map(approach => this.buildTrainRow(approach)).join('')}
                         </div>
                     ` : `
                         <p class="no-data">No ${typeConfig.vehicleLabel.toLowerCase()} approaching</p>
@@ -69,9 +85,72 @@ export default class StationPanel extends Panel {
         super.addTo(map)
             .setTitle(titleHTML)
             .setHTML(contentHTML);
+
+        this.loadDepartures(map, station);
+        this._refreshId = setInterval(() => this.loadDepartures(map, station), DEPARTURES_REFRESH);
         
         return this;
     }
+
+    /**
+     * Load the departure board and show it in place of the approaching vehicles
+     */
+    async loadDepartures(map, station) {
+        const departures = await loadDepartures(map.options.apiUrl, station.id, DEPARTURES_LIMIT);
+        const section = this._container?.querySelector('#departures-section');
+
+        if (!departures || !section) {
+            return;
+        }
+
+        const typeConfig = this.getTypeConfig(station.transportType || 'metro');
+        section.innerHTML = `
+            <h4>Departures</h4>
+            ${departures.length > 0 ? `
+                <div class="approaching-trains-list">
+                    ${departures.map(departure => this.buildDepartureRow(departure, typeConfig)).join('')}
+                </div>
+            ` : `
+                <p class="no-data">No upcoming departures</p>
+            `}
+        `;
+    }
+
+    buildDepartureRow(departure, typeConfig) {
+        const color = departure.color || typeConfig.color;
+        const scheduled = new Date(departure.scheduled * 1000)
+            .toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit' });
+
+        let status = '';
+        if (departure.cancelled) {
+            status = '<span class="departure-status cancelled">Cancelled</span>';
+        } else if (departure.delay !== undefined && Math.abs(departure.delay) >= 60) {
+            const minutes = Math.round(Math.abs(departure.delay) / 60);
+            status = departure.delay > 0
+                ? `<span class="departure-status late">${minutes} min late</span>`
+                : `<span class="departure-status early">${minutes} min early</span>`;
+        } else if (departure.delay !== undefined) {
+            status = '<span class="departure-status">On time</span>';
+        }
+
+        return `
+            <div class="train-row departure-row${departure.cancelled ? ' cancelled' : ''}" style="border-left: 4px solid ${color};">
+                <div class="train-row-content">
+                    <div class="train-row-line">
+                        <span class="train-line-name">${escapeHTML(departure.line)}</span>
+                        <span class="train-destination">to ${escapeHTML(departure.destination)}</span>
+                        ${departure.platform && departure.platform !== departure.stopName ? `
+                            <span class="departure-platform">Platform ${escapeHTML(departure.platform)}</span>
+                        ` : ''}
+                    </div>
+                    <div class="departure-times">
+                        <div class="train-row-eta">${departure.cancelled ? '—' : this.formatETA(departure.predicted)}</div>
+                        <div class="departure-scheduled">${scheduled} ${status}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
     
     /**
      * Get configuration for different transport types
@@ -102,18 +181,22 @@ export default class StationPanel extends Panel {
         return configs[transportType] || configs.metro;
     }
     
-    buildTrainRow(train) {
+    /**
+     * Row of an approaching vehicle
+     * @param {Object} approach - `{train, arrival, destination}` (arrival in Unix seconds, if predicted)
+     */
+    buildTrainRow({train, arrival, destination}) {
         const color = train.color ? `rgb(${train.color.join(',')})` : 'rgb(128,128,128)';
         const lineName = train.line || 'Metro';
-        const eta = train.nextStopArrival ? this.formatETA(train.nextStopArrival) : 'Due';
+        const eta = arrival ? this.formatETA(arrival) : 'Due';
         
         return `
             <div class="train-row" style="border-left: 4px solid ${color};">
                 <div class="train-row-content">
                     <div class="train-row-line">
                         <span class="train-line-name">${lineName}</span>
-                        ${train.destination ? `
-                            <span class="train-destination">to ${train.destination}</span>
+                        ${destination ? `
+                            <span class="train-destination">to ${escapeHTML(destination)}</span>
                         ` : ''}
                     </div>
                     <div class="train-row-eta">${eta}</div>
@@ -126,7 +209,7 @@ export default class StationPanel extends Panel {
      * Format ETA timestamp to human-readable string
      */
     formatETA(timestamp) {
-        const now = Date.now() / 1000;
+        const now = clock.now() / 1000;
         const diff = timestamp - now;
         
         // More detailed timing
@@ -152,6 +235,12 @@ export default class StationPanel extends Panel {
         }
     }
     
+    remove() {
+        clearInterval(this._refreshId);
+        delete this._refreshId;
+        return super.remove();
+    }
+
     /**
      * Get contrasting text color for a background
      */
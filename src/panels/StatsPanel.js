@@ -0,0 +1,214 @@
+import Panel from './Panel';
+import {loadStats} from '../loader';
+import {escapeHTML} from '../helpers/helpers';
+
+const WINDOWS = [
+    {hours: 24, label: 'Last 24 hours'},
+    {hours: 24 * 7, label: 'Last 7 days'},
+    {hours: 24 * 28, label: 'Last 4 weeks'}
+];
+
+const MODES = [
+    {value: '', label: 'All modes'},
+    {value: 'metro', label: 'Metro'},
+    {value: 'vline', label: 'V/Line'},
+    {value: 'tram', label: 'Trams'},
+    {value: 'bus', label: 'Buses'}
+];
+
+/**
+ * Stats Panel - on-time performance per line from the recorded trip updates
+ * Lists every line with its share of on-time stops; selecting a line charts
+ * its mean delay by hour of day and lists its most delayed stops.
+ */
+export default class StatsPanel extends Panel {
+    constructor(options) {
+        super({
+            className: 'stats-panel',
+            modal: true,
+            ...options
+        });
+    }
+
+    addTo(map) {
+        super.addTo(map)
+            .setTitle('On-Time Performance')
+            .setHTML(`
+                <div id="stats-info">
+                    <div class="stats-controls">
+                        <select class="stats-window">
+                            ${WINDOWS.map(w => `<option value="${w.hours}">${w.label}</option>`).join('')}
+                        </select>
+                        <select class="stats-mode">
+                            ${MODES.map(m => `<option value="${m.value}">${m.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="stats-summary"></div>
+                    <div class="stats-detail"></div>
+                    <div class="stats-lines"></div>
+                </div>
+            `);
+
+        this._apiUrl = map.options.apiUrl;
+        this._windowSelect = this._container.querySelector('.stats-window');
+        this._modeSelect = this._container.querySelector('.stats-mode');
+
+        this._windowSelect.addEventListener('change', () => this.load());
+        this._modeSelect.addEventListener('change', () => this.load());
+        this._container.querySelector('.stats-lines').addEventListener('click', event => {
+            const row = event.target.closest('.stats-line');
+            if (row) {
+                this.loadLine(row.dataset.route, row.dataset.mode);
+            }
+        });
+
+        this.load();
+        return this;
+    }
+
+    /**
+     * Query parameters of the selected window and mode
+     */
+    getQuery() {
+        return {
+            hours: Number(this._windowSelect.value),
+            mode: this._modeSelect.value || undefined
+        };
+    }
+
+    /**
+     * Load and show the statistics of every line
+     */
+    async load() {
+        const lines = this._container.querySelector('.stats-lines');
+        const summary = this._container.querySelector('.stats-summary');
+        this._container.querySelector('.stats-detail').innerHTML = '';
+        lines.innerHTML = '<p class="no-data">Loading…</p>';
+
+        const stats = await loadStats(this._apiUrl, this.getQuery());
+        if (!this._container) return;
+
+        if (!stats) {
+            summary.innerHTML = '';
+            lines.innerHTML = '<p class="no-data">Statistics are not available</p>';
+            return;
+        }
+
+        summary.innerHTML = `
+            <div class="stats-period">${this.formatDate(stats.from)} – ${this.formatDate(stats.to)}</div>
+            ${this.buildFigures(stats.totals)}
+        `;
+
+        lines.innerHTML = stats.routes.length > 0
+            ? `
+                <h4>Lines (on time: ≤ ${Math.round(stats.onTime.early / 60)} min early, &lt; ${Math.round(stats.onTime.late / 60)} min late)</h4>
+                ${stats.routes.map(route => this.buildLineRow(route)).join('')}
+            `
+            : '<p class="no-data">No recorded trip updates in this period</p>';
+    }
+
+    /**
+     * Load and show one line's statistics by hour of day and by stop
+     */
+    async loadLine(routeId, mode) {
+        const detail = this._container.querySelector('.stats-detail');
+        detail.innerHTML = '<p class="no-data">Loading…</p>';
+
+        const stats = await loadStats(this._apiUrl, {...this.getQuery(), mode, route: routeId});
+        if (!this._container) return;
+
+        if (!stats || stats.routes.length === 0) {
+            detail.innerHTML = '<p class="no-data">No statistics for this line</p>';
+            return;
+        }
+
+        const route = stats.routes[0];
+        const color = route.color || '#808080';
+        const maxDelay = Math.max(60, ...stats.hours.map(hour => Math.abs(hour.meanDelay || 0)));
+        const hours = new Map(stats.hours.map(hour => [hour.hour, hour]));
+
+        detail.innerHTML = `
+            <h4>${escapeHTML(route.line)}</h4>
+            ${this.buildFigures(route)}
+            <div class="stats-chart-label">Mean delay by hour of day</div>
+            <div class="stats-hours">
+                ${Array.from({length: 24}, (_, hour) => {
+                    const stat = hours.get(hour);
+                    const height = stat && stat.meanDelay > 0 ? Math.round(stat.meanDelay / maxDelay * 100) : 0;
+                    const title = stat
+                        ? `${hour}:00 – ${this.formatDelay(stat.meanDelay)} mean, ${stat.onTimePercent}% on time (${stat.calls} stops)`
+                        : `${hour}:00 – no data`;
+                    return `
+                        <div class="stats-hour" title="${title}">
+                            <div class="stats-hour-bar" style="height: ${height}%; background-color: ${color};"></div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <div class="stats-hour-axis"><span>0</span><span>6</span><span>12</span><span>18</span><span>23</span></div>
+            ${stats.stops && stats.stops.length > 0 ? `
+                <div class="stats-chart-label">Most delayed stops</div>
+                ${stats.stops.slice(0, 10).map(stop => `
+                    <div class="stats-stop">
+                        <span>${escapeHTML(stop.stopName || `Stop ID: ${stop.stopId}`)}</span>
+                        <span>${this.formatDelay(stop.meanDelay)}</span>
+                    </div>
+                `).join('')}
+            ` : ''}
+            <div class="divider"></div>
+        `;
+    }
+
+    buildFigures(stats) {
+        return `
+            <div class="stats-figures">
+                <div><span class="stats-figure">${stats.onTimePercent ?? '–'}%</span>on time</div>
+                <div><span class="stats-figure">${this.formatDelay(stats.meanDelay)}</span>mean delay</div>
+                <div><span class="stats-figure">${this.formatDelay(stats.p90Delay)}</span>90th percentile</div>
+                <div><span class="stats-figure">${stats.cancellations}</span>cancelled</div>
+            </div>
+        `;
+    }
+
+    buildLineRow(route) {
+        const color = route.color || '#808080';
+        const percent = route.onTimePercent ?? 0;
+
+        return `
+            <div class="stats-line" data-route="${escapeHTML(route.routeId)}" data-mode="${route.mode}">
+                <div class="stats-line-name">
+                    <span>${escapeHTML(route.line)}</span>
+                    <span>${route.onTimePercent ?? '–'}%</span>
+                </div>
+                <div class="stats-bar">
+                    <div class="stats-bar-fill" style="width: ${percent}%; background-color: ${color};"></div>
+                </div>
+                <div class="stats-line-details">
+                    mean ${this.formatDelay(route.meanDelay)} · p90 ${this.formatDelay(route.p90Delay)}
+                    · ${route.calls} stops${route.cancellations > 0 ? ` · ${route.cancellations} cancelled` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Format a delay in seconds as "+m:ss" ("-m:ss" when early)
+     */
+    formatDelay(seconds) {
+        if (seconds === null || seconds === undefined) return '–';
+
+        const abs = Math.abs(seconds);
+        const minutes = Math.floor(abs / 60);
+        const rest = String(abs % 60).padStart(2, '0');
+        return `${seconds < 0 ? '-' : '+'}${minutes}:${rest}`;
+    }
+
+    formatDate(iso) {
+        return new Date(iso).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
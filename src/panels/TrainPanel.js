@@ -1,4 +1,7 @@
 import Panel from './Panel';
+import clock from '../clock';
+import {loadTrip} from '../loader';
+import {TripPrediction} from '../data-classes';
 
 /**
  * Train Panel - shows train information and route stops
@@ -15,6 +18,7 @@ export default class TrainPanel extends Panel {
     addTo(map) {
         const train = this._options.train;
         const stations = this._options.stations || [];
+        const alerts = this._options.alerts || [];
         
         // Build title with train info
         const color = train.color ? `rgb(${train.color.join(',')})` : 'rgb(128,128,128)';
@@ -41,6 +45,12 @@ export default class TrainPanel extends Panel {
             .setTitle(titleHTML)
             .setHTML(`
                 <div id="train-info">
+                    ${train.scheduled ? `
+                    <div class="info-row scheduled-notice">
+                        <span class="info-label">Position:</span>
+                        <span class="info-value">Scheduled (no live data)</span>
+                    </div>
+                    ` : ''}
                     <div class="info-row">
                         <span class="info-label">Vehicle ID:</span>
                         <span class="info-value">${train.vehicleId || train.tripId || 'Unknown'}</span>
@@ -67,6 +77,15 @@ export default class TrainPanel extends Panel {
                         <span class="info-value">${this.formatTime(train.nextStopArrival * 1000)}</span>
                     </div>
                     ` : ''}
+                    ${!train.scheduled ? `
+                    <div class="info-row">
+                        <span class="info-label">Trail:</span>
+                        <span class="info-value">
+                            <button type="button" class="trail-toggle">Show whole line</button>
+                        </span>
+                    </div>
+                    ` : ''}
+                    ${this.buildAlertsHTML(alerts)}
                 </div>
                 <div class="divider"></div>
                 <div id="timetable-section">
@@ -84,10 +103,57 @@ export default class TrainPanel extends Panel {
         
         // Start animation for current position indicator
         this.startAnimation(train);
+
+        // Replace the route stops with the predicted times of every stop
+        this.loadPredictedStops(map, train);
+
+        // Where the vehicle (or its whole line) has been (live vehicles only)
+        if (!train.scheduled) {
+            let wholeLine = false;
+            map.showTrails(train);
+            this._container.querySelector('.trail-toggle').addEventListener('click', event => {
+                wholeLine = !wholeLine;
+                event.target.textContent = wholeLine ? 'Show this vehicle only' : 'Show whole line';
+                map.showTrails(train, wholeLine);
+            });
+        }
         
         return this;
     }
 
+    /**
+     * Show the trip's predicted stop sequence: the one that came with the
+     * vehicle, else fetched from the API server
+     */
+    async loadPredictedStops(map, train) {
+        const prediction = train.predictions || await loadTrip(map.options.apiUrl, train.tripId, train.vehicleType);
+        const timetableContent = this._container?.querySelector('#timetable-content');
+
+        if (!prediction || prediction.stops.length === 0 || !timetableContent) {
+            return;
+        }
+
+        const stations = prediction.stops.map(stop => ({
+            name: stop.name,
+            arrival: TripPrediction.timeOf(stop),
+            delay: stop.delay,
+            skipped: stop.skipped || prediction.cancelled
+        }));
+
+        // Next stop: the one the vehicle reports, else the first one still ahead
+        let nextIndex = stations.findIndex(station => station.name === train.nextStop);
+        if (nextIndex < 0) {
+            nextIndex = prediction.stops.indexOf(prediction.getNextStop(clock.now() / 1000));
+        }
+        if (nextIndex >= 0) {
+            stations[nextIndex].isNext = true;
+        }
+
+        this._options.stations = stations;
+        timetableContent.innerHTML = this.buildStationList(train, stations);
+        this.drawRouteMarkers(train, stations);
+    }
+
     buildStationList(train, stations) {
         if (!stations || stations.length === 0) {
             // Show basic info if no station list is available
@@ -113,14 +179,18 @@ export default class TrainPanel extends Panel {
             const isNext = station.isNext || station.name === train.nextStop;
             const classes = ['station-row'];
             if (isNext) classes.push('next-stop');
+            if (station.skipped) classes.push('skipped');
             
             return `
                 <div class="${classes.join(' ')}" data-index="${index}">
                     <div class="station-title-box">
                         ${station.name}
                         ${isNext ? '<span class="next-indicator">← Next Stop</span>' : ''}
+                        ${this.formatDelay(station.delay)}
                     </div>
-                    ${station.arrival ? `
+                    ${station.skipped ? `
+                    <div class="station-time-box">Skipped</div>
+                    ` : station.arrival ? `
                     <div class="station-time-box">
                         ${this.formatTime(station.arrival)}
                     </div>
@@ -130,12 +200,25 @@ export default class TrainPanel extends Panel {
         }).join('');
     }
 
+    /**
+     * Delay label for a stop (only a minute or more late or early)
+     * @param {number} delay - Seconds late (negative: early)
+     */
+    formatDelay(delay) {
+        if (!delay || Math.abs(delay) < 60) return '';
+
+        const minutes = Math.round(delay / 60);
+        return minutes > 0
+            ? `<span class="delay-indicator late">+${minutes} min</span>`
+            : `<span class="delay-indicator early">${minutes} min</span>`;
+    }
+
     formatTime(timestamp) {
         if (!timestamp) return '';
         
         // Convert to seconds if in milliseconds
         const timestampSec = timestamp > 10000000000 ? timestamp / 1000 : timestamp;
-        const now = Date.now() / 1000;
+        const now = clock.now() / 1000;
         const diff = timestampSec - now;
         
         // Show relative time for near-future arrivals
@@ -183,6 +266,9 @@ export default class TrainPanel extends Panel {
         });
         
         if (offsets.length === 0) return;
+
+        // Already animating (stops replaced): the running animation picks up the new offsets
+        const animating = !!this._routeOffsets;
         
         // Store offsets and train for animation
         this._routeOffsets = offsets;
@@ -205,7 +291,9 @@ export default class TrainPanel extends Panel {
         }
         
         // Start animating the train position marker
-        this.animateTrainPosition();
+        if (!animating) {
+            this.animateTrainPosition();
+        }
     }
 
     animateTrainPosition() {
@@ -245,7 +333,7 @@ export default class TrainPanel extends Panel {
             let trainY;
             if (nextStopIndex > 0 && train.nextStopArrival) {
                 // Interpolate between previous and next station
-                const now = Date.now() / 1000;
+                const now = clock.now() / 1000;
                 const arrivalTime = train.nextStopArrival;
                 
                 // Estimate travel time based on distance between stations
@@ -350,6 +438,7 @@ export default class TrainPanel extends Panel {
     }
 
     remove() {
+        this._map?.hideTrails();
         delete this._scrollTop;
         delete this._routeOffsets;
         delete this._train;
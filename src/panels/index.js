@@ -1,4 +1,5 @@
 export {default as Panel} from './Panel';
 export {default as TrainPanel} from './TrainPanel';
 export {default as StationPanel} from './StationPanel';
+export {default as StatsPanel} from './StatsPanel';
 
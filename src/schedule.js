@@ -0,0 +1,337 @@
+import {calculateDistance, hexToRgb} from './helpers/helpers';
+
+/**
+ * Schedule engine
+ * Where every scheduled trip should be at a given time, from the timetables
+ * (trip stop times and service calendars, see loadTimetable) and the route
+ * shapes. Vehicles run along their trip's shape between the stop times,
+ * dwelling at stops between arrival and departure.
+ * Timetable times are Melbourne local time, in seconds after midnight of the
+ * service day (over 24 hours for trips running past midnight).
+ */
+
+const DAY = 86400;
+
+// Melbourne date and time of day
+const melbourneTime = new Intl.DateTimeFormat('en-AU', {
+    timeZone: 'Australia/Melbourne',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+});
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Service day of a time
+ * @param {number} time - Time in milliseconds
+ * @returns {Object} {date: 'YYYYMMDD', weekday: 0 (Monday) to 6, seconds: after midnight}
+ */
+function serviceDay(time) {
+    const parts = Object.fromEntries(melbourneTime.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+    return {
+        date: `${parts.year}${parts.month}${parts.day}`,
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        seconds: Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second)
+    };
+}
+
+/**
+ * Compass bearing from one coordinate to another
+ */
+function compassBearing(from, to) {
+    const rad = Math.PI / 180;
+    const dLon = (to[0] - from[0]) * rad;
+    const y = Math.sin(dLon) * Math.cos(to[1] * rad);
+    const x = Math.cos(from[1] * rad) * Math.sin(to[1] * rad) -
+              Math.sin(from[1] * rad) * Math.cos(to[1] * rad) * Math.cos(dLon);
+    return (Math.atan2(y, x) / rad + 360) % 360;
+}
+
+export default class ScheduleEngine {
+    /**
+     * @param {Object} data - Static data
+     * @param {Array} data.stations - Station objects of every transport type
+     * @param {Object} data.stationIdMap - Stop ID -> name (platforms included)
+     * @param {Object} data.shapes - Route shapes (GeoJSON, with `shapeId` properties)
+     * @param {Array} data.routes - Routes of every transport type
+     */
+    constructor({stations = [], stationIdMap = {}, shapes = {features: []}, routes = []}) {
+        this.stationIdMap = stationIdMap;
+        this.routes = new Map(routes.map(route => [route.id, route]));
+        this.shapes = new Map(shapes.features
+            .filter(feature => feature.properties?.shapeId)
+            .map(feature => [feature.properties.shapeId, feature.geometry.coordinates]));
+
+        // Stop coordinates per transport type, by stop ID and by name
+        this.stops = new Map();
+        stations.forEach(station => {
+            const type = station.transportType || 'metro';
+            if (!this.stops.has(type)) {
+                this.stops.set(type, {byId: new Map(), byName: new Map()});
+            }
+            const {byId, byName} = this.stops.get(type);
+            byId.set(station.id, [station.lon, station.lat]);
+            if (!byName.has(station.name)) {
+                byName.set(station.name, [station.lon, station.lat]);
+            }
+        });
+
+        // Timetables per transport type: {trips (sorted by start), calendar, maxDuration}
+        this.timetables = new Map();
+
+        // Paths with stops placed along them, per trip (built on first use)
+        this.patterns = new Map();
+    }
+
+    /**
+     * Add a transport type's timetable (result of loadTimetable)
+     * @param {string} mode - Vehicle type ('metro', 'vline', 'bus', 'tram')
+     */
+    addTimetable(mode, {trips, calendar}) {
+        const timedTrips = trips
+            .filter(trip => trip.stopTimes?.length >= 2)
+            .map(trip => ({
+                ...trip,
+                start: trip.stopTimes[0][1],
+                end: trip.stopTimes[trip.stopTimes.length - 1][1]
+            }))
+            .sort((a, b) => a.start - b.start);
+
+        this.timetables.set(mode, {
+            trips: timedTrips,
+            calendar,
+            maxDuration: Math.max(0, ...timedTrips.map(trip => trip.end - trip.start))
+        });
+    }
+
+    /**
+     * Add trips to a transport type's timetable (a route's, loaded when it comes into view)
+     */
+    addTrips(mode, trips) {
+        const timetable = this.timetables.get(mode);
+        if (timetable) {
+            this.addTimetable(mode, {trips: [...timetable.trips, ...trips], calendar: timetable.calendar});
+        }
+    }
+
+    hasTimetable(mode) {
+        return this.timetables.has(mode);
+    }
+
+    /**
+     * Check whether a service runs on a service day
+     */
+    runsOn(calendar, serviceId, {date, weekday}) {
+        const service = calendar[serviceId];
+        if (!service) return false;
+        if (service.removed.includes(date)) return false;
+        if (service.added.includes(date)) return true;
+        return service.start <= date && date <= service.end && service.days[weekday] === 1;
+    }
+
+    /**
+     * Scheduled vehicles at a time
+     * @param {number} time - Time in milliseconds (see clock.now)
+     * @param {Object} options
+     * @param {Array} options.modes - Vehicle types to include (those with a timetable)
+     * @param {Function} options.exclude - Called with (mode, tripId), true leaves the trip out (e.g. tracked live)
+     * @returns {Array} Vehicle data for Train objects, `scheduled: true`
+     */
+    vehiclesAt(time, {modes = [...this.timetables.keys()], exclude = () => false} = {}) {
+        const today = serviceDay(time);
+        // Trips of yesterday's service day still running after midnight
+        const yesterday = {...serviceDay(time - DAY * 1000), seconds: today.seconds + DAY};
+        const vehicles = [];
+        const running = new Set();
+
+        modes.forEach(mode => {
+            const timetable = this.timetables.get(mode);
+            if (!timetable) return;
+
+            [today, yesterday].forEach(day => {
+                const {trips, calendar, maxDuration} = timetable;
+
+                // Trips starting no earlier than the longest trip could still be running
+                let index = lowerBound(trips, day.seconds - maxDuration);
+                for (; index < trips.length && trips[index].start <= day.seconds; index++) {
+                    const trip = trips[index];
+                    if (trip.end < day.seconds || exclude(mode, trip.tripId) || !this.runsOn(calendar, trip.serviceId, day)) {
+                        continue;
+                    }
+                    running.add(`${mode}/${trip.tripId}`);
+                    const vehicle = this.vehicleOf(mode, trip, day.seconds, time / 1000 - day.seconds);
+                    if (vehicle) {
+                        vehicles.push(vehicle);
+                    }
+                }
+            });
+        });
+
+        // Forget the paths of trips no longer running
+        for (const key of this.patterns.keys()) {
+            if (!running.has(key)) {
+                this.patterns.delete(key);
+            }
+        }
+
+        return vehicles;
+    }
+
+    /**
+     * Position of a trip's vehicle
+     * @param {string} mode - Vehicle type
+     * @param {Object} trip - Timetable trip
+     * @param {number} seconds - Seconds after midnight of the trip's service day
+     * @param {number} midnight - Unix time (seconds) of that midnight
+     */
+    vehicleOf(mode, trip, seconds, midnight) {
+        const pattern = this.patternOf(mode, trip);
+        if (!pattern) return null;
+
+        const {stops} = pattern;
+        let next = stops.findIndex(stop => stop.departure > seconds);
+        if (next === -1) next = stops.length - 1;
+
+        const stop = stops[next];
+        let along = stop.at;
+        let speed = 0;
+        if (next > 0 && seconds < stop.arrival) {
+            const previous = stops[next - 1];
+            const duration = stop.arrival - previous.departure;
+            const progress = duration > 0 ? (seconds - previous.departure) / duration : 1;
+            along = previous.at + (stop.at - previous.at) * progress;
+            speed = duration > 0 ? (stop.at - previous.at) / duration : 0;
+        }
+
+        const {coord, bearing} = pointAlong(pattern, along);
+        const route = this.routes.get(trip.routeId);
+
+        return {
+            key: `${mode}/scheduled:${trip.tripId}`,
+            tripId: trip.tripId,
+            routeId: trip.routeId,
+            lon: coord[0],
+            lat: coord[1],
+            bearing,
+            speed,
+            nextStop: stop.name,
+            nextStopArrival: Math.round(midnight + stop.arrival),
+            line: route?.shortName || trip.headsign,
+            color: route?.color ? hexToRgb(route.color) : undefined,
+            vehicleType: mode,
+            scheduled: true,
+            // Timetable as a predicted stop sequence (no delays)
+            stops: pattern.stops.map((patternStop, i) => ({
+                stopId: patternStop.stopId,
+                stopName: patternStop.name,
+                stopSequence: i + 1,
+                arrival: Math.round(midnight + patternStop.arrival),
+                departure: Math.round(midnight + patternStop.departure)
+            }))
+        };
+    }
+
+    /**
+     * Path of a trip with its stops placed along it
+     * @returns {Object|null} {path, cumulative, stops: [{stopId, name, arrival, departure, at}]},
+     *     null if fewer than two stops have known coordinates
+     */
+    patternOf(mode, trip) {
+        const key = `${mode}/${trip.tripId}`;
+        if (this.patterns.has(key)) {
+            return this.patterns.get(key);
+        }
+
+        const stopIndex = this.stops.get(mode) || {byId: new Map(), byName: new Map()};
+        const stops = trip.stopTimes
+            .map(([stopId, arrival, departure]) => {
+                const name = this.stationIdMap[stopId];
+                const coord = stopIndex.byId.get(stopId) || (name && stopIndex.byName.get(name));
+                return coord ? {stopId, name: name || `Stop ID: ${stopId}`, arrival, departure, coord} : null;
+            })
+            .filter(Boolean);
+
+        let pattern = null;
+        if (stops.length >= 2) {
+            const path = this.shapes.get(trip.shapeId) || stops.map(stop => stop.coord);
+            const cumulative = [0];
+            for (let i = 1; i < path.length; i++) {
+                cumulative.push(cumulative[i - 1] + calculateDistance(path[i - 1], path[i]));
+            }
+
+            // Distance along the path of each stop (nearest vertex, never going backwards)
+            let minIndex = 0;
+            stops.forEach(stop => {
+                let best = minIndex;
+                let bestDistance = Infinity;
+                for (let i = minIndex; i < path.length; i++) {
+                    const d = calculateDistance(path[i], stop.coord);
+                    if (d < bestDistance) {
+                        bestDistance = d;
+                        best = i;
+                    }
+                }
+                minIndex = best;
+                stop.at = cumulative[best];
+                delete stop.coord;
+            });
+
+            pattern = {path, cumulative, stops};
+        }
+
+        this.patterns.set(key, pattern);
+        return pattern;
+    }
+
+}
+
+/**
+ * Index of the first trip starting at or after a time
+ */
+function lowerBound(trips, seconds) {
+    let low = 0;
+    let high = trips.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (trips[mid].start < seconds) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+/**
+ * Coordinate and compass bearing at a distance along a pattern's path
+ */
+function pointAlong({path, cumulative}, along) {
+    if (path.length === 1) {
+        return {coord: path[0], bearing: 0};
+    }
+
+    // Binary search for the segment containing `along`
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high - 1) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] <= along) low = mid;
+        else high = mid;
+    }
+
+    const start = path[low];
+    const end = path[high];
+    const length = cumulative[high] - cumulative[low];
+    const t = length > 0 ? (along - cumulative[low]) / length : 0;
+
+    return {
+        coord: [
+            start[0] + (end[0] - start[0]) * t,
+            start[1] + (end[1] - start[1]) * t
+        ],
+        bearing: compassBearing(start, end)
+    };
+}